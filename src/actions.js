@@ -10,6 +10,8 @@ import {
 	create_tree,
 	create_node,
 	create_connection,
+	create_build,
+	get_allocation_map,
 	find_tree,
 	find_node,
 	get_tree_index,
@@ -17,7 +19,23 @@ import {
 	get_connection_index
 } from "./state.js";
 
-import { check_prerequisites } from "./validation_engine.js";
+import {
+	check_prerequisites,
+	can_allocate_point,
+	can_refund_point,
+	get_tier_lock,
+	get_level_lock,
+	has_level_curve,
+	get_points_for_level,
+	find_blocking_dependents,
+	get_available_points,
+	calculate_spent_points,
+	calculate_global_spent_points,
+	find_cheapest_path,
+	can_add_connection
+} from "./validation_engine.js";
+
+import { get_connection_key } from "./project_diff.js";
 
 // ============================================================================
 // Project Actions
@@ -41,6 +59,185 @@ function update_project_metadata(state, changes) {
 	return new_state;
 }
 
+/**
+ * Turns a lint rule on or off for the project
+ * @param {object} state - Current state
+ * @param {string} rule_id - Lint rule ID
+ * @param {boolean} enabled - Whether the rule should run
+ * @returns {object} New state with updated lint settings
+ */
+function set_lint_rule_enabled(state, rule_id, enabled) {
+	const new_state = touch_modified(clone_state(state));
+	const settings = new_state.project.settings;
+	const disabled = (settings.lint?.disabled_rules || []).filter(id => id !== rule_id);
+
+	settings.lint = { ...settings.lint, disabled_rules: enabled ? disabled : [...disabled, rule_id] };
+
+	return new_state;
+}
+
+/**
+ * Replaces the whole project, e.g. with a snapshot. The active tree is kept
+ * when the new project still has it.
+ * @param {object} state - Current state
+ * @param {object} project - Project to restore
+ * @returns {object} New state with the project replaced
+ */
+function restore_project(state, project) {
+	const new_state = clone_state(state);
+	new_state.project = JSON.parse(JSON.stringify(project));
+
+	const trees = new_state.project.trees;
+	if (!trees.some(t => t.id === new_state.ui_state.active_tree_id)) {
+		new_state.ui_state.active_tree_id = trees[0]?.id || null;
+	}
+	new_state.ui_state.selected_node_id = null;
+	new_state.ui_state.comparison = null;
+	new_state.ui_state.path_preview = null;
+
+	return touch_modified(new_state);
+}
+
+/**
+ * Applies changes picked from a project diff, e.g. when merging in a copy
+ * someone else edited. Trees are applied before nodes and nodes before
+ * connections, so a picked connection can use a node picked with it.
+ * Changes that no longer fit (a node whose tree is gone, a connection that
+ * would close a loop) are skipped and stay in the next diff.
+ * @param {object} state - Current state
+ * @param {array} changes - Changes from diff_projects
+ * @returns {object} New state with the changes applied
+ */
+function apply_project_changes(state, changes) {
+	const new_state = touch_modified(clone_state(state));
+	const order = { tree: 0, node: 1, connection: 2 };
+	const sorted = [...changes].sort((a, b) => order[a.kind] - order[b.kind]);
+	let applied = 0;
+
+	for (const change of sorted) {
+		if (apply_project_change(new_state, change)) {
+			applied++;
+		}
+	}
+
+	if (applied === 0) {
+		return state;
+	}
+
+	// Ranks may no longer fit new costs, max ranks or prerequisites, so the
+	// trees that changed are allocated again with play mode's checks
+	let result = new_state;
+	for (const tree_id of new Set(sorted.map(change => change.tree_id))) {
+		result = reallocate_tree(result, tree_id);
+	}
+	sync_global_pool(result);
+	sync_ui_with_project(result);
+
+	return result;
+}
+
+/**
+ * Applies a single diff change for apply_project_changes
+ * @param {object} state - State to modify (mutates project)
+ * @param {object} change - Change from diff_projects
+ * @returns {boolean} True if the change was applied
+ */
+function apply_project_change(state, change) {
+	const trees = state.project.trees;
+	const tree_index = get_tree_index(state, change.tree_id);
+	const tree = trees[tree_index];
+
+	if (change.kind === "tree") {
+		if (change.status === "added" && tree_index === -1) {
+			const new_tree = JSON.parse(JSON.stringify(change.value));
+			new_tree.nodes.forEach(node => { node.current_rank = 0; });
+			new_tree.allocation_order = { steps: [], position: 0 };
+			trees.push(new_tree);
+			return true;
+		}
+		if (change.status === "removed" && tree) {
+			trees.splice(tree_index, 1);
+			return true;
+		}
+		if (change.status === "changed" && tree) {
+			apply_field_changes(tree, change.fields);
+			return true;
+		}
+		return false;
+	}
+
+	if (!tree) {
+		return false;
+	}
+
+	if (change.kind === "node") {
+		const node_index = get_node_index(tree, change.target_id);
+
+		if (change.status === "added" && node_index === -1) {
+			tree.nodes.push({ ...JSON.parse(JSON.stringify(change.value)), current_rank: 0 });
+			return true;
+		}
+		if (change.status === "removed" && node_index !== -1) {
+			tree.nodes.splice(node_index, 1);
+			tree.connections = tree.connections.filter(
+				conn => conn.from_node_id !== change.target_id && conn.to_node_id !== change.target_id
+			);
+			return true;
+		}
+		if (change.status === "changed" && node_index !== -1) {
+			apply_field_changes(tree.nodes[node_index], change.fields);
+			return true;
+		}
+		return false;
+	}
+
+	const conn_index = tree.connections.findIndex(conn => get_connection_key(conn) === change.target_id);
+
+	if (change.status === "added" && conn_index === -1) {
+		const conn = JSON.parse(JSON.stringify(change.value));
+		if (!can_add_connection(state, tree.id, conn.from_node_id, conn.to_node_id).can_add) {
+			return false;
+		}
+		if (get_connection_index(tree, conn.id) !== -1) {
+			conn.id = generate_id("conn");
+		}
+		tree.connections.push(conn);
+		return true;
+	}
+	if (change.status === "removed" && conn_index !== -1) {
+		tree.connections.splice(conn_index, 1);
+		return true;
+	}
+	if (change.status === "changed" && conn_index !== -1) {
+		apply_field_changes(tree.connections[conn_index], change.fields);
+		return true;
+	}
+	return false;
+}
+
+/**
+ * Sets each changed field of a diff change to its new value
+ * @param {object} target - Object to update (mutated)
+ * @param {array} fields - Changed fields { path, after }
+ */
+function apply_field_changes(target, fields) {
+	for (const field of fields) {
+		const parent = field.path.slice(0, -1).reduce((value, key) => {
+			if (value[key] === null || typeof value[key] !== "object") {
+				value[key] = {};
+			}
+			return value[key];
+		}, target);
+		const key = field.path[field.path.length - 1];
+
+		if (field.after === undefined) {
+			delete parent[key];
+		} else {
+			parent[key] = JSON.parse(JSON.stringify(field.after));
+		}
+	}
+}
+
 // ============================================================================
 // Tree Actions
 // ============================================================================
@@ -88,6 +285,7 @@ function remove_tree(state, tree_id) {
 	}
 
 	new_state.project.trees.splice(index, 1);
+	sync_global_pool(new_state);
 
 	// Clear active tree if it was removed
 	if (new_state.ui_state.active_tree_id === tree_id) {
@@ -98,6 +296,51 @@ function remove_tree(state, tree_id) {
 	return new_state;
 }
 
+/**
+ * Adds trees to the project, e.g. from a merge import. A tree whose ID is
+ * already in the project replaces that tree in place. The first merged tree
+ * becomes active. Allocated ranks are replayed through load_allocations, so
+ * only those that pass play mode's checks against this project's point
+ * pools are kept.
+ * @param {object} state - Current state
+ * @param {array} trees - Trees to add, with IDs already resolved by plan_tree_import
+ * @returns {object} New state with the trees merged
+ */
+function merge_trees(state, trees) {
+	if (trees.length === 0) {
+		return state;
+	}
+
+	const new_state = touch_modified(clone_state(state));
+	const project_trees = new_state.project.trees;
+
+	for (const source of trees) {
+		const tree = JSON.parse(JSON.stringify(source));
+		tree.point_pool.spent = calculate_spent_points(tree);
+
+		const index = get_tree_index(new_state, tree.id);
+		if (index === -1) {
+			project_trees.push(tree);
+		} else {
+			project_trees[index] = tree;
+		}
+	}
+
+	sync_global_pool(new_state);
+
+	// Imported ranks were spent against another project's pools
+	let result = new_state;
+	for (const source of trees) {
+		result = reallocate_tree(result, source.id);
+	}
+
+	result.ui_state.active_tree_id = trees[0].id;
+	result.ui_state.selected_node_id = null;
+	sync_ui_with_project(result);
+
+	return result;
+}
+
 /**
  * Updates tree properties
  * @param {object} state - Current state
@@ -122,16 +365,217 @@ function update_tree(state, tree_id, changes) {
 	if (changes.description !== undefined) {
 		tree.description = changes.description;
 	}
-	if (changes.total_points !== undefined) {
+	// A total below the points already spent would leave the pool overspent
+	if (changes.total_points !== undefined && changes.total_points >= tree.point_pool.spent) {
 		tree.point_pool.total = changes.total_points;
 	}
 	if (changes.point_source !== undefined) {
 		tree.point_pool.source = changes.point_source;
+
+		// Switching a tree to the global pool turns the pool on
+		if (changes.point_source === "global") {
+			new_state.project.settings.global_point_pool.enabled = true;
+		}
+
+		sync_global_pool(new_state);
+	}
+	if (Array.isArray(changes.points_per_level)) {
+		tree.point_pool.points_per_level = changes.points_per_level;
+		apply_level_progression(new_state);
+	}
+
+	return new_state;
+}
+
+/**
+ * Updates the project's global point pool settings
+ * @param {object} state - Current state
+ * @param {object} changes - Properties to update { enabled, total }
+ * @returns {object} New state with updated global pool
+ */
+function update_global_pool(state, changes) {
+	const new_state = touch_modified(clone_state(state));
+	const pool = new_state.project.settings.global_point_pool;
+
+	if (typeof changes.enabled === "boolean") {
+		pool.enabled = changes.enabled;
+	}
+	// A total below the points already spent would leave the pool overspent
+	if (typeof changes.total === "number" && changes.total >= pool.spent) {
+		pool.total = changes.total;
+	}
+	if (Array.isArray(changes.points_per_level)) {
+		pool.points_per_level = changes.points_per_level;
+		apply_level_progression(new_state);
+	}
+
+	return new_state;
+}
+
+/**
+ * Updates the simulated character level. Pools with a points-per-level curve
+ * are recalculated, and lowering the level refunds whatever no longer fits.
+ * @param {object} state - Current state
+ * @param {object} changes - Properties to update { level, max_level }
+ * @returns {object} New state with updated level
+ */
+function update_character_level(state, changes) {
+	const new_state = touch_modified(clone_state(state));
+	const settings = new_state.project.settings;
+	const character_level = settings.character_level || (settings.character_level = { level: 1, max_level: 60 });
+
+	if (typeof changes.max_level === "number" && changes.max_level >= 1) {
+		character_level.max_level = changes.max_level;
+	}
+	if (typeof changes.level === "number") {
+		character_level.level = changes.level;
+	}
+
+	character_level.level = Math.max(1, Math.min(character_level.level, character_level.max_level));
+	apply_level_progression(new_state);
+
+	return new_state;
+}
+
+/**
+ * Sets the totals of level-driven pools from the character level, then
+ * refunds nodes above the level and points beyond the new totals
+ * @param {object} state - State to modify (mutates settings/trees)
+ */
+function apply_level_progression(state) {
+	const settings = state.project.settings;
+	const level = settings.character_level?.level || 1;
+
+	if (has_level_curve(settings.global_point_pool)) {
+		settings.global_point_pool.total = get_points_for_level(settings.global_point_pool.points_per_level, level);
+	}
+
+	for (const tree of state.project.trees) {
+		if (has_level_curve(tree.point_pool)) {
+			tree.point_pool.total = get_points_for_level(tree.point_pool.points_per_level, level);
+		}
+
+		apply_cascade_refunds(state, tree.id);
+	}
+
+	sync_global_pool(state);
+
+	// Trim overspent pools from the last tree back, so earlier trees keep their points
+	for (const tree of [...state.project.trees].reverse()) {
+		while (get_available_points(state, tree) < 0 && refund_last_rank(state, tree)) {
+			apply_cascade_refunds(state, tree.id);
+			sync_global_pool(state);
+		}
+	}
+}
+
+/**
+ * Refunds one rank from the lowest node on the canvas that nothing else
+ * depends on, which is usually the most recent pick
+ * @param {object} state - State to modify (mutates tree/nodes)
+ * @param {object} tree - Tree to refund from
+ * @returns {boolean} True if a rank was refunded
+ */
+function refund_last_rank(state, tree) {
+	const allocated = tree.nodes
+		.filter(node => node.current_rank > 0)
+		.sort((a, b) => (b.position.y - a.position.y) || (b.position.x - a.position.x));
+
+	const node = allocated.find(n => find_blocking_dependents(state, tree.id, n.id, n.current_rank - 1).length === 0) ||
+		allocated[0];
+
+	if (!node) {
+		return false;
+	}
+
+	const cost_index = Math.min(node.current_rank - 1, node.cost_per_rank.length - 1);
+	tree.point_pool.spent -= node.cost_per_rank[cost_index];
+	node.current_rank -= 1;
+
+	return true;
+}
+
+/**
+ * Adds a tier band below the tree's existing tiers
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree to add the tier to
+ * @param {object} options - Tier options { name, y, points_required }
+ * @returns {object} New state with added tier
+ */
+function add_tier(state, tree_id, options = {}) {
+	const new_state = touch_modified(clone_state(state));
+	const tree = find_tree(new_state, tree_id);
+
+	if (!tree) {
+		return state;
+	}
+
+	const tiers = tree.tiers || (tree.tiers = []);
+	const lowest_y = tiers.reduce((max, tier) => Math.max(max, tier.y), 0);
+
+	tiers.push({
+		id: generate_id("tier"),
+		name: options.name || `Tier ${tiers.length + 1}`,
+		y: typeof options.y === "number" ? options.y : lowest_y + 200,
+		points_required: typeof options.points_required === "number"
+			? options.points_required
+			: (tiers.length + 1) * 5
+	});
+
+	return new_state;
+}
+
+/**
+ * Updates a tier's properties
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree containing the tier
+ * @param {string} tier_id - ID of tier to update
+ * @param {object} changes - Properties to update { name, y, points_required }
+ * @returns {object} New state with updated tier
+ */
+function update_tier(state, tree_id, tier_id, changes) {
+	const new_state = touch_modified(clone_state(state));
+	const tree = find_tree(new_state, tree_id);
+	const tier = tree?.tiers?.find(t => t.id === tier_id);
+
+	if (!tier) {
+		return state;
+	}
+
+	if (typeof changes.name === "string") {
+		tier.name = changes.name;
+	}
+	if (typeof changes.y === "number") {
+		tier.y = changes.y;
+	}
+	if (typeof changes.points_required === "number" && changes.points_required >= 0) {
+		tier.points_required = changes.points_required;
 	}
 
 	return new_state;
 }
 
+/**
+ * Removes a tier from a tree
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree containing the tier
+ * @param {string} tier_id - ID of tier to remove
+ * @returns {object} New state with tier removed
+ */
+function remove_tier(state, tree_id, tier_id) {
+	const new_state = touch_modified(clone_state(state));
+	const tree = find_tree(new_state, tree_id);
+	const index = tree?.tiers ? tree.tiers.findIndex(t => t.id === tier_id) : -1;
+
+	if (index === -1) {
+		return state;
+	}
+
+	tree.tiers.splice(index, 1);
+
+	return new_state;
+}
+
 // ============================================================================
 // Node Actions
 // ============================================================================
@@ -250,8 +694,8 @@ function update_node(state, tree_id, node_id, changes) {
 	// Apply allowed changes
 	const allowed_keys = [
 		"name", "description", "icon", "max_rank",
-		"cost_per_rank", "tags", "type", "event",
-		"prerequisite_logic", "prerequisite_threshold"
+		"cost_per_rank", "tags", "type", "event", "required_level", "exclusive_group",
+		"prerequisite_logic", "prerequisite_threshold", "prerequisite_expression"
 	];
 
 	for (const key of allowed_keys) {
@@ -292,6 +736,37 @@ function update_node_position(state, tree_id, node_id, x, y) {
 	return new_state;
 }
 
+/**
+ * Ignores or restores a lint rule's findings on one node
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree containing the node
+ * @param {string} node_id - ID of node to update
+ * @param {string} rule_id - Lint rule ID
+ * @param {boolean} suppressed - Whether the rule is ignored for the node
+ * @returns {object} New state with updated suppressions
+ */
+function set_lint_suppression(state, tree_id, node_id, rule_id, suppressed) {
+	const new_state = touch_modified(clone_state(state));
+	const tree_index = get_tree_index(new_state, tree_id);
+
+	if (tree_index === -1) {
+		return state;
+	}
+
+	const tree = new_state.project.trees[tree_index];
+	const node_index = get_node_index(tree, node_id);
+
+	if (node_index === -1) {
+		return state;
+	}
+
+	const node = tree.nodes[node_index];
+	const others = (node.lint_suppressions || []).filter(id => id !== rule_id);
+	node.lint_suppressions = suppressed ? [...others, rule_id] : others;
+
+	return new_state;
+}
+
 // ============================================================================
 // Point Allocation Actions
 // ============================================================================
@@ -330,7 +805,7 @@ function allocate_point(state, tree_id, node_id) {
 	const cost = node.cost_per_rank[cost_index];
 
 	// Check if enough points
-	const available = tree.point_pool.total - tree.point_pool.spent;
+	const available = get_available_points(new_state, tree);
 	if (available < cost) {
 		return state;
 	}
@@ -338,6 +813,8 @@ function allocate_point(state, tree_id, node_id) {
 	// Allocate
 	node.current_rank += 1;
 	tree.point_pool.spent += cost;
+	sync_global_pool(new_state);
+	record_allocation_step(new_state, tree, "allocate", node_id);
 
 	return new_state;
 }
@@ -391,11 +868,15 @@ function refund_point(state, tree_id, node_id) {
 		apply_cascade_refunds(new_state, tree_id);
 	}
 
+	sync_global_pool(new_state);
+	record_allocation_step(new_state, tree, "refund", node_id);
+
 	return new_state;
 }
 
 /**
- * Recursively refunds points from nodes that no longer meet prerequisites
+ * Recursively refunds points from nodes that no longer meet prerequisites,
+ * whose tier needs more points spent above it or whose level is out of reach
  * @param {object} state - State to modify (mutates tree/nodes)
  * @param {string} tree_id - Tree to process
  */
@@ -409,7 +890,7 @@ function apply_cascade_refunds(state, tree_id) {
 		for (const node of tree.nodes) {
 			if (node.current_rank > 0) {
 				const prereqs_met = check_prerequisites(state, tree_id, node.id);
-				if (!prereqs_met) {
+				if (!prereqs_met || get_tier_lock(tree, node) || get_level_lock(state, node)) {
 					// Refund all points from this node
 					for (let i = 0; i < node.current_rank; i++) {
 						const cost_index = Math.min(i, node.cost_per_rank.length - 1);
@@ -444,8 +925,336 @@ function reset_tree(state, tree_id) {
 		node.current_rank = 0;
 	}
 
-	// Reset spent points
+	// Reset spent points and start a new allocation order
 	tree.point_pool.spent = 0;
+	tree.allocation_order = { steps: [], position: 0 };
+	sync_global_pool(new_state);
+
+	return new_state;
+}
+
+/**
+ * Allocates the cheapest path to the next rank of a node, one rank at a
+ * time in play mode order. Nothing is allocated unless the whole path fits.
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree containing the node
+ * @param {string} node_id - ID of node to unlock
+ * @returns {object} New state with the path allocated
+ */
+function allocate_path(state, tree_id, node_id) {
+	const path = find_cheapest_path(state, tree_id, node_id);
+
+	if (!path.found || !path.affordable) {
+		return state;
+	}
+
+	let new_state = state;
+
+	for (const step of path.steps) {
+		if (!can_allocate_point(new_state, tree_id, step.node_id).can_allocate) {
+			return state;
+		}
+		new_state = allocate_point(new_state, tree_id, step.node_id);
+	}
+
+	new_state.ui_state.path_preview = null;
+
+	return new_state;
+}
+
+// ============================================================================
+// Allocation Order
+// ============================================================================
+
+/**
+ * Records a play mode allocation or refund in the tree's allocation order.
+ * Steps after the current position are dropped, like redo after an edit.
+ * @param {object} state - State to modify (mutates tree)
+ * @param {object} tree - Tree the step happened in
+ * @param {string} type - "allocate" or "refund"
+ * @param {string} node_id - Node ID
+ */
+function record_allocation_step(state, tree, type, node_id) {
+	if (state.ui_state.mode !== "play") {
+		return;
+	}
+
+	const order = tree.allocation_order || { steps: [], position: 0 };
+	const steps = order.steps.slice(0, order.position);
+	steps.push({ type: type, node_id: node_id });
+
+	tree.allocation_order = { steps: steps, position: steps.length };
+	state.ui_state.replay_issue = null;
+}
+
+/**
+ * Rebuilds the tree's allocation by replaying its recorded order from an
+ * empty tree up to a position, with play mode validation. Replay stops at
+ * the first step that is no longer legal, which is reported through
+ * ui_state.replay_issue. Seeking to the end replays the whole order against
+ * the current design.
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree to replay
+ * @param {number} position - Number of steps to apply
+ * @returns {object} New state with the allocation at that step
+ */
+function seek_allocation_order(state, tree_id, position) {
+	const tree = find_tree(state, tree_id);
+
+	if (!tree) {
+		return state;
+	}
+
+	const steps = tree.allocation_order?.steps || [];
+	const target = Math.max(0, Math.min(position, steps.length));
+
+	// Start from an empty tree but keep the recorded steps
+	let new_state = touch_modified(clone_state(state));
+	const mode = new_state.ui_state.mode;
+	new_state.ui_state.mode = "play";
+
+	for (const node of find_tree(new_state, tree_id).nodes) {
+		node.current_rank = 0;
+	}
+	find_tree(new_state, tree_id).point_pool.spent = 0;
+	sync_global_pool(new_state);
+
+	let issue = null;
+
+	for (let i = 0; i < target; i++) {
+		const step = steps[i];
+		const check = step.type === "refund"
+			? can_refund_point(new_state, tree_id, step.node_id)
+			: can_allocate_point(new_state, tree_id, step.node_id);
+
+		if (!(check.can_allocate || check.can_refund)) {
+			issue = { tree_id: tree_id, step_index: i, reason: check.reason };
+			break;
+		}
+
+		new_state = step.type === "refund"
+			? refund_point(new_state, tree_id, step.node_id)
+			: allocate_point(new_state, tree_id, step.node_id);
+	}
+
+	find_tree(new_state, tree_id).allocation_order = {
+		steps: steps,
+		position: issue ? issue.step_index : target
+	};
+	new_state.ui_state.mode = mode;
+	new_state.ui_state.replay_issue = issue;
+
+	return new_state;
+}
+
+/**
+ * Recalculates the global pool's spent points from the trees drawing on it
+ * @param {object} state - State to modify (mutates settings)
+ */
+function sync_global_pool(state) {
+	state.project.settings.global_point_pool.spent = calculate_global_spent_points(state);
+}
+
+// ============================================================================
+// Build Actions
+// ============================================================================
+
+/**
+ * Saves the tree's current allocation as a named build
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree to save the build for
+ * @param {object} options - Build options { name, notes }
+ * @returns {object} New state with added build
+ */
+function save_build(state, tree_id, options = {}) {
+	const new_state = touch_modified(clone_state(state));
+	const tree = find_tree(new_state, tree_id);
+
+	if (!tree) {
+		return state;
+	}
+
+	const builds = tree.builds || (tree.builds = []);
+	const build = create_build(
+		generate_id("build"),
+		options.name || `Build ${builds.length + 1}`,
+		get_allocation_map(tree)
+	);
+
+	if (options.notes) {
+		build.notes = options.notes;
+	}
+
+	builds.push(build);
+
+	return new_state;
+}
+
+/**
+ * Replaces a build's allocation with the tree's current allocation
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree containing the build
+ * @param {string} build_id - ID of build to overwrite
+ * @returns {object} New state with updated build
+ */
+function overwrite_build(state, tree_id, build_id) {
+	const new_state = touch_modified(clone_state(state));
+	const tree = find_tree(new_state, tree_id);
+	const build = tree?.builds?.find(b => b.id === build_id);
+
+	if (!build) {
+		return state;
+	}
+
+	build.allocations = get_allocation_map(tree);
+	build.modified_at = new Date().toISOString();
+
+	return new_state;
+}
+
+/**
+ * Applies a saved build to the tree through load_allocations, so its ranks
+ * are allocated in a valid unlock order. Nodes that no longer exist and ranks
+ * that no longer fit the design are left out.
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree containing the build
+ * @param {string} build_id - ID of build to load
+ * @returns {object} New state with the build's ranks applied
+ */
+function load_build(state, tree_id, build_id) {
+	const tree = find_tree(state, tree_id);
+	const build = tree?.builds?.find(b => b.id === build_id);
+
+	if (!build) {
+		return state;
+	}
+
+	return load_allocations(state, tree_id, build.allocations);
+}
+
+/**
+ * Rebuilds a tree's allocation from a map of node ID to rank, allocating one
+ * rank at a time in an order that passes play mode validation. Ranks that
+ * can never be allocated are left out.
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree to allocate in
+ * @param {object} allocations - Map of node ID to target rank
+ * @returns {object} New state with the allocation applied
+ */
+function load_allocations(state, tree_id, allocations) {
+	let new_state = reset_tree(state, tree_id);
+
+	if (new_state === state) {
+		return state;
+	}
+
+	const mode = new_state.ui_state.mode;
+	new_state.ui_state.mode = "play";
+
+	const node_ids = find_tree(new_state, tree_id).nodes.map(node => node.id);
+	let progress = true;
+
+	// Keep sweeping until no more ranks fit, so prerequisites are allocated first
+	while (progress) {
+		progress = false;
+
+		for (const node_id of node_ids) {
+			const node = find_node(new_state, tree_id, node_id);
+			const target = Math.min(allocations[node_id] || 0, node.max_rank);
+
+			if (node.current_rank < target && can_allocate_point(new_state, tree_id, node_id).can_allocate) {
+				new_state = allocate_point(new_state, tree_id, node_id);
+				progress = true;
+			}
+		}
+	}
+
+	new_state.ui_state.mode = mode;
+
+	return new_state;
+}
+
+/**
+ * Allocates a tree's ranks again with play mode's checks, for ranks that
+ * were set outside play mode. When every rank still fits and the tree's
+ * allocation order replays to those ranks, the order is kept so its history
+ * survives; otherwise it is rebuilt from the allocation.
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree to check
+ * @returns {object} New state with the tree's ranks checked
+ */
+function reallocate_tree(state, tree_id) {
+	const tree = find_tree(state, tree_id);
+	if (!tree || !tree.nodes.some(node => node.current_rank > 0)) {
+		return state;
+	}
+
+	const allocations = get_allocation_map(tree);
+	const result = load_allocations(state, tree_id, allocations);
+	const result_tree = find_tree(result, tree_id);
+
+	// Net ranks of the recorded steps up to the current position
+	const order = tree.allocation_order || { steps: [], position: 0 };
+	const replayed = {};
+	for (const step of order.steps.slice(0, order.position)) {
+		replayed[step.node_id] = (replayed[step.node_id] || 0) + (step.type === "allocate" ? 1 : -1);
+	}
+
+	const same_ranks = (a, b) => Object.keys({ ...a, ...b }).every(node_id => (a[node_id] || 0) === (b[node_id] || 0));
+	const kept = get_allocation_map(result_tree);
+	if (same_ranks(kept, allocations) && same_ranks(kept, replayed)) {
+		result_tree.allocation_order = JSON.parse(JSON.stringify(order));
+	}
+
+	return result;
+}
+
+/**
+ * Updates a build's name or notes
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree containing the build
+ * @param {string} build_id - ID of build to update
+ * @param {object} changes - Properties to update { name, notes }
+ * @returns {object} New state with updated build
+ */
+function update_build(state, tree_id, build_id, changes) {
+	const new_state = touch_modified(clone_state(state));
+	const tree = find_tree(new_state, tree_id);
+	const build = tree?.builds?.find(b => b.id === build_id);
+
+	if (!build) {
+		return state;
+	}
+
+	if (typeof changes.name === "string" && changes.name.trim()) {
+		build.name = changes.name.trim();
+	}
+	if (typeof changes.notes === "string") {
+		build.notes = changes.notes;
+	}
+
+	build.modified_at = new Date().toISOString();
+
+	return new_state;
+}
+
+/**
+ * Removes a saved build
+ * @param {object} state - Current state
+ * @param {string} tree_id - ID of tree containing the build
+ * @param {string} build_id - ID of build to remove
+ * @returns {object} New state with build removed
+ */
+function remove_build(state, tree_id, build_id) {
+	const new_state = touch_modified(clone_state(state));
+	const tree = find_tree(new_state, tree_id);
+	const index = tree?.builds ? tree.builds.findIndex(b => b.id === build_id) : -1;
+
+	if (index === -1) {
+		return state;
+	}
+
+	tree.builds.splice(index, 1);
 
 	return new_state;
 }
@@ -455,7 +1264,8 @@ function reset_tree(state, tree_id) {
 // ============================================================================
 
 /**
- * Adds a connection between two nodes
+ * Adds a connection between two nodes. Duplicates and connections that
+ * would create a cycle are refused; can_add_connection gives the reason.
  * @param {object} state - Current state
  * @param {string} tree_id - ID of tree to add connection to
  * @param {object} options - Connection options { from_node_id, to_node_id, logic, required_rank }
@@ -483,12 +1293,8 @@ function add_connection(state, tree_id, options) {
 		return state;
 	}
 
-	// Check for duplicate connection
-	const duplicate = tree.connections.some(
-		c => c.from_node_id === options.from_node_id && c.to_node_id === options.to_node_id
-	);
-
-	if (duplicate) {
+	// Refuse duplicates and connections that would close a loop
+	if (!can_add_connection(new_state, tree_id, options.from_node_id, options.to_node_id).can_add) {
 		return state;
 	}
 
@@ -569,6 +1375,189 @@ function update_connection(state, tree_id, connection_id, changes) {
 	return new_state;
 }
 
+// ============================================================================
+// History Actions
+// ============================================================================
+
+/**
+ * Actions that change project data and can be undone.
+ * Pure UI actions (viewport, tooltip, selection, mode) are never recorded.
+ * Node moves are recorded once per drag through checkpoint_history.
+ */
+const UNDOABLE_ACTIONS = new Set([
+	update_project_metadata,
+	set_lint_rule_enabled,
+	restore_project,
+	apply_project_changes,
+	add_tree,
+	remove_tree,
+	merge_trees,
+	update_tree,
+	update_global_pool,
+	update_character_level,
+	add_tier,
+	update_tier,
+	remove_tier,
+	add_node,
+	remove_node,
+	update_node,
+	set_lint_suppression,
+	allocate_point,
+	refund_point,
+	reset_tree,
+	allocate_path,
+	seek_allocation_order,
+	save_build,
+	overwrite_build,
+	load_build,
+	load_allocations,
+	update_build,
+	remove_build,
+	add_connection,
+	remove_connection,
+	update_connection
+]);
+
+/**
+ * Checks whether an action should be recorded in the undo history
+ * @param {function} action_fn - Action function
+ * @returns {boolean} True if the action is undoable
+ */
+function is_undoable_action(action_fn) {
+	return UNDOABLE_ACTIONS.has(action_fn);
+}
+
+/**
+ * Actions that only change what is shown, never the project or its history.
+ * They are the only ones allowed while a snapshot is previewed.
+ */
+const VIEW_ACTIONS = new Set([
+	set_active_tree,
+	set_selected_node,
+	set_mode,
+	set_viewport,
+	set_tooltip,
+	set_comparison,
+	set_path_preview,
+	set_snapshot_list,
+	set_snapshot_preview,
+	start_connection_mode,
+	cancel_connection_mode,
+	set_connection_settings
+]);
+
+/**
+ * Checks whether an action leaves the project and its history untouched
+ * @param {function} action_fn - Action function
+ * @returns {boolean} True if the action only changes the view
+ */
+function is_view_action(action_fn) {
+	return VIEW_ACTIONS.has(action_fn);
+}
+
+/**
+ * Records a previous project snapshot in the undo history
+ * @param {object} state - Current state
+ * @param {object} previous_project - Project as it was before the change
+ * @returns {object} New state with the snapshot pushed and redo cleared
+ */
+function push_history(state, previous_project) {
+	const { past, max_size } = state.history;
+
+	return {
+		...state,
+		history: {
+			past: [...past, previous_project].slice(-max_size),
+			future: [],
+			max_size: max_size
+		}
+	};
+}
+
+/**
+ * Records the current project so the following unrecorded changes
+ * (such as a node drag) can be undone as a single step
+ * @param {object} state - Current state
+ * @returns {object} New state with a history entry for the current project
+ */
+function checkpoint_history(state) {
+	return push_history(state, state.project);
+}
+
+/**
+ * Restores the previous project snapshot
+ * @param {object} state - Current state
+ * @returns {object} New state with the last change undone
+ */
+function undo(state) {
+	const { past, future, max_size } = state.history;
+
+	if (past.length === 0) {
+		return state;
+	}
+
+	const new_state = clone_state({ ...state, project: past[past.length - 1] });
+	new_state.history = {
+		past: past.slice(0, -1),
+		future: [state.project, ...future],
+		max_size: max_size
+	};
+
+	sync_ui_with_project(new_state);
+
+	return new_state;
+}
+
+/**
+ * Re-applies the most recently undone project snapshot
+ * @param {object} state - Current state
+ * @returns {object} New state with the last undo reverted
+ */
+function redo(state) {
+	const { past, future, max_size } = state.history;
+
+	if (future.length === 0) {
+		return state;
+	}
+
+	const new_state = clone_state({ ...state, project: future[0] });
+	new_state.history = {
+		past: [...past, state.project].slice(-max_size),
+		future: future.slice(1),
+		max_size: max_size
+	};
+
+	sync_ui_with_project(new_state);
+
+	return new_state;
+}
+
+/**
+ * Clears UI references to trees and nodes that no longer exist
+ * @param {object} state - State to modify (mutates ui_state)
+ */
+function sync_ui_with_project(state) {
+	const ui = state.ui_state;
+	const tree = find_tree(state, ui.active_tree_id);
+
+	if (!tree) {
+		ui.active_tree_id = state.project.trees[0]?.id || null;
+		ui.selected_node_id = null;
+	}
+
+	if (ui.selected_node_id && !find_node(state, ui.active_tree_id, ui.selected_node_id)) {
+		ui.selected_node_id = null;
+	}
+
+	if (ui.connection_mode.from_node_id && !find_node(state, ui.active_tree_id, ui.connection_mode.from_node_id)) {
+		ui.connection_mode.active = false;
+		ui.connection_mode.from_node_id = null;
+	}
+
+	ui.tooltip.visible = false;
+	ui.tooltip.node_id = null;
+}
+
 // ============================================================================
 // UI State Actions
 // ============================================================================
@@ -660,6 +1649,64 @@ function set_tooltip(state, tooltip) {
 	return new_state;
 }
 
+/**
+ * Sets or clears the build comparison shown on the canvas
+ * @param {object} state - Current state
+ * @param {object|null} comparison - { tree_id, build_a, build_b } with build IDs or "current", or null
+ * @returns {object} New state with comparison updated
+ */
+function set_comparison(state, comparison) {
+	const new_state = clone_state(state);
+	new_state.ui_state.comparison = comparison
+		? { tree_id: comparison.tree_id, build_a: comparison.build_a, build_b: comparison.build_b }
+		: null;
+	return new_state;
+}
+
+/**
+ * Sets the node whose cheapest path is previewed on the canvas
+ * @param {object} state - Current state
+ * @param {object|null} path_preview - { tree_id, node_id }, or null to clear
+ * @returns {object} New state with path preview updated
+ */
+function set_path_preview(state, path_preview) {
+	const new_state = clone_state(state);
+	new_state.ui_state.path_preview = path_preview
+		? { tree_id: path_preview.tree_id, node_id: path_preview.node_id }
+		: null;
+	return new_state;
+}
+
+/**
+ * Sets the snapshot summaries shown in the history panel
+ * @param {object} state - Current state
+ * @param {array} snapshots - Summaries from the storage module, newest first
+ * @returns {object} New state with the snapshot list updated
+ */
+function set_snapshot_list(state, snapshots) {
+	const new_state = clone_state(state);
+	new_state.ui_state.snapshots = snapshots.map(snapshot => ({ ...snapshot }));
+
+	if (!new_state.ui_state.snapshots.some(s => s.id === new_state.ui_state.snapshot_preview)) {
+		new_state.ui_state.snapshot_preview = null;
+	}
+	return new_state;
+}
+
+/**
+ * Sets the snapshot previewed read-only on the canvas
+ * @param {object} state - Current state
+ * @param {string|null} snapshot_id - Snapshot ID, or null to go back to the project
+ * @returns {object} New state with snapshot preview updated
+ */
+function set_snapshot_preview(state, snapshot_id) {
+	const new_state = clone_state(state);
+	new_state.ui_state.snapshot_preview = snapshot_id;
+	new_state.ui_state.selected_node_id = null;
+	new_state.ui_state.path_preview = null;
+	return new_state;
+}
+
 /**
  * Enters connection creation mode
  * @param {object} state - Current state
@@ -707,34 +1754,68 @@ function set_connection_settings(state, settings) {
 export {
 	// Project actions
 	update_project_metadata,
+	set_lint_rule_enabled,
+	restore_project,
+	apply_project_changes,
 
 	// Tree actions
 	add_tree,
 	remove_tree,
+	merge_trees,
 	update_tree,
+	update_global_pool,
+	update_character_level,
+	add_tier,
+	update_tier,
+	remove_tier,
 
 	// Node actions
 	add_node,
 	remove_node,
 	update_node,
 	update_node_position,
+	set_lint_suppression,
 
 	// Point allocation
 	allocate_point,
 	refund_point,
 	reset_tree,
+	allocate_path,
+
+	// Allocation order
+	seek_allocation_order,
+
+	// Build actions
+	save_build,
+	overwrite_build,
+	load_build,
+	load_allocations,
+	update_build,
+	remove_build,
 
 	// Connection actions
 	add_connection,
 	remove_connection,
 	update_connection,
 
+	// History actions
+	is_undoable_action,
+	is_view_action,
+	push_history,
+	checkpoint_history,
+	undo,
+	redo,
+
 	// UI state actions
 	set_active_tree,
 	set_selected_node,
 	set_mode,
 	set_viewport,
 	set_tooltip,
+	set_comparison,
+	set_path_preview,
+	set_snapshot_list,
+	set_snapshot_preview,
 
 	// Connection mode actions
 	start_connection_mode,
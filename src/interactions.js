@@ -4,9 +4,22 @@
  */
 
 import { find_tree, find_node } from "./state.js";
-import { can_allocate_point, can_refund_point } from "./validation_engine.js";
+import { can_allocate_point, can_refund_point, can_add_connection } from "./validation_engine.js";
 import * as actions from "./actions.js";
-import { render_tooltip, hide_tooltip } from "./renderer.js";
+import {
+	render_tooltip, hide_tooltip, render_recent_projects, render_project_list,
+	render_import_tree_list, render_compare_list
+} from "./renderer.js";
+import {
+	export_project, download_file, encode_build_code, parse_import, plan_tree_import, convert_keys, describe_allocation_gaps
+} from "./io.js";
+import { CURRENT_VERSION } from "./migrations.js";
+import { diff_projects } from "./project_diff.js";
+import { export_nodes_csv, export_connections_csv, import_tree_csv } from "./spreadsheet.js";
+import {
+	list_saved_projects, get_recent_projects, get_active_project_id,
+	duplicate_saved_project, rename_saved_project
+} from "./storage.js";
 import { calculate_zoom_to_fit, calculate_center_on_node } from "./viewport_utils.js";
 
 // Global interaction state
@@ -32,13 +45,25 @@ function setup_interactions(get_state, dispatch, elements) {
 			return;
 		}
 
+		const key = event.key.toLowerCase();
+
+		// Ctrl+Z to Undo, Ctrl+Shift+Z or Ctrl+Y to Redo (both modes)
+		if ((event.ctrlKey || event.metaKey) && !event.altKey) {
+			if (key === "z") {
+				event.preventDefault();
+				dispatch(event.shiftKey ? actions.redo : actions.undo);
+			} else if (key === "y") {
+				event.preventDefault();
+				dispatch(actions.redo);
+			}
+			return;
+		}
+
 		const state = get_state();
 		if (state.ui_state.mode !== "edit") {
 			return;
 		}
 
-		const key = event.key.toLowerCase();
-
 		// 'A' to Add Node
 		if (key === "a") {
 			event.preventDefault();
@@ -120,7 +145,14 @@ function setup_node_interactions(get_state, dispatch, elements) {
 						`Source: ${node.name}. Now click a target node.`;
 				}
 			} else if (node_id !== from_id) {
-				// Second click: create connection
+				// Second click: create connection, keeping the source if the target is refused
+				const { can_add, reason } = can_add_connection(state, tree_id, from_id, node_id);
+				if (!can_add) {
+					elements.connection_panel.querySelector(".panel_description").textContent =
+						`${reason}. Click another target node.`;
+					return;
+				}
+
 				dispatch(actions.add_connection, tree_id, {
 					from_node_id: from_id,
 					to_node_id: node_id,
@@ -141,6 +173,11 @@ function setup_node_interactions(get_state, dispatch, elements) {
 		if (state.ui_state.mode === "edit") {
 			// Edit mode: select node
 			dispatch(actions.set_selected_node, node_id);
+		} else if (event.shiftKey) {
+			// Play mode with Shift: preview the cheapest path, or hide it on a second click
+			const preview = state.ui_state.path_preview;
+			const is_previewed = preview && preview.tree_id === tree_id && preview.node_id === node_id;
+			dispatch(actions.set_path_preview, is_previewed ? null : { tree_id: tree_id, node_id: node_id });
 		} else {
 			// Play mode: allocate point
 			const { can_allocate } = can_allocate_point(state, tree_id, node_id);
@@ -150,6 +187,37 @@ function setup_node_interactions(get_state, dispatch, elements) {
 		}
 	});
 
+	// Path preview bar
+	elements.btn_allocate_path.addEventListener("click", () => {
+		const preview = get_state().ui_state.path_preview;
+		if (preview) {
+			dispatch(actions.allocate_path, preview.tree_id, preview.node_id);
+		}
+	});
+
+	elements.btn_clear_path.addEventListener("click", () => {
+		dispatch(actions.set_path_preview, null);
+	});
+
+	// Snapshot preview bar
+	elements.btn_restore_preview.addEventListener("click", () => {
+		const snapshot_id = get_state().ui_state.snapshot_preview;
+		if (snapshot_id && confirm("Replace the current project with this snapshot? The current version is kept as a snapshot.")) {
+			window.dispatchEvent(new CustomEvent("restore_snapshot", { detail: snapshot_id }));
+		}
+	});
+
+	elements.btn_branch_preview.addEventListener("click", () => {
+		const snapshot_id = get_state().ui_state.snapshot_preview;
+		if (snapshot_id) {
+			window.dispatchEvent(new CustomEvent("branch_snapshot", { detail: snapshot_id }));
+		}
+	});
+
+	elements.btn_exit_preview.addEventListener("click", () => {
+		window.dispatchEvent(new CustomEvent("exit_snapshot_preview"));
+	});
+
 	// Right-click handling (refund)
 	nodes_layer.addEventListener("contextmenu", (event) => {
 		const node_element = event.target.closest(".skill_node");
@@ -246,6 +314,7 @@ function setup_node_interactions(get_state, dispatch, elements) {
 function setup_canvas_interactions(get_state, dispatch, elements) {
 	const container = elements.canvas_container;
 	let is_dragging = false;
+	let drag_moved = false;
 	let drag_node_id = null;
 	let drag_start = { x: 0, y: 0 };
 	let node_start = { x: 0, y: 0 };
@@ -317,6 +386,7 @@ function setup_canvas_interactions(get_state, dispatch, elements) {
 		const zoom = state.ui_state.viewport.zoom;
 
 		is_dragging = true;
+		drag_moved = false;
 		drag_node_id = node_id;
 		drag_start = { x: event.clientX, y: event.clientY };
 		node_start = { x: node.position.x, y: node.position.y };
@@ -333,6 +403,22 @@ function setup_canvas_interactions(get_state, dispatch, elements) {
 			const y = event.clientY - rect.top;
 			temp_connection_line.setAttribute("x2", x);
 			temp_connection_line.setAttribute("y2", y);
+
+			// Explain why the node under the cursor can't be the target
+			const target_node = event.target.closest?.(".skill_node");
+			const state = get_state();
+			const check = target_node && target_node.dataset.node_id !== connect_from_node_id
+				? can_add_connection(state, state.ui_state.active_tree_id, connect_from_node_id, target_node.dataset.node_id)
+				: null;
+			const refused = check && !check.can_add;
+
+			temp_connection_line.setAttribute("stroke", refused ? "#ef4444" : "#f59e0b");
+			elements.connection_hint.classList.toggle("hidden", !refused);
+			if (refused) {
+				elements.connection_hint.textContent = check.reason;
+				elements.connection_hint.style.left = `${x + 16}px`;
+				elements.connection_hint.style.top = `${y + 16}px`;
+			}
 			return;
 		}
 
@@ -348,6 +434,12 @@ function setup_canvas_interactions(get_state, dispatch, elements) {
 			const new_x = Math.max(0, node_start.x + dx);
 			const new_y = Math.max(0, node_start.y + dy);
 
+			// Record a single undo step for the whole drag
+			if (!drag_moved) {
+				drag_moved = true;
+				dispatch(actions.checkpoint_history);
+			}
+
 			dispatch(actions.update_node_position, tree_id, drag_node_id, new_x, new_y);
 			return;
 		}
@@ -372,6 +464,7 @@ function setup_canvas_interactions(get_state, dispatch, elements) {
 				temp_connection_line.remove();
 				temp_connection_line = null;
 			}
+			elements.connection_hint.classList.add("hidden");
 
 			// Remove connecting class from source node
 			const source_element = elements.nodes_layer.querySelector(`[data-node_id="${connect_from_node_id}"]`);
@@ -387,15 +480,9 @@ function setup_canvas_interactions(get_state, dispatch, elements) {
 				const state = get_state();
 				const tree_id = state.ui_state.active_tree_id;
 				const target_id = target_node.dataset.node_id;
-				const tree = state.project.trees.find(t => t.id === tree_id);
-
-				// Check if connection already exists in either direction (prevent circular)
-				const connection_exists = tree?.connections.some(c =>
-					(c.from_node_id === connect_from_node_id && c.to_node_id === target_id) ||
-					(c.from_node_id === target_id && c.to_node_id === connect_from_node_id)
-				);
 
-				if (!connection_exists) {
+				// Duplicates and cycles were already explained while hovering
+				if (can_add_connection(state, tree_id, connect_from_node_id, target_id).can_add) {
 					dispatch(actions.add_connection, tree_id, {
 						from_node_id: connect_from_node_id,
 						to_node_id: target_id,
@@ -508,7 +595,7 @@ function setup_canvas_interactions(get_state, dispatch, elements) {
 		const connection_id = path.dataset.connection_id;
 		const tree_id = state.ui_state.active_tree_id;
 
-		// Delete without confirmation for a smoother UX
+		// Delete without confirmation for a smoother UX (Ctrl+Z restores it)
 		dispatch(actions.remove_connection, tree_id, connection_id);
 	});
 }
@@ -538,6 +625,15 @@ function setup_toolbar_interactions(get_state, dispatch, elements) {
 		dispatch(actions.set_mode, "play");
 	});
 
+	// Character level slider: preview while dragging, apply on release
+	elements.character_level.addEventListener("input", (event) => {
+		elements.character_level_value.textContent = event.target.value;
+	});
+
+	elements.character_level.addEventListener("change", (event) => {
+		dispatch(actions.update_character_level, { level: parseInt(event.target.value, 10) });
+	});
+
 	// Zoom controls
 	elements.btn_zoom_in.addEventListener("click", () => {
 		const state = get_state();
@@ -565,6 +661,15 @@ function setup_toolbar_interactions(get_state, dispatch, elements) {
 		}
 	});
 
+	// Undo/redo buttons
+	elements.btn_undo.addEventListener("click", () => {
+		dispatch(actions.undo);
+	});
+
+	elements.btn_redo.addEventListener("click", () => {
+		dispatch(actions.redo);
+	});
+
 	// Reset button
 	elements.btn_reset.addEventListener("click", () => {
 		const state = get_state();
@@ -581,17 +686,18 @@ function setup_toolbar_interactions(get_state, dispatch, elements) {
 
 		let project_data = JSON.parse(JSON.stringify(state.project));
 
-		if (convention !== "snake_case") {
-			project_data = convert_keys(project_data, convention);
-		}
-
 		// Use tree name for filename and internal metadata
 		const tree = state.project.trees.find(t => t.id === state.ui_state.active_tree_id);
 		const tree_name = tree ? tree.name : "skill_tree";
 		project_data.metadata.name = tree_name;
 
+		// Convert last, the keys above are snake_case
+		if (convention !== "snake_case") {
+			project_data = convert_keys(project_data, convention);
+		}
+
 		const json = JSON.stringify({
-			version: "1.0.0",
+			version: CURRENT_VERSION,
 			project: project_data
 		}, null, 2);
 
@@ -606,10 +712,23 @@ function setup_toolbar_interactions(get_state, dispatch, elements) {
 		URL.revokeObjectURL(url);
 	});
 
+	// Share button
+	elements.btn_share.addEventListener("click", () => {
+		const state = get_state();
+		const tree = find_tree(state, state.ui_state.active_tree_id);
+		const code = tree ? encode_build_code(tree) : "";
+
+		elements.share_code.value = code;
+		elements.share_link.value = code ? get_share_link(code) : "";
+		show_modal(elements.share_modal);
+	});
+
 	// Import button
 	elements.btn_import.addEventListener("click", () => {
 		show_modal(elements.import_modal);
 		elements.import_json.value = "";
+		show_import_errors(elements.import_errors, []);
+		show_import_step(elements, false);
 	});
 }
 
@@ -638,10 +757,312 @@ function setup_sidebar_interactions(get_state, dispatch, elements) {
 		const state = get_state();
 		const tree_id = state.ui_state.active_tree_id;
 		if (tree_id) {
-			dispatch(actions.update_tree, tree_id, { total_points: parseInt(event.target.value, 10) || 0 });
+			const total = parseInt(event.target.value, 10) || 0;
+			const pool = find_tree(state, tree_id).point_pool;
+
+			if (total < pool.spent) {
+				alert(`${pool.spent} points are already spent in this tree. Refund some before lowering its total.`);
+				event.target.value = pool.total;
+				return;
+			}
+
+			dispatch(actions.update_tree, tree_id, { total_points: total });
+		}
+	});
+
+	elements.tree_point_source.addEventListener("change", (event) => {
+		const state = get_state();
+		const tree_id = state.ui_state.active_tree_id;
+		if (tree_id) {
+			dispatch(actions.update_tree, tree_id, { point_source: event.target.value });
+		}
+	});
+
+	elements.global_pool_total.addEventListener("change", (event) => {
+		const total = parseInt(event.target.value, 10) || 0;
+		const pool = get_state().project.settings.global_point_pool;
+
+		if (total < pool.spent) {
+			alert(`${pool.spent} points are already spent from the global pool. Refund some before lowering its total.`);
+			event.target.value = pool.total;
+			return;
+		}
+
+		dispatch(actions.update_global_pool, { total: total });
+	});
+
+	elements.tree_points_per_level.addEventListener("change", (event) => {
+		const tree_id = get_state().ui_state.active_tree_id;
+		const values = parse_points_per_level(event.target.value);
+		if (tree_id && values) {
+			dispatch(actions.update_tree, tree_id, { points_per_level: values });
+		}
+	});
+
+	elements.global_points_per_level.addEventListener("change", (event) => {
+		const values = parse_points_per_level(event.target.value);
+		if (values) {
+			dispatch(actions.update_global_pool, { points_per_level: values });
+		}
+	});
+
+	elements.max_level.addEventListener("change", (event) => {
+		dispatch(actions.update_character_level, { max_level: parseInt(event.target.value, 10) || 1 });
+	});
+
+	elements.btn_add_tier.addEventListener("click", () => {
+		const tree_id = get_state().ui_state.active_tree_id;
+		if (tree_id) {
+			dispatch(actions.add_tier, tree_id);
+		}
+	});
+
+	elements.tier_list.addEventListener("change", (event) => {
+		const item = event.target.closest(".tier_item");
+		if (!item) {
+			return;
+		}
+
+		const tree_id = get_state().ui_state.active_tree_id;
+		const tier_id = item.dataset.tier_id;
+
+		if (event.target.classList.contains("tier_name")) {
+			dispatch(actions.update_tier, tree_id, tier_id, { name: event.target.value.trim() });
+		} else if (event.target.classList.contains("tier_y")) {
+			dispatch(actions.update_tier, tree_id, tier_id, { y: parseInt(event.target.value, 10) || 0 });
+		} else if (event.target.classList.contains("tier_points")) {
+			dispatch(actions.update_tier, tree_id, tier_id, { points_required: parseInt(event.target.value, 10) || 0 });
 		}
 	});
 
+	elements.tier_list.addEventListener("click", (event) => {
+		const button = event.target.closest(".tier_remove");
+		if (button) {
+			const tree_id = get_state().ui_state.active_tree_id;
+			dispatch(actions.remove_tier, tree_id, button.closest(".tier_item").dataset.tier_id);
+		}
+	});
+
+	// Warning links jump to the offending node or connection, or ignore the rule for the node
+	elements.warning_list.addEventListener("click", (event) => {
+		const link = event.target.closest(".warning_link");
+		if (!link) {
+			return;
+		}
+
+		const item = link.closest(".warning_item");
+		const state = get_state();
+		const tree = find_tree(state, state.ui_state.active_tree_id);
+		if (!tree) {
+			return;
+		}
+
+		const rect = elements.canvas_container.getBoundingClientRect();
+		const zoom = state.ui_state.viewport.zoom;
+		const action = link.dataset.warning_action;
+
+		if (action === "node") {
+			const node = find_node(state, tree.id, item.dataset.node_id);
+			if (node) {
+				dispatch(actions.set_viewport, calculate_center_on_node(node, rect.width, rect.height, zoom));
+				dispatch(actions.set_selected_node, node.id);
+			}
+		} else if (action === "connection") {
+			const connection = tree.connections.find(c => c.id === item.dataset.connection_id);
+			const from_node = connection && find_node(state, tree.id, connection.from_node_id);
+			const to_node = connection && find_node(state, tree.id, connection.to_node_id);
+			if (from_node && to_node) {
+				// Center between both ends, then flash the path once it is rendered
+				const midpoint = {
+					position: {
+						x: (from_node.position.x + to_node.position.x) / 2,
+						y: (from_node.position.y + to_node.position.y) / 2
+					}
+				};
+				dispatch(actions.set_viewport, calculate_center_on_node(midpoint, rect.width, rect.height, zoom));
+				elements.connections_layer
+					.querySelector(`[data-connection_id="${connection.id}"]`)
+					?.classList.add("highlighted");
+			}
+		} else if (action === "ignore") {
+			dispatch(actions.set_lint_suppression, tree.id, item.dataset.node_id, item.dataset.rule_id, true);
+		}
+	});
+
+	// Lint rules
+	elements.lint_rule_list.addEventListener("change", (event) => {
+		if (event.target.classList.contains("lint_rule_toggle")) {
+			dispatch(actions.set_lint_rule_enabled, event.target.dataset.rule_id, event.target.checked);
+		}
+	});
+
+	// Saved builds
+	elements.btn_save_build.addEventListener("click", () => {
+		const tree_id = get_state().ui_state.active_tree_id;
+		if (tree_id) {
+			dispatch(actions.save_build, tree_id, { name: elements.new_build_name.value.trim() });
+			elements.new_build_name.value = "";
+		}
+	});
+
+	elements.build_list.addEventListener("change", (event) => {
+		const item = event.target.closest(".build_item");
+		if (!item) {
+			return;
+		}
+
+		const tree_id = get_state().ui_state.active_tree_id;
+		const build_id = item.dataset.build_id;
+
+		if (event.target.classList.contains("build_name")) {
+			dispatch(actions.update_build, tree_id, build_id, { name: event.target.value });
+		} else if (event.target.classList.contains("build_notes")) {
+			dispatch(actions.update_build, tree_id, build_id, { notes: event.target.value });
+		}
+	});
+
+	elements.build_list.addEventListener("click", (event) => {
+		const button = event.target.closest("[data-build_action]");
+		if (!button) {
+			return;
+		}
+
+		const state = get_state();
+		const tree_id = state.ui_state.active_tree_id;
+		const item = button.closest(".build_item");
+		const build_id = item.dataset.build_id;
+		const build_name = item.querySelector(".build_name").value;
+
+		switch (button.dataset.build_action) {
+			case "load": {
+				const { allocations } = find_tree(state, tree_id).builds.find(b => b.id === build_id);
+				dispatch(actions.load_build, tree_id, build_id);
+
+				const warnings = describe_allocation_gaps(get_state(), tree_id, allocations);
+				if (warnings.length > 0) {
+					alert(`"${build_name}" loaded with changes:\n` + warnings.slice(0, 10).join("\n"));
+				}
+				break;
+			}
+			case "overwrite":
+				if (confirm(`Replace "${build_name}" with the current allocation?`)) {
+					dispatch(actions.overwrite_build, tree_id, build_id);
+				}
+				break;
+			case "export": {
+				const json = export_project(state, { build_only: true, build_id: build_id, pretty: true });
+				download_file(`${build_name.replace(/\s+/g, "_")}.json`, json);
+				break;
+			}
+			case "delete":
+				if (confirm(`Delete build "${build_name}"?`)) {
+					dispatch(actions.remove_build, tree_id, build_id);
+				}
+				break;
+		}
+	});
+
+	// Build comparison
+	elements.btn_compare_builds.addEventListener("click", () => {
+		const tree_id = get_state().ui_state.active_tree_id;
+		if (tree_id) {
+			dispatch(actions.set_comparison, {
+				tree_id: tree_id,
+				build_a: elements.compare_build_a.value,
+				build_b: elements.compare_build_b.value
+			});
+		}
+	});
+
+	elements.btn_clear_comparison.addEventListener("click", () => {
+		dispatch(actions.set_comparison, null);
+	});
+
+	// Allocation order timeline
+	const seek_timeline = (get_position) => {
+		const state = get_state();
+		const tree = find_tree(state, state.ui_state.active_tree_id);
+		if (tree) {
+			const { steps, position } = tree.allocation_order || { steps: [], position: 0 };
+			dispatch(actions.seek_allocation_order, tree.id, get_position(position, steps.length));
+		}
+	};
+
+	elements.btn_timeline_start.addEventListener("click", () => seek_timeline(() => 0));
+	elements.btn_timeline_back.addEventListener("click", () => seek_timeline(position => position - 1));
+	elements.btn_timeline_forward.addEventListener("click", () => seek_timeline(position => position + 1));
+	elements.btn_timeline_end.addEventListener("click", () => seek_timeline((position, length) => length));
+
+	elements.timeline_list.addEventListener("click", (event) => {
+		const step = event.target.closest(".timeline_step");
+		if (step) {
+			seek_timeline(() => parseInt(step.dataset.step, 10) + 1);
+		}
+	});
+
+	// Version history
+	elements.btn_take_snapshot.addEventListener("click", () => {
+		window.dispatchEvent(new CustomEvent("take_snapshot", { detail: { name: elements.new_snapshot_name.value.trim() } }));
+		elements.new_snapshot_name.value = "";
+	});
+
+	elements.snapshot_list.addEventListener("change", (event) => {
+		const item = event.target.closest(".snapshot_item");
+		const name = event.target.value.trim();
+
+		if (item && event.target.classList.contains("snapshot_name") && name) {
+			window.dispatchEvent(new CustomEvent("rename_snapshot", { detail: { id: item.dataset.snapshot_id, name: name } }));
+		}
+	});
+
+	elements.snapshot_list.addEventListener("click", (event) => {
+		const button = event.target.closest("[data-snapshot_action]");
+		if (!button) {
+			return;
+		}
+
+		const item = button.closest(".snapshot_item");
+		const snapshot_id = item.dataset.snapshot_id;
+		const snapshot_name = item.querySelector(".snapshot_name").value;
+
+		switch (button.dataset.snapshot_action) {
+			case "preview":
+				window.dispatchEvent(new CustomEvent("preview_snapshot", { detail: snapshot_id }));
+				break;
+			case "restore":
+				if (confirm(`Replace the current project with "${snapshot_name}"? The current version is kept as a snapshot.`)) {
+					window.dispatchEvent(new CustomEvent("restore_snapshot", { detail: snapshot_id }));
+				}
+				break;
+			case "branch":
+				window.dispatchEvent(new CustomEvent("branch_snapshot", { detail: snapshot_id }));
+				break;
+			case "delete":
+				if (confirm(`Delete snapshot "${snapshot_name}"?`)) {
+					window.dispatchEvent(new CustomEvent("delete_snapshot", { detail: snapshot_id }));
+				}
+				break;
+		}
+	});
+
+	// Spreadsheet round-trip
+	elements.btn_export_csv.addEventListener("click", () => {
+		const state = get_state();
+		const tree = find_tree(state, state.ui_state.active_tree_id);
+		if (tree) {
+			const filename = tree.name.replace(/\s+/g, "_");
+			download_file(`${filename}_nodes.csv`, export_nodes_csv(tree), "text/csv");
+			download_file(`${filename}_connections.csv`, export_connections_csv(tree), "text/csv");
+		}
+	});
+
+	elements.btn_import_csv.addEventListener("click", () => {
+		elements.csv_nodes.value = "";
+		elements.csv_connections.value = "";
+		show_import_errors(elements.csv_errors, []);
+		show_modal(elements.csv_modal);
+	});
+
 	elements.export_convention.addEventListener("change", (event) => {
 		dispatch(actions.update_project_metadata, { export_convention: event.target.value });
 	});
@@ -709,6 +1130,15 @@ function setup_sidebar_interactions(get_state, dispatch, elements) {
 		}
 	});
 
+	elements.node_prereq_expression.addEventListener("change", (event) => {
+		const state = get_state();
+		const tree_id = state.ui_state.active_tree_id;
+		const node_id = state.ui_state.selected_node_id;
+		if (tree_id && node_id) {
+			dispatch(actions.update_node, tree_id, node_id, { prerequisite_expression: event.target.value.trim() });
+		}
+	});
+
 	elements.node_costs.addEventListener("change", (event) => {
 		const state = get_state();
 		const tree_id = state.ui_state.active_tree_id;
@@ -730,6 +1160,54 @@ function setup_sidebar_interactions(get_state, dispatch, elements) {
 		}
 	});
 
+	// Incoming connection logic and required rank (delegated)
+	elements.node_prerequisites.addEventListener("change", (event) => {
+		const item = event.target.closest(".prerequisite_item");
+		if (!item) {
+			return;
+		}
+
+		const state = get_state();
+		const tree_id = state.ui_state.active_tree_id;
+		const connection_id = item.dataset.connection_id;
+
+		if (event.target.classList.contains("prerequisite_logic")) {
+			dispatch(actions.update_connection, tree_id, connection_id, { logic: event.target.value });
+		} else if (event.target.classList.contains("prerequisite_rank")) {
+			const rank = parseInt(event.target.value, 10);
+			if (rank >= 1) {
+				dispatch(actions.update_connection, tree_id, connection_id, { required_rank: rank });
+			}
+		}
+	});
+
+	elements.node_lint_suppressions.addEventListener("click", (event) => {
+		const button = event.target.closest(".lint_suppression_remove");
+		if (button) {
+			const state = get_state();
+			const rule_id = button.closest(".lint_suppression_item").dataset.rule_id;
+			dispatch(actions.set_lint_suppression, state.ui_state.active_tree_id, state.ui_state.selected_node_id, rule_id, false);
+		}
+	});
+
+	elements.node_required_level.addEventListener("change", (event) => {
+		const state = get_state();
+		const tree_id = state.ui_state.active_tree_id;
+		const node_id = state.ui_state.selected_node_id;
+		if (tree_id && node_id) {
+			dispatch(actions.update_node, tree_id, node_id, { required_level: Math.max(0, parseInt(event.target.value, 10) || 0) });
+		}
+	});
+
+	elements.node_exclusive_group.addEventListener("change", (event) => {
+		const state = get_state();
+		const tree_id = state.ui_state.active_tree_id;
+		const node_id = state.ui_state.selected_node_id;
+		if (tree_id && node_id) {
+			dispatch(actions.update_node, tree_id, node_id, { exclusive_group: event.target.value.trim() });
+		}
+	});
+
 	elements.btn_delete_node.addEventListener("click", () => {
 		const state = get_state();
 		const tree_id = state.ui_state.active_tree_id;
@@ -792,6 +1270,11 @@ function setup_sidebar_interactions(get_state, dispatch, elements) {
 		}
 	});
 
+	// Connection logic
+	elements.connection_logic.addEventListener("change", (event) => {
+		dispatch(actions.set_connection_settings, { logic: event.target.value });
+	});
+
 	// Toggle sidebar (hide)
 	elements.btn_toggle_sidebar.addEventListener("click", () => {
 		elements.sidebar.classList.add("collapsed");
@@ -826,20 +1309,93 @@ function setup_modal_interactions(get_state, dispatch, elements) {
 		}
 	});
 
-	// Import modal
+	// Share modal
+	elements.btn_copy_share_link.addEventListener("click", () => {
+		const link = elements.share_link.value;
+		if (!link) {
+			return;
+		}
+
+		elements.share_link.select();
+		navigator.clipboard?.writeText(link).catch(() => document.execCommand("copy"));
+	});
+
+	elements.btn_load_share_code.addEventListener("click", () => {
+		const code = elements.share_code.value.trim();
+		if (code) {
+			window.dispatchEvent(new CustomEvent("load_build_code", { detail: code }));
+			hide_modal(elements.share_modal);
+		}
+	});
+
+	elements.btn_close_share.addEventListener("click", () => {
+		hide_modal(elements.share_modal);
+	});
+
+	elements.btn_cancel_share.addEventListener("click", () => {
+		hide_modal(elements.share_modal);
+	});
+
+	// Import modal. Merging trees is a second step in the same dialog, which
+	// previews each tree from the file against the current project.
+	let merge_project = null;
+	const merge_tree_ids = new Set();
+
+	const render_merge_preview = () => {
+		const plans = plan_tree_import(get_state(), merge_project, { on_collision: elements.import_collision.value });
+		render_import_tree_list(plans, merge_tree_ids, elements);
+		elements.btn_confirm_import.disabled = merge_tree_ids.size === 0;
+	};
+
 	elements.btn_confirm_import.addEventListener("click", () => {
+		if (!elements.import_merge.classList.contains("hidden")) {
+			const plans = plan_tree_import(get_state(), merge_project, {
+				tree_ids: [...merge_tree_ids],
+				on_collision: elements.import_collision.value
+			});
+			dispatch(actions.merge_trees, plans.map(plan => plan.tree));
+			hide_modal(elements.import_modal);
+			return;
+		}
+
 		const json = elements.import_json.value.trim();
 		if (json) {
-			try {
-				const data = JSON.parse(json);
-				if (data.project) {
-					// This requires special handling in main.js
-					window.dispatchEvent(new CustomEvent("import_project", { detail: data }));
-					hide_modal(elements.import_modal);
+			// Keep the dialog open with the problems listed until the JSON is valid
+			const { data, project, errors } = parse_import(json);
+			show_import_errors(elements.import_errors, errors);
+
+			if (errors.length === 0) {
+				const target = elements.import_modal.querySelector("input[name='import_target']:checked")?.value;
+
+				if (target === "merge") {
+					merge_project = project;
+					merge_tree_ids.clear();
+					project.trees.forEach(tree => merge_tree_ids.add(tree.id));
+					show_import_step(elements, true);
+					render_merge_preview();
+					return;
 				}
-			} catch (e) {
-				alert("Invalid JSON: " + e.message);
+
+				// This requires special handling in main.js
+				window.dispatchEvent(new CustomEvent("import_project", {
+					detail: { data: data, as_new: target !== "replace" }
+				}));
+				hide_modal(elements.import_modal);
+			}
+		}
+	});
+
+	elements.import_collision.addEventListener("change", render_merge_preview);
+
+	elements.import_tree_list.addEventListener("change", (event) => {
+		const item = event.target.closest(".import_tree_item");
+		if (item && event.target.classList.contains("import_tree_pick")) {
+			if (event.target.checked) {
+				merge_tree_ids.add(item.dataset.tree_id);
+			} else {
+				merge_tree_ids.delete(item.dataset.tree_id);
 			}
+			render_merge_preview();
 		}
 	});
 
@@ -851,6 +1407,224 @@ function setup_modal_interactions(get_state, dispatch, elements) {
 		hide_modal(elements.import_modal);
 	});
 
+	// Compare modal. The other project is kept while the dialog is open so
+	// the list can be worked through, re-diffed after every merge.
+	let compare_project = null;
+	let compare_changes = [];
+	const picked_changes = new Set();
+
+	const show_compare_step = (showing_result) => {
+		elements.compare_source.classList.toggle("hidden", showing_result);
+		elements.compare_result.classList.toggle("hidden", !showing_result);
+		elements.btn_run_compare.classList.toggle("hidden", showing_result);
+		elements.btn_select_all_changes.classList.toggle("hidden", !showing_result);
+		elements.btn_apply_changes.classList.toggle("hidden", !showing_result);
+	};
+
+	const refresh_compare_list = () => {
+		compare_changes = diff_projects(get_state().project, compare_project);
+		render_compare_list(compare_changes, picked_changes, elements);
+		elements.btn_apply_changes.disabled = picked_changes.size === 0;
+	};
+
+	elements.btn_compare.addEventListener("click", () => {
+		compare_project = null;
+		picked_changes.clear();
+		elements.compare_json.value = "";
+		show_import_errors(elements.compare_errors, []);
+		show_compare_step(false);
+		show_modal(elements.compare_modal);
+	});
+
+	elements.btn_run_compare.addEventListener("click", () => {
+		const json = elements.compare_json.value.trim();
+		if (!json) {
+			return;
+		}
+
+		// The other file is migrated and validated the same way as an import
+		const { project, errors } = parse_import(json);
+		show_import_errors(elements.compare_errors, errors);
+
+		if (errors.length === 0) {
+			compare_project = project;
+			show_compare_step(true);
+			refresh_compare_list();
+		}
+	});
+
+	elements.compare_list.addEventListener("change", (event) => {
+		const item = event.target.closest(".compare_item");
+		if (item && event.target.classList.contains("compare_pick")) {
+			if (event.target.checked) {
+				picked_changes.add(item.dataset.change_id);
+			} else {
+				picked_changes.delete(item.dataset.change_id);
+			}
+			elements.btn_apply_changes.disabled = picked_changes.size === 0;
+		}
+	});
+
+	elements.btn_select_all_changes.addEventListener("click", () => {
+		const all_picked = compare_changes.every(change => picked_changes.has(change.id));
+		picked_changes.clear();
+		if (!all_picked) {
+			compare_changes.forEach(change => picked_changes.add(change.id));
+		}
+		render_compare_list(compare_changes, picked_changes, elements);
+		elements.btn_apply_changes.disabled = picked_changes.size === 0;
+	});
+
+	elements.btn_apply_changes.addEventListener("click", () => {
+		const picked = compare_changes.filter(change => picked_changes.has(change.id));
+		if (picked.length === 0) {
+			return;
+		}
+
+		dispatch(actions.apply_project_changes, picked);
+		picked_changes.clear();
+		refresh_compare_list();
+
+		// Anything still listed didn't fit the current project
+		const skipped = picked.filter(change => compare_changes.some(c => c.id === change.id));
+		if (skipped.length > 0) {
+			alert(`${skipped.length} change${skipped.length !== 1 ? "s" : ""} could not be applied, e.g. a connection that would create a cycle or a node whose tree was removed:\n`
+				+ skipped.slice(0, 10).map(change => `${change.tree_name}: ${change.label}`).join("\n"));
+		}
+	});
+
+	elements.btn_cancel_compare.addEventListener("click", () => {
+		hide_modal(elements.compare_modal);
+	});
+
+	elements.btn_close_compare.addEventListener("click", () => {
+		hide_modal(elements.compare_modal);
+	});
+
+	// CSV import modal. Nothing changes unless every row is valid.
+	elements.btn_confirm_csv.addEventListener("click", () => {
+		const state = get_state();
+		const tree = find_tree(state, state.ui_state.active_tree_id);
+		if (!tree) {
+			return;
+		}
+
+		const result = import_tree_csv(tree, {
+			nodes_csv: elements.csv_nodes.value,
+			connections_csv: elements.csv_connections.value
+		});
+		show_import_errors(elements.csv_errors, result.errors);
+
+		if (result.errors.length === 0) {
+			dispatch(actions.merge_trees, [result.tree]);
+			hide_modal(elements.csv_modal);
+
+			if (result.warnings.length > 0) {
+				const { updated, created, connections_updated, connections_created } = result.summary;
+				alert(`Updated ${updated} and added ${created} nodes, updated ${connections_updated} and added ${connections_created} connections.\n`
+					+ result.warnings.join("\n"));
+			}
+		}
+	});
+
+	elements.btn_cancel_csv.addEventListener("click", () => {
+		hide_modal(elements.csv_modal);
+	});
+
+	elements.btn_close_csv.addEventListener("click", () => {
+		hide_modal(elements.csv_modal);
+	});
+
+	// Project library
+	elements.project_menu.addEventListener("toggle", () => {
+		if (elements.project_menu.open) {
+			render_recent_projects(get_recent_projects(), get_active_project_id(), elements);
+		}
+	});
+
+	elements.recent_project_list.addEventListener("click", (event) => {
+		const button = event.target.closest(".recent_project_item");
+		if (!button) {
+			return;
+		}
+
+		elements.project_menu.open = false;
+		if (button.dataset.project_id !== get_active_project_id()) {
+			window.dispatchEvent(new CustomEvent("open_project", { detail: button.dataset.project_id }));
+		}
+	});
+
+	elements.btn_new_project.addEventListener("click", () => {
+		elements.project_menu.open = false;
+		window.dispatchEvent(new CustomEvent("new_project"));
+	});
+
+	elements.btn_browse_projects.addEventListener("click", () => {
+		elements.project_menu.open = false;
+		render_project_list(list_saved_projects(), get_active_project_id(), elements);
+		show_modal(elements.project_modal);
+	});
+
+	elements.btn_create_project.addEventListener("click", () => {
+		hide_modal(elements.project_modal);
+		window.dispatchEvent(new CustomEvent("new_project"));
+	});
+
+	elements.project_list.addEventListener("change", (event) => {
+		const item = event.target.closest(".project_item");
+		if (!item || !event.target.classList.contains("project_name")) {
+			return;
+		}
+
+		const name = event.target.value.trim() || "Untitled Project";
+
+		// The open project is renamed in the app state so it can be undone
+		if (item.dataset.project_id === get_active_project_id()) {
+			dispatch(actions.update_project_metadata, { name: name });
+		} else {
+			rename_saved_project(item.dataset.project_id, name).then(() => refresh_project_list(elements));
+		}
+	});
+
+	elements.project_list.addEventListener("click", (event) => {
+		const button = event.target.closest("[data-project_action]");
+		if (!button) {
+			return;
+		}
+
+		const item = button.closest(".project_item");
+		const project_id = item.dataset.project_id;
+		const project_name = item.querySelector(".project_name").value;
+
+		switch (button.dataset.project_action) {
+			case "open":
+				hide_modal(elements.project_modal);
+				window.dispatchEvent(new CustomEvent("open_project", { detail: project_id }));
+				return;
+			case "duplicate":
+				duplicate_saved_project(project_id).then(() => refresh_project_list(elements));
+				break;
+			case "delete":
+				if (confirm(`Delete project "${project_name}"? This can't be undone.`)) {
+					window.dispatchEvent(new CustomEvent("delete_project", { detail: project_id }));
+				}
+				break;
+		}
+	});
+
+	// main.js reports library changes once its async work finishes
+	window.addEventListener("project_library_changed", () => {
+		refresh_project_list(elements);
+	});
+
+	elements.btn_cancel_projects.addEventListener("click", () => {
+		hide_modal(elements.project_modal);
+	});
+
+	elements.btn_close_projects.addEventListener("click", () => {
+		hide_modal(elements.project_modal);
+	});
+
 	// Create first tree button
 	elements.btn_create_first_tree.addEventListener("click", () => {
 		show_modal(elements.tree_modal);
@@ -866,9 +1640,35 @@ function setup_modal_interactions(get_state, dispatch, elements) {
 		});
 	});
 
-	// Dropzone for imports
-	const dropzone = elements.import_dropzone;
+	// Dropzones for imports, comparisons and spreadsheets
+	const is_json = file => file.type === "application/json";
+
+	setup_file_dropzone(elements.import_dropzone, is_json, (text) => {
+		elements.import_json.value = text;
+		show_import_errors(elements.import_errors, []);
+	});
+
+	setup_file_dropzone(elements.compare_dropzone, is_json, (text) => {
+		elements.compare_json.value = text;
+		show_import_errors(elements.compare_errors, []);
+	});
+
+	// Each sheet goes in its box, told apart by the connection columns
+	setup_file_dropzone(elements.csv_dropzone, file => /\.csv$/i.test(file.name), (text) => {
+		const header = text.split(/\r?\n/, 1)[0];
+		const target = header.includes("from_node_id") ? elements.csv_connections : elements.csv_nodes;
+		target.value = text;
+		show_import_errors(elements.csv_errors, []);
+	});
+}
 
+/**
+ * Reads files dropped on a dropzone
+ * @param {HTMLElement} dropzone - Drop target
+ * @param {function} accepts - Called with each dropped File, true to read it
+ * @param {function} on_load - Called with each accepted file's text
+ */
+function setup_file_dropzone(dropzone, accepts, on_load) {
 	dropzone.addEventListener("dragover", (event) => {
 		event.preventDefault();
 		dropzone.classList.add("dragover");
@@ -882,47 +1682,87 @@ function setup_modal_interactions(get_state, dispatch, elements) {
 		event.preventDefault();
 		dropzone.classList.remove("dragover");
 
-		const file = event.dataTransfer.files[0];
-		if (file && file.type === "application/json") {
-			const reader = new FileReader();
-			reader.onload = (e) => {
-				elements.import_json.value = e.target.result;
-			};
-			reader.readAsText(file);
+		for (const file of event.dataTransfer.files) {
+			if (accepts(file)) {
+				const reader = new FileReader();
+				reader.onload = (e) => on_load(e.target.result);
+				reader.readAsText(file);
+			}
 		}
 	});
 }
 
 /**
- * Recursively converts object keys to a specific naming convention
+ * Builds a planner link that opens the app on a build code
  */
-function convert_keys(obj, convention) {
-	if (Array.isArray(obj)) {
-		return obj.map(v => convert_keys(v, convention));
-	} else if (obj !== null && typeof obj === "object") {
-		const new_obj = {};
-		for (const key in obj) {
-			if (Object.prototype.hasOwnProperty.call(obj, key)) {
-				const new_key = transform_key(key, convention);
-				new_obj[new_key] = convert_keys(obj[key], convention);
-			}
+function get_share_link(code) {
+	const url = new URL(window.location.href);
+	url.hash = `build=${encodeURIComponent(code)}`;
+	return url.toString();
+}
+
+/**
+ * Parses a comma-separated points-per-level curve. An empty string clears it.
+ * @returns {array|null} Array of points, or null if any value is invalid
+ */
+function parse_points_per_level(text) {
+	if (text.trim() === "") {
+		return [];
+	}
+
+	const values = text.split(",").map(v => parseInt(v.trim(), 10));
+	return values.every(v => !isNaN(v) && v >= 0) ? values : null;
+}
+
+/**
+ * Lists import validation errors in a dialog, hiding the list when there
+ * are none. Errors located by JSON pointer show the pointer separately.
+ * @param {HTMLElement} list - Error list element
+ * @param {array} errors - Error messages
+ */
+function show_import_errors(list, errors) {
+	list.innerHTML = "";
+	list.classList.toggle("hidden", errors.length === 0);
+
+	for (const error of errors) {
+		const item = document.createElement("li");
+		const match = error.match(/^(\/\S*): (.*)$/);
+
+		if (match) {
+			const pointer = document.createElement("code");
+			pointer.className = "import_error_pointer";
+			pointer.textContent = match[1];
+			item.appendChild(pointer);
+			item.appendChild(document.createTextNode(` ${match[2]}`));
+		} else {
+			item.textContent = error;
 		}
-		return new_obj;
+
+		list.appendChild(item);
 	}
-	return obj;
 }
 
 /**
- * Transforms a single string key to the target convention
+ * Switches the import dialog between pasting a file and picking the trees
+ * to merge from it
+ * @param {object} elements - DOM element references
+ * @param {boolean} merging - Whether to show the tree picker
+ */
+function show_import_step(elements, merging) {
+	elements.import_source.classList.toggle("hidden", merging);
+	elements.import_merge.classList.toggle("hidden", !merging);
+	elements.btn_confirm_import.textContent = merging ? "Add Trees" : "Import";
+	elements.btn_confirm_import.disabled = false;
+}
+
+/**
+ * Re-renders the project browser's list while it is open
+ * @param {object} elements - DOM element references
  */
-function transform_key(key, convention) {
-	if (convention === "camelCase") {
-		return key.replace(/(_\w)/g, m => m[1].toUpperCase());
-	} else if (convention === "PascalCase") {
-		const camel = key.replace(/(_\w)/g, m => m[1].toUpperCase());
-		return camel.charAt(0).toUpperCase() + camel.slice(1);
+function refresh_project_list(elements) {
+	if (!elements.project_modal.classList.contains("hidden")) {
+		render_project_list(list_saved_projects(), get_active_project_id(), elements);
 	}
-	return key;
 }
 
 /**
@@ -3,12 +3,47 @@
  * Handles project serialization, deserialization, and validation
  */
 
-import { create_initial_state, clone_state } from "./state.js";
+import { create_initial_state, clone_state, find_tree, find_node, get_allocation_map, generate_id } from "./state.js";
+import { calculate_spent_points, can_allocate_point, apply_allocation_map } from "./validation_engine.js";
+import { load_allocations } from "./actions.js";
+import { register_schema, get_schema, validate_schema, format_schema_errors } from "./schema_validator.js";
+import { CURRENT_VERSION, migrate_project } from "./migrations.js";
 
-const CURRENT_VERSION = "1.0.0";
+const BUILD_CODE_VERSION = 1;
+
+const PROJECT_SCHEMA_ID = "schema_project.json";
+const SCHEMA_FILES = ["schema_project.json", "schema_tree.json", "schema_node.json", "schema_connection.json"];
+
+// Properties whose keys are data (node IDs), not field names. Their keys are
+// never converted, so exported IDs come back unchanged.
+const DATA_MAP_KEYS = new Set(["allocations"]);
+
+// ============================================================================
+// Validation
+// ============================================================================
 
 /**
- * Validates a project object structure
+ * Fetches the bundled JSON schemas and registers them with the validator.
+ * Until this resolves, validate_project falls back to its built-in checks.
+ * @returns {Promise<void>}
+ */
+async function load_project_schemas() {
+	const base = new URL("../schemas/", import.meta.url);
+
+	const schemas = await Promise.all(SCHEMA_FILES.map(async (file) => {
+		const response = await fetch(new URL(file, base));
+		if (!response.ok) {
+			throw new Error(`Failed to load ${file}: ${response.status}`);
+		}
+		return response.json();
+	}));
+
+	schemas.forEach(register_schema);
+}
+
+/**
+ * Validates a project object structure. Once the schemas are loaded, errors
+ * are JSON pointers into the project, e.g. "/trees/0/nodes/2/type: ...".
  * @param {object} project - Project to validate
  * @returns {object} { valid, errors }
  */
@@ -20,6 +55,16 @@ function validate_project(project) {
 		return { valid: false, errors: errors };
 	}
 
+	if (get_schema(PROJECT_SCHEMA_ID)) {
+		errors.push(...format_schema_errors(validate_schema(PROJECT_SCHEMA_ID, project)));
+		errors.push(...validate_references(project));
+
+		return {
+			valid: errors.length === 0,
+			errors: errors
+		};
+	}
+
 	// Check required fields
 	if (!project.metadata) {
 		errors.push("Missing project.metadata");
@@ -49,6 +94,44 @@ function validate_project(project) {
 	};
 }
 
+/**
+ * Checks what the schemas can't express: node IDs are unique within a tree
+ * and connections point at nodes that exist
+ * @param {object} project - Project to check
+ * @returns {array} Array of error messages, located by JSON pointer
+ */
+function validate_references(project) {
+	const errors = [];
+
+	if (!Array.isArray(project.trees)) {
+		return errors;
+	}
+
+	project.trees.forEach((tree, tree_index) => {
+		if (!Array.isArray(tree?.nodes) || !Array.isArray(tree.connections)) {
+			return;
+		}
+
+		const node_ids = new Set();
+		tree.nodes.forEach((node, i) => {
+			if (node_ids.has(node?.id)) {
+				errors.push(`/trees/${tree_index}/nodes/${i}/id: duplicate node ID "${node.id}"`);
+			}
+			node_ids.add(node?.id);
+		});
+
+		tree.connections.forEach((conn, i) => {
+			for (const key of ["from_node_id", "to_node_id"]) {
+				if (typeof conn?.[key] === "string" && !node_ids.has(conn[key])) {
+					errors.push(`/trees/${tree_index}/connections/${i}/${key}: references non-existent node "${conn[key]}"`);
+				}
+			}
+		});
+	});
+
+	return errors;
+}
+
 /**
  * Validates a tree object
  * @param {object} tree - Tree to validate
@@ -191,10 +274,112 @@ function validate_connection(conn, prefix, node_ids) {
 	return errors;
 }
 
+// ============================================================================
+// Key Conventions
+// ============================================================================
+
+/**
+ * Recursively converts object keys to a naming convention. Converting a
+ * camelCase or PascalCase export back with "snake_case" restores the
+ * original keys: every field name in the schemas is lower-case words joined
+ * by single underscores, which both conversions map one-to-one. A digit has
+ * no upper case to mark where its word starts, so the underscore before it
+ * is kept ("tier_2_name" becomes "tier_2Name").
+ * @param {*} data - Value to convert
+ * @param {string} convention - "snake_case", "camelCase" or "PascalCase"
+ * @returns {*} Copy with converted keys
+ */
+function convert_keys(data, convention) {
+	if (Array.isArray(data)) {
+		return data.map(v => convert_keys(v, convention));
+	}
+
+	if (data === null || typeof data !== "object") {
+		return data;
+	}
+
+	const converted = {};
+	for (const key of Object.keys(data)) {
+		const new_key = transform_key(key, convention);
+		converted[new_key] = DATA_MAP_KEYS.has(to_snake_case(key))
+			? JSON.parse(JSON.stringify(data[key]))
+			: convert_keys(data[key], convention);
+	}
+	return converted;
+}
+
+/**
+ * Transforms a single key to a naming convention
+ * @param {string} key - Key in any of the supported conventions
+ * @param {string} convention - "snake_case", "camelCase" or "PascalCase"
+ * @returns {string} Converted key
+ */
+function transform_key(key, convention) {
+	const snake = to_snake_case(key);
+
+	if (convention === "camelCase") {
+		return snake.replace(/_([a-z])/g, (m, c) => c.toUpperCase());
+	}
+	if (convention === "PascalCase") {
+		const camel = snake.replace(/_([a-z])/g, (m, c) => c.toUpperCase());
+		return camel.charAt(0).toUpperCase() + camel.slice(1);
+	}
+	return snake;
+}
+
+/**
+ * Converts a camelCase or PascalCase key to snake_case. snake_case keys,
+ * and underscores kept before digits, come back unchanged.
+ */
+function to_snake_case(key) {
+	return key
+		.replace(/^[A-Z]/, c => c.toLowerCase())
+		.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+}
+
+/**
+ * Works out which key convention a project was exported with
+ * @param {*} data - Project data
+ * @returns {string} "snake_case", "camelCase" or "PascalCase". Files mixing
+ * conventions count as snake_case so validation reports the odd keys.
+ */
+function detect_key_convention(data) {
+	let has_underscore = false;
+	let has_upper_first = false;
+	let has_upper = false;
+
+	const visit = (value) => {
+		if (Array.isArray(value)) {
+			value.forEach(visit);
+		} else if (value !== null && typeof value === "object") {
+			for (const key of Object.keys(value)) {
+				// Underscores before digits survive camelCase and PascalCase
+				has_underscore = has_underscore || /_(?![0-9])/.test(key);
+				has_upper_first = has_upper_first || /^[A-Z]/.test(key);
+				has_upper = has_upper || /[A-Z]/.test(key);
+
+				if (!DATA_MAP_KEYS.has(to_snake_case(key))) {
+					visit(value[key]);
+				}
+			}
+		}
+	};
+	visit(data);
+
+	if (has_underscore || !has_upper) {
+		return "snake_case";
+	}
+	return has_upper_first ? "PascalCase" : "camelCase";
+}
+
+// ============================================================================
+// Import/Export
+// ============================================================================
+
 /**
  * Exports the project to a JSON string
  * @param {object} state - Current application state
- * @param {object} options - Export options
+ * @param {object} options - Export options { build_only, build_id, pretty }
  * @returns {string} JSON string
  */
 function export_project(state, options = {}) {
@@ -203,8 +388,10 @@ function export_project(state, options = {}) {
 		project: state.project
 	};
 
-	// Option: Build only (minimal export)
-	if (options.build_only) {
+	// Option: Build only (minimal export), of the live allocation or a named build
+	if (options.build_only && options.build_id) {
+		data.project = export_build(state, options.build_id);
+	} else if (options.build_only) {
 		data.project = {
 			version: state.project.version,
 			metadata: {
@@ -237,45 +424,127 @@ function export_project(state, options = {}) {
 }
 
 /**
- * Imports a project from a JSON string
+ * Builds the minimal export of one named build. Ranks come from the build
+ * rather than the tree's current allocation.
+ * @param {object} state - Current state
+ * @param {string} build_id - ID of the build to export
+ * @returns {object|null} Project data, or null if the build doesn't exist
+ */
+function export_build(state, build_id) {
+	const tree = state.project.trees.find(t => (t.builds || []).some(b => b.id === build_id));
+	if (!tree) {
+		return null;
+	}
+
+	const build = tree.builds.find(b => b.id === build_id);
+	const build_tree = apply_allocation_map(tree, build.allocations);
+
+	return {
+		version: state.project.version,
+		metadata: {
+			name: state.project.metadata.name,
+			exported_at: new Date().toISOString()
+		},
+		trees: [{
+			id: tree.id,
+			name: tree.name,
+			build: {
+				id: build.id,
+				name: build.name,
+				notes: build.notes
+			},
+			nodes: build_tree.nodes.map(node => ({
+				id: node.id,
+				name: node.name,
+				current_rank: node.current_rank,
+				max_rank: node.max_rank
+			})),
+			point_pool: {
+				total: tree.point_pool.total,
+				spent: calculate_spent_points(build_tree)
+			}
+		}]
+	};
+}
+
+/**
+ * Parses, migrates and validates import JSON without applying it, so the
+ * import dialog can list problems before anything changes
  * @param {string} json - JSON string to import
- * @returns {object} { success, state, errors, warnings }
+ * @returns {object} { data, project, errors, warnings }, project is migrated
  */
-function import_project(json) {
+function parse_import(json) {
 	const result = {
-		success: false,
-		state: null,
+		data: null,
+		project: null,
 		errors: [],
 		warnings: []
 	};
 
 	// Parse JSON
-	let data;
 	try {
-		data = JSON.parse(json);
+		result.data = JSON.parse(json);
 	} catch (e) {
 		result.errors.push(`Invalid JSON: ${e.message}`);
 		return result;
 	}
 
-	if (!data || typeof data !== "object") {
+	if (!result.data || typeof result.data !== "object") {
 		result.errors.push("Data must be an object");
 		return result;
 	}
 
-	// Check for project data
-	const project = data.project || data;
+	// Accept both the export wrapper and a bare project
+	result.project = result.data.project || result.data;
 
-	// Validate structure
-	const validation = validate_project(project);
-	if (!validation.valid) {
-		result.errors = validation.errors;
-		return result;
+	// Files exported with camelCase or PascalCase keys get their keys back
+	const convention = detect_key_convention(result.project);
+	if (convention !== "snake_case") {
+		result.project = convert_keys(result.project, "snake_case");
+		result.warnings.push(`Converted ${convention} keys back to snake_case`);
 	}
 
-	// Version check
-	if (data.version && data.version !== CURRENT_VERSION) {
-		result.warnings.push(`Version mismatch: file is ${data.version}, current is ${CURRENT_VERSION}`);
+	// Upgrade older files before validating against the current schemas
+	if (typeof result.project === "object" && !Array.isArray(result.project)) {
+		try {
+			const migration = migrate_project(result.project, result.project.version || result.data.version);
+			result.project = migration.project;
+			result.warnings.push(...migration.warnings);
+
+			if (migration.applied.length > 0) {
+				result.warnings.push(`Upgraded project from version ${migration.from_version} to ${migration.to_version}`);
+			}
+		} catch (error) {
+			result.errors.push(error.message);
+			return result;
+		}
+	}
+
+	// Validate structure
+	result.errors = validate_project(result.project).errors;
+
+	return result;
+}
+
+/**
+ * Imports a project from a JSON string
+ * @param {string} json - JSON string to import
+ * @returns {object} { success, state, errors, warnings }
+ */
+function import_project(json) {
+	const result = {
+		success: false,
+		state: null,
+		errors: [],
+		warnings: []
+	};
+
+	const { project, errors, warnings } = parse_import(json);
+	result.warnings = warnings;
+
+	if (errors.length > 0) {
+		result.errors = errors;
+		return result;
 	}
 
 	// Create new state
@@ -290,13 +559,22 @@ function import_project(json) {
 			description: project.metadata?.description || "",
 			author: project.metadata?.author || "",
 			created_at: project.metadata?.created_at || new Date().toISOString(),
-			modified_at: new Date().toISOString()
+			modified_at: new Date().toISOString(),
+			export_convention: project.metadata?.export_convention || "snake_case"
 		},
 		settings: {
 			global_point_pool: {
 				enabled: project.settings?.global_point_pool?.enabled || false,
 				total: project.settings?.global_point_pool?.total || 0,
-				spent: project.settings?.global_point_pool?.spent || 0
+				spent: project.settings?.global_point_pool?.spent || 0,
+				points_per_level: project.settings?.global_point_pool?.points_per_level || []
+			},
+			character_level: {
+				level: project.settings?.character_level?.level || 1,
+				max_level: project.settings?.character_level?.max_level || 60
+			},
+			lint: {
+				disabled_rules: project.settings?.lint?.disabled_rules || []
 			},
 			allow_refunds: project.settings?.allow_refunds !== false,
 			cascade_refunds: project.settings?.cascade_refunds || false
@@ -315,6 +593,248 @@ function import_project(json) {
 	return result;
 }
 
+/**
+ * Works out how trees from an import file would be added to the current
+ * project, without changing anything, so the import dialog can preview
+ * exactly what the merge will do.
+ *
+ * A tree whose ID is already in the project either replaces that tree
+ * ("replace") or is added under a new ID ("rename"). Node and connection IDs
+ * used anywhere else in the project are always renamed, along with every
+ * reference to them in connections, builds, allocation order and
+ * prerequisite expressions.
+ * @param {object} state - Current state
+ * @param {object} project - Project from parse_import
+ * @param {object} options - { tree_ids: trees to add, all when omitted, on_collision: "rename" or "replace" }
+ * @returns {array} One entry per tree as { tree, source_id, name, node_count,
+ * connection_count, replaces, renamed }. tree is the copy to merge, replaces
+ * the name of the tree it replaces or null, renamed lists { kind, from, to }.
+ */
+function plan_tree_import(state, project, options = {}) {
+	const on_collision = options.on_collision || "rename";
+	const source_trees = (project.trees || []).filter(t => !options.tree_ids || options.tree_ids.includes(t.id));
+	const current_trees = state.project.trees;
+
+	// Trees being replaced don't count as collisions for their nodes
+	const replaced_ids = new Set(on_collision === "replace"
+		? source_trees.filter(t => current_trees.some(c => c.id === t.id)).map(t => t.id)
+		: []);
+	const kept_trees = current_trees.filter(t => !replaced_ids.has(t.id));
+
+	const used = {
+		tree: new Set(kept_trees.map(t => t.id)),
+		node: new Set(kept_trees.flatMap(t => t.nodes.map(n => n.id))),
+		conn: new Set(kept_trees.flatMap(t => t.connections.map(c => c.id)))
+	};
+
+	return source_trees.map((source) => {
+		const tree = JSON.parse(JSON.stringify(source));
+		const renamed = [];
+		const replaced = replaced_ids.has(source.id) ? current_trees.find(t => t.id === source.id) : null;
+
+		// Only the first copy of a tree ID can replace, later ones are renamed
+		replaced_ids.delete(source.id);
+		tree.id = claim_id(used.tree, tree.id, "tree", "tree", renamed);
+
+		const node_ids = new Map();
+		for (const node of tree.nodes) {
+			const id = claim_id(used.node, node.id, "node", "node", renamed);
+			node_ids.set(node.id, id);
+			node.id = id;
+		}
+		for (const conn of tree.connections) {
+			conn.id = claim_id(used.conn, conn.id, "conn", "connection", renamed);
+		}
+
+		if (renamed.some(r => r.kind === "node")) {
+			rename_node_references(tree, node_ids);
+		}
+
+		return {
+			tree: tree,
+			source_id: source.id,
+			name: tree.name,
+			node_count: tree.nodes.length,
+			connection_count: tree.connections.length,
+			replaces: replaced ? replaced.name : null,
+			renamed: renamed
+		};
+	});
+}
+
+/**
+ * Reserves an ID for plan_tree_import, generating a new one if it is taken
+ * @param {Set} used - IDs in use, updated
+ * @param {string} id - Wanted ID
+ * @param {string} prefix - Prefix for a generated ID
+ * @param {string} kind - Kind recorded in renamed
+ * @param {array} renamed - Renames so far, updated
+ * @returns {string} ID to use
+ */
+function claim_id(used, id, prefix, kind, renamed) {
+	let new_id = id;
+	while (used.has(new_id)) {
+		new_id = generate_id(prefix);
+	}
+
+	if (new_id !== id) {
+		renamed.push({ kind: kind, from: id, to: new_id });
+	}
+	used.add(new_id);
+	return new_id;
+}
+
+/**
+ * Points every reference to a renamed node at its new ID
+ * @param {object} tree - Tree to update (mutated), nodes already renamed
+ * @param {Map} node_ids - Old node ID to new node ID
+ */
+function rename_node_references(tree, node_ids) {
+	const rename = id => node_ids.get(id) || id;
+
+	for (const conn of tree.connections) {
+		conn.from_node_id = rename(conn.from_node_id);
+		conn.to_node_id = rename(conn.to_node_id);
+	}
+
+	for (const build of tree.builds || []) {
+		build.allocations = Object.fromEntries(
+			Object.entries(build.allocations).map(([id, rank]) => [rename(id), rank])
+		);
+	}
+
+	for (const step of tree.allocation_order?.steps || []) {
+		step.node_id = rename(step.node_id);
+	}
+
+	// Expressions may name nodes by ID, read as whole words like the tokenizer does
+	for (const node of tree.nodes) {
+		if (node.prerequisite_expression) {
+			node.prerequisite_expression = node.prerequisite_expression.replace(/[A-Za-z_][A-Za-z0-9_]*/g, rename);
+		}
+	}
+}
+
+// ============================================================================
+// Build Codes
+// ============================================================================
+
+/**
+ * Encodes a tree's allocation as a compact, URL-safe build code:
+ * "<version>.<tree_id>.<node_id>~<rank>-<node_id>...". Ranks of 1 are
+ * written without the "~1". IDs only use [a-z0-9_], so the separators never
+ * clash with them.
+ * @param {object} tree - Tree object
+ * @returns {string} Build code
+ */
+function encode_build_code(tree) {
+	const entries = Object.entries(get_allocation_map(tree))
+		.map(([node_id, rank]) => rank === 1 ? node_id : `${node_id}~${rank}`);
+
+	return `${BUILD_CODE_VERSION}.${tree.id}.${entries.join("-")}`;
+}
+
+/**
+ * Decodes a build code
+ * @param {string} code - Build code
+ * @returns {object} { tree_id, allocations, error }
+ */
+function decode_build_code(code) {
+	const parts = (code || "").trim().split(".");
+
+	if (parts.length !== 3 || !/^\d+$/.test(parts[0])) {
+		return { tree_id: null, allocations: {}, error: "Invalid build code" };
+	}
+
+	if (parseInt(parts[0], 10) !== BUILD_CODE_VERSION) {
+		return { tree_id: null, allocations: {}, error: `Unsupported build code version: ${parts[0]}` };
+	}
+
+	const allocations = {};
+	for (const entry of parts[2] ? parts[2].split("-") : []) {
+		const [node_id, rank = "1"] = entry.split("~");
+
+		if (!/^[a-z0-9_]+$/.test(node_id) || !/^\d+$/.test(rank)) {
+			return { tree_id: null, allocations: {}, error: `Invalid build code entry: ${entry}` };
+		}
+
+		allocations[node_id] = parseInt(rank, 10);
+	}
+
+	return { tree_id: parts[1], allocations: allocations, error: null };
+}
+
+/**
+ * Applies a build code to the matching tree in the project. The allocation is
+ * replayed in a valid unlock order, and anything that doesn't fit the current
+ * design is reported as a warning.
+ * @param {object} state - Current application state
+ * @param {string} code - Build code
+ * @returns {object} { success, state, errors, warnings }
+ */
+function import_build_code(state, code) {
+	const result = {
+		success: false,
+		state: null,
+		errors: [],
+		warnings: []
+	};
+
+	const { tree_id, allocations, error } = decode_build_code(code);
+	if (error) {
+		result.errors.push(error);
+		return result;
+	}
+
+	const tree = find_tree(state, tree_id);
+	if (!tree) {
+		result.errors.push(`Build code is for a tree that isn't in this project: ${tree_id}`);
+		return result;
+	}
+
+	const new_state = load_allocations(state, tree_id, allocations);
+	new_state.ui_state.active_tree_id = tree_id;
+	new_state.ui_state.selected_node_id = null;
+	new_state.ui_state.mode = "play";
+
+	result.warnings.push(...describe_allocation_gaps(new_state, tree_id, allocations));
+	result.success = true;
+	result.state = new_state;
+
+	return result;
+}
+
+/**
+ * Lists the ranks of an allocation that load_allocations left out
+ * @param {object} state - State after loading the allocation
+ * @param {string} tree_id - Tree ID
+ * @param {object} allocations - Map of node ID to the rank that was asked for
+ * @returns {array} Warning messages, one per node that fell short
+ */
+function describe_allocation_gaps(state, tree_id, allocations) {
+	const warnings = [];
+
+	for (const [node_id, rank] of Object.entries(allocations)) {
+		const node = find_node(state, tree_id, node_id);
+
+		if (!node) {
+			warnings.push(`Node no longer exists: ${node_id}`);
+			continue;
+		}
+
+		if (rank > node.max_rank) {
+			warnings.push(`"${node.name}" rank ${rank} exceeds its max rank of ${node.max_rank}`);
+		}
+
+		if (node.current_rank < Math.min(rank, node.max_rank)) {
+			const { reason } = can_allocate_point(state, tree_id, node_id);
+			warnings.push(`"${node.name}" could only reach rank ${node.current_rank} of ${rank}: ${reason}`);
+		}
+	}
+
+	return warnings;
+}
+
 /**
  * Downloads a file in the browser
  * @param {string} filename - Name of the file
@@ -334,12 +854,20 @@ function download_file(filename, content, mimeType = "application/json") {
 }
 
 export {
+	load_project_schemas,
 	validate_project,
 	validate_tree,
 	validate_node,
 	validate_connection,
+	convert_keys,
+	detect_key_convention,
 	export_project,
+	parse_import,
 	import_project,
-	download_file,
-	CURRENT_VERSION
+	plan_tree_import,
+	encode_build_code,
+	decode_build_code,
+	import_build_code,
+	describe_allocation_gaps,
+	download_file
 };
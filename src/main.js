@@ -5,38 +5,79 @@
 
 import { create_initial_state, clone_state } from "./state.js";
 import * as actions from "./actions.js";
-import { save_project, load_project } from "./storage.js";
-import { import_project } from "./io.js";
-import { render } from "./renderer.js";
+import {
+	init_storage, schedule_save, flush_save, set_save_listener, load_project,
+	create_saved_project, delete_saved_project, get_active_project_id, get_recent_projects,
+	list_snapshots, save_snapshot, load_snapshot, rename_snapshot, delete_snapshot
+} from "./storage.js";
+import { import_project, import_build_code, load_project_schemas } from "./io.js";
+import { render, render_save_status } from "./renderer.js";
 import { setup_interactions } from "./interactions.js";
 
 // Application state
 let app_state = null;
 
+// Project of the snapshot being previewed, shown in place of app_state.project
+let preview_project = null;
+
 // DOM element references
 let elements = {};
 
+// How often an automatic snapshot is taken while the project keeps changing
+const AUTO_SNAPSHOT_INTERVAL_MS = 5 * 60 * 1000;
+
 /**
  * Initializes the application
  */
-function init() {
+async function init() {
 	// Cache DOM elements
 	elements = cache_elements();
 
-	// Load state from localStorage or create initial
-	app_state = load_project();
+	// Load state from IndexedDB (or localStorage) or create initial
+	await init_storage();
+	set_save_listener(status => render_save_status(status, elements));
+	app_state = await load_project();
+	app_state = actions.set_snapshot_list(app_state, await list_snapshots());
+
+	// Write any queued save before the page goes away
+	document.addEventListener("visibilitychange", () => {
+		if (document.visibilityState === "hidden") {
+			flush_save();
+		}
+	});
+	window.addEventListener("pagehide", () => {
+		flush_save();
+	});
 
 	// Set up interactions
 	setup_interactions(get_state, dispatch, elements);
 
+	// Imports are checked against the bundled JSON schemas once they load
+	load_project_schemas().catch((error) => {
+		console.warn("Import schemas unavailable, using built-in checks:", error);
+	});
+
 	// Handle import events
-	window.addEventListener("import_project", (event) => {
-		const result = import_project(JSON.stringify(event.detail));
+	window.addEventListener("import_project", async (event) => {
+		const { data, as_new } = event.detail;
+		const result = import_project(JSON.stringify(data));
 
 		if (result.success) {
-			app_state = result.state;
-			save_project(app_state);
-			render(app_state, elements);
+			if (as_new) {
+				// The current project stays in the library untouched. If it
+				// can't be saved, stay on the current project.
+				if (!await create_saved_project(result.state)) {
+					return;
+				}
+				app_state = result.state;
+				await refresh_snapshots();
+			} else {
+				// Keep the undo history so an import can be reverted
+				exit_snapshot_preview();
+				app_state = actions.push_history({ ...result.state, history: app_state.history }, app_state.project);
+				schedule_save(app_state);
+			}
+			render(get_view_state(), elements);
 
 			// Show warnings if any
 			if (result.warnings.length > 0) {
@@ -48,6 +89,124 @@ function init() {
 		}
 	});
 
+	// Handle project library events. Switching projects writes any queued
+	// save first, so no work is lost.
+	window.addEventListener("open_project", async (event) => {
+		app_state = await load_project(event.detail);
+		await refresh_snapshots();
+		window.dispatchEvent(new CustomEvent("project_library_changed"));
+	});
+
+	window.addEventListener("new_project", async () => {
+		const state = create_initial_state();
+		if (!await create_saved_project(state)) {
+			return;
+		}
+		app_state = state;
+		await refresh_snapshots();
+		window.dispatchEvent(new CustomEvent("project_library_changed"));
+	});
+
+	window.addEventListener("delete_project", async (event) => {
+		const was_open = event.detail === get_active_project_id();
+		await delete_saved_project(event.detail);
+
+		// Fall back to the most recently opened project, or a fresh one
+		if (was_open) {
+			const [next] = get_recent_projects(1);
+			app_state = next ? await load_project(next.id) : create_initial_state();
+			await refresh_snapshots();
+		}
+		window.dispatchEvent(new CustomEvent("project_library_changed"));
+	});
+
+	// Handle version history events
+	window.addEventListener("take_snapshot", async (event) => {
+		if (await save_snapshot(app_state, { name: event.detail.name })) {
+			await refresh_snapshots();
+			window.dispatchEvent(new CustomEvent("project_library_changed"));
+		}
+	});
+
+	window.addEventListener("preview_snapshot", async (event) => {
+		const project = await load_snapshot(event.detail);
+		if (!project) {
+			alert("This snapshot could not be loaded.");
+			return;
+		}
+
+		preview_project = project;
+		app_state = actions.set_snapshot_preview(app_state, event.detail);
+		render(get_view_state(), elements);
+	});
+
+	window.addEventListener("exit_snapshot_preview", () => {
+		exit_snapshot_preview();
+		render(get_view_state(), elements);
+	});
+
+	window.addEventListener("restore_snapshot", async (event) => {
+		const snapshot = app_state.ui_state.snapshots.find(s => s.id === event.detail);
+		const project = await load_snapshot(event.detail);
+		if (!snapshot || !project) {
+			alert("This snapshot could not be loaded.");
+			return;
+		}
+
+		// Keep the current design so the restore can be taken back later
+		await save_snapshot(app_state, { name: `Before restoring "${snapshot.name}"`, auto: true });
+		exit_snapshot_preview();
+		dispatch(actions.restore_project, project);
+		await refresh_snapshots();
+	});
+
+	window.addEventListener("branch_snapshot", async (event) => {
+		const snapshot = app_state.ui_state.snapshots.find(s => s.id === event.detail);
+		const project = await load_snapshot(event.detail);
+		if (!snapshot || !project) {
+			alert("This snapshot could not be loaded.");
+			return;
+		}
+
+		const state = create_initial_state();
+		state.project = project;
+		state.project.metadata = {
+			...project.metadata,
+			name: `${project.metadata.name} (${snapshot.name})`
+		};
+		state.ui_state.active_tree_id = project.trees[0]?.id || null;
+
+		// The branch becomes a new project, the current one is left as is
+		if (!await create_saved_project(state)) {
+			return;
+		}
+		app_state = state;
+		preview_project = null;
+		await refresh_snapshots();
+		window.dispatchEvent(new CustomEvent("project_library_changed"));
+	});
+
+	window.addEventListener("rename_snapshot", async (event) => {
+		await rename_snapshot(event.detail.id, event.detail.name);
+		await refresh_snapshots();
+	});
+
+	window.addEventListener("delete_snapshot", async (event) => {
+		await delete_snapshot(event.detail);
+		await refresh_snapshots();
+	});
+
+	setInterval(take_auto_snapshot, AUTO_SNAPSHOT_INTERVAL_MS);
+
+	// Handle build codes pasted in the share dialog or opened as planner links
+	window.addEventListener("load_build_code", (event) => {
+		apply_build_code(event.detail);
+	});
+
+	window.addEventListener("hashchange", () => {
+		apply_build_code_from_hash();
+	});
+
 	// Global error handler
 	window.addEventListener("error", (event) => {
 		console.error("Uncaught error:", event.error);
@@ -59,33 +218,170 @@ function init() {
 
 	// Initial render
 	try {
-		render(app_state, elements);
+		render(get_view_state(), elements);
 	} catch (error) {
 		console.error("Error during initial render:", error);
 	}
 
+	apply_build_code_from_hash();
+
 	console.log("Skill Tree Planner initialized");
 }
 
+/**
+ * Applies a build code to the project, reporting anything that no longer fits
+ * @param {string} code - Build code
+ */
+function apply_build_code(code) {
+	// Build codes apply to the current design, not a previewed snapshot
+	exit_snapshot_preview();
+
+	const result = import_build_code(app_state, code);
+
+	if (!result.success) {
+		alert("Build code could not be loaded:\n" + result.errors.join("\n"));
+		return;
+	}
+
+	app_state = actions.push_history(result.state, app_state.project);
+	schedule_save(app_state);
+	render(get_view_state(), elements);
+
+	if (result.warnings.length > 0) {
+		alert("Build loaded with changes:\n" + result.warnings.slice(0, 10).join("\n"));
+	}
+}
+
+/**
+ * Applies the build code in a "#build=<code>" URL hash, if present
+ */
+function apply_build_code_from_hash() {
+	const match = window.location.hash.match(/^#build=(.+)$/);
+
+	if (!match) {
+		return;
+	}
+
+	// Drop the hash so a reload doesn't throw away later changes
+	history.replaceState(null, "", window.location.pathname + window.location.search);
+
+	// A malformed escape like "%E0%A4%A" would otherwise stop startup
+	let code;
+	try {
+		code = decodeURIComponent(match[1]);
+	} catch (error) {
+		alert("Build code could not be loaded:\nInvalid build code");
+		return;
+	}
+
+	apply_build_code(code);
+}
+
+/**
+ * Reloads the active project's snapshot list and re-renders. A preview
+ * whose snapshot is gone, or belongs to another project, is closed.
+ */
+async function refresh_snapshots() {
+	app_state = actions.set_snapshot_list(app_state, await list_snapshots());
+
+	if (!app_state.ui_state.snapshot_preview) {
+		preview_project = null;
+	}
+
+	render(get_view_state(), elements);
+}
+
+/**
+ * Takes an automatic snapshot when the project changed since the newest one
+ */
+async function take_auto_snapshot() {
+	const project = app_state.project;
+	const [latest] = app_state.ui_state.snapshots;
+
+	if (project.trees.length === 0 || latest?.modified_at === project.metadata.modified_at) {
+		return;
+	}
+
+	if (await save_snapshot(app_state, { auto: true })) {
+		await refresh_snapshots();
+	}
+}
+
+/**
+ * Leaves snapshot preview, if active. A tree that only exists in the
+ * snapshot is swapped for the first tree of the current project.
+ */
+function exit_snapshot_preview() {
+	if (!app_state.ui_state.snapshot_preview) {
+		return;
+	}
+
+	preview_project = null;
+	app_state = actions.set_snapshot_preview(app_state, null);
+
+	const trees = app_state.project.trees;
+	if (!trees.some(t => t.id === app_state.ui_state.active_tree_id)) {
+		app_state = actions.set_active_tree(app_state, trees[0]?.id || null);
+	}
+}
+
+/**
+ * Gets the state to show and read from. While a snapshot is previewed, the
+ * snapshot's project stands in for the current one.
+ * @returns {object} View state
+ */
+function get_view_state() {
+	if (!preview_project) {
+		return app_state;
+	}
+
+	const trees = preview_project.trees;
+	const active_tree_id = trees.some(t => t.id === app_state.ui_state.active_tree_id)
+		? app_state.ui_state.active_tree_id
+		: trees[0]?.id || null;
+
+	return {
+		...app_state,
+		project: preview_project,
+		ui_state: { ...app_state.ui_state, active_tree_id: active_tree_id }
+	};
+}
+
 /**
  * Caches DOM element references
  */
 function cache_elements() {
 	return {
 		// Toolbar
+		project_menu: document.getElementById("project_menu"),
+		project_menu_name: document.getElementById("project_menu_name"),
+		recent_project_list: document.getElementById("recent_project_list"),
+		btn_new_project: document.getElementById("btn_new_project"),
+		btn_browse_projects: document.getElementById("btn_browse_projects"),
+		save_status: document.getElementById("save_status"),
 		tree_select: document.getElementById("tree_select"),
 		btn_add_tree: document.getElementById("btn_add_tree"),
 		points_available: document.getElementById("points_available"),
 		points_total: document.getElementById("points_total"),
+		global_point_display: document.getElementById("global_point_display"),
+		global_points_available: document.getElementById("global_points_available"),
+		global_points_total: document.getElementById("global_points_total"),
+		level_control: document.getElementById("level_control"),
+		character_level: document.getElementById("character_level"),
+		character_level_value: document.getElementById("character_level_value"),
 		btn_mode_edit: document.getElementById("btn_mode_edit"),
 		btn_mode_play: document.getElementById("btn_mode_play"),
 		btn_zoom_in: document.getElementById("btn_zoom_in"),
 		btn_zoom_out: document.getElementById("btn_zoom_out"),
 		btn_reset_view: document.getElementById("btn_reset_view"),
 		zoom_level: document.getElementById("zoom_level"),
+		btn_undo: document.getElementById("btn_undo"),
+		btn_redo: document.getElementById("btn_redo"),
 		btn_reset: document.getElementById("btn_reset"),
+		btn_share: document.getElementById("btn_share"),
 		btn_export: document.getElementById("btn_export"),
 		btn_import: document.getElementById("btn_import"),
+		btn_compare: document.getElementById("btn_compare"),
 		btn_zoom_fit: document.getElementById("btn_zoom_fit"),
 
 		// Canvas
@@ -94,6 +390,16 @@ function cache_elements() {
 		temp_connection_layer: document.getElementById("temp_connection_layer"),
 		nodes_layer: document.getElementById("nodes_layer"),
 		empty_state: document.getElementById("empty_state"),
+		connection_hint: document.getElementById("connection_hint"),
+		path_preview_bar: document.getElementById("path_preview_bar"),
+		path_preview_text: document.getElementById("path_preview_text"),
+		btn_allocate_path: document.getElementById("btn_allocate_path"),
+		btn_clear_path: document.getElementById("btn_clear_path"),
+		snapshot_preview_bar: document.getElementById("snapshot_preview_bar"),
+		snapshot_preview_text: document.getElementById("snapshot_preview_text"),
+		btn_restore_preview: document.getElementById("btn_restore_preview"),
+		btn_branch_preview: document.getElementById("btn_branch_preview"),
+		btn_exit_preview: document.getElementById("btn_exit_preview"),
 		btn_create_first_tree: document.getElementById("btn_create_first_tree"),
 
 		// Sidebar
@@ -104,26 +410,69 @@ function cache_elements() {
 		tree_name: document.getElementById("tree_name"),
 		tree_description: document.getElementById("tree_description"),
 		tree_points: document.getElementById("tree_points"),
+		tree_point_source: document.getElementById("tree_point_source"),
+		group_global_pool: document.getElementById("group_global_pool"),
+		global_pool_total: document.getElementById("global_pool_total"),
+		tree_points_per_level: document.getElementById("tree_points_per_level"),
+		max_level: document.getElementById("max_level"),
+		global_points_per_level: document.getElementById("global_points_per_level"),
+		tier_list: document.getElementById("tier_list"),
+		btn_add_tier: document.getElementById("btn_add_tier"),
+		btn_export_csv: document.getElementById("btn_export_csv"),
+		btn_import_csv: document.getElementById("btn_import_csv"),
 		export_convention: document.getElementById("export_convention"),
 		tree_warnings: document.getElementById("tree_warnings"),
 		warning_list: document.getElementById("warning_list"),
+		lint_rule_list: document.getElementById("lint_rule_list"),
 		btn_delete_tree: document.getElementById("btn_delete_tree"),
-
-
+		builds_panel: document.getElementById("builds_panel"),
+		new_build_name: document.getElementById("new_build_name"),
+		btn_save_build: document.getElementById("btn_save_build"),
+		build_list: document.getElementById("build_list"),
+		build_empty: document.getElementById("build_empty"),
+		compare_build_a: document.getElementById("compare_build_a"),
+		compare_build_b: document.getElementById("compare_build_b"),
+		btn_compare_builds: document.getElementById("btn_compare_builds"),
+		btn_clear_comparison: document.getElementById("btn_clear_comparison"),
+		comparison_summary: document.getElementById("comparison_summary"),
+		timeline_panel: document.getElementById("timeline_panel"),
+		btn_timeline_start: document.getElementById("btn_timeline_start"),
+		btn_timeline_back: document.getElementById("btn_timeline_back"),
+		btn_timeline_forward: document.getElementById("btn_timeline_forward"),
+		btn_timeline_end: document.getElementById("btn_timeline_end"),
+		timeline_position: document.getElementById("timeline_position"),
+		timeline_issue: document.getElementById("timeline_issue"),
+		timeline_list: document.getElementById("timeline_list"),
+		history_panel: document.getElementById("history_panel"),
+		new_snapshot_name: document.getElementById("new_snapshot_name"),
+		btn_take_snapshot: document.getElementById("btn_take_snapshot"),
+		snapshot_list: document.getElementById("snapshot_list"),
+		snapshot_empty: document.getElementById("snapshot_empty"),
 
 		node_properties: document.getElementById("node_properties"),
 		node_name: document.getElementById("node_name"),
 		node_description: document.getElementById("node_description"),
 		node_max_rank: document.getElementById("node_max_rank"),
+		node_required_level: document.getElementById("node_required_level"),
 		node_type: document.getElementById("node_type"),
 		node_costs: document.getElementById("node_costs"),
 		node_event: document.getElementById("node_event"),
+		node_exclusive_group: document.getElementById("node_exclusive_group"),
+		exclusive_group_options: document.getElementById("exclusive_group_options"),
 		node_prereq_logic: document.getElementById("node_prereq_logic"),
 		node_prereq_threshold: document.getElementById("node_prereq_threshold"),
 		group_node_threshold: document.getElementById("group_node_threshold"),
+		group_node_expression: document.getElementById("group_node_expression"),
+		node_prereq_expression: document.getElementById("node_prereq_expression"),
+		node_expression_errors: document.getElementById("node_expression_errors"),
+		group_node_prerequisites: document.getElementById("group_node_prerequisites"),
+		node_prerequisites: document.getElementById("node_prerequisites"),
+		group_node_lint_suppressions: document.getElementById("group_node_lint_suppressions"),
+		node_lint_suppressions: document.getElementById("node_lint_suppressions"),
 		btn_delete_node: document.getElementById("btn_delete_node"),
 		connection_panel: document.getElementById("connection_panel"),
 		connection_rank: document.getElementById("connection_rank"),
+		connection_logic: document.getElementById("connection_logic"),
 		btn_cancel_connection: document.getElementById("btn_cancel_connection"),
 		edit_tools: document.getElementById("edit_tools"),
 		btn_add_node: document.getElementById("btn_add_node"),
@@ -136,28 +485,75 @@ function cache_elements() {
 		tooltip_description: document.getElementById("tooltip_description"),
 		tooltip_cost: document.getElementById("tooltip_cost"),
 		tooltip_status: document.getElementById("tooltip_status"),
+		tooltip_checks: document.getElementById("tooltip_checks"),
 
 		// Import Modal
 		import_modal: document.getElementById("import_modal"),
+		import_source: document.getElementById("import_source"),
 		import_json: document.getElementById("import_json"),
+		import_errors: document.getElementById("import_errors"),
 		import_dropzone: document.getElementById("import_dropzone"),
+		import_merge: document.getElementById("import_merge"),
+		import_collision: document.getElementById("import_collision"),
+		import_tree_list: document.getElementById("import_tree_list"),
 		btn_close_import: document.getElementById("btn_close_import"),
 		btn_cancel_import: document.getElementById("btn_cancel_import"),
 		btn_confirm_import: document.getElementById("btn_confirm_import"),
 
+		// Compare Modal
+		compare_modal: document.getElementById("compare_modal"),
+		compare_source: document.getElementById("compare_source"),
+		compare_json: document.getElementById("compare_json"),
+		compare_dropzone: document.getElementById("compare_dropzone"),
+		compare_errors: document.getElementById("compare_errors"),
+		compare_result: document.getElementById("compare_result"),
+		compare_summary: document.getElementById("compare_summary"),
+		compare_list: document.getElementById("compare_list"),
+		btn_close_compare: document.getElementById("btn_close_compare"),
+		btn_cancel_compare: document.getElementById("btn_cancel_compare"),
+		btn_select_all_changes: document.getElementById("btn_select_all_changes"),
+		btn_run_compare: document.getElementById("btn_run_compare"),
+		btn_apply_changes: document.getElementById("btn_apply_changes"),
+
+		// CSV Import Modal
+		csv_modal: document.getElementById("csv_modal"),
+		csv_nodes: document.getElementById("csv_nodes"),
+		csv_connections: document.getElementById("csv_connections"),
+		csv_dropzone: document.getElementById("csv_dropzone"),
+		csv_errors: document.getElementById("csv_errors"),
+		btn_close_csv: document.getElementById("btn_close_csv"),
+		btn_cancel_csv: document.getElementById("btn_cancel_csv"),
+		btn_confirm_csv: document.getElementById("btn_confirm_csv"),
+
+		// Project Modal
+		project_modal: document.getElementById("project_modal"),
+		project_list: document.getElementById("project_list"),
+		btn_close_projects: document.getElementById("btn_close_projects"),
+		btn_cancel_projects: document.getElementById("btn_cancel_projects"),
+		btn_create_project: document.getElementById("btn_create_project"),
+
 		// Tree Modal
 		tree_modal: document.getElementById("tree_modal"),
 		new_tree_name: document.getElementById("new_tree_name"),
 		btn_cancel_tree: document.getElementById("btn_cancel_tree"),
-		btn_confirm_tree: document.getElementById("btn_confirm_tree")
+		btn_confirm_tree: document.getElementById("btn_confirm_tree"),
+
+		// Share Modal
+		share_modal: document.getElementById("share_modal"),
+		share_link: document.getElementById("share_link"),
+		share_code: document.getElementById("share_code"),
+		btn_copy_share_link: document.getElementById("btn_copy_share_link"),
+		btn_close_share: document.getElementById("btn_close_share"),
+		btn_cancel_share: document.getElementById("btn_cancel_share"),
+		btn_load_share_code: document.getElementById("btn_load_share_code")
 	};
 }
 
 /**
- * Gets the current application state
+ * Gets the current application state, as shown on screen
  */
 function get_state() {
-	return app_state;
+	return get_view_state();
 }
 
 /**
@@ -166,13 +562,20 @@ function get_state() {
  * @param  {...any} args - Arguments to pass to the action
  */
 function dispatch(action_fn, ...args) {
+	// A previewed snapshot is read-only
+	if (preview_project && !actions.is_view_action(action_fn)) {
+		return;
+	}
+
 	try {
 		const new_state = action_fn(app_state, ...args);
 
 		if (new_state !== app_state) {
-			app_state = new_state;
-			save_project(app_state);
-			render(app_state, elements);
+			app_state = actions.is_undoable_action(action_fn)
+				? actions.push_history(new_state, app_state.project)
+				: new_state;
+			schedule_save(app_state);
+			render(get_view_state(), elements);
 		}
 	} catch (error) {
 		console.error("Error in dispatch:", error);
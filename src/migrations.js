@@ -0,0 +1,233 @@
+/**
+ * Migrations Module
+ * Ordered project migrations shared by saved projects and imported files
+ */
+
+// ============================================================================
+// Registry
+// ============================================================================
+
+/**
+ * Every migration, oldest first. Each step upgrades a project to its version
+ * from the version before it. Steps write their defaults out literally rather
+ * than calling the create_* factories, so later changes to the factories
+ * can't change what an old migration does.
+ */
+const MIGRATIONS = [
+	{
+		version: "1.1.0",
+		description: "Backfill prerequisite logic, connection logic and per-rank costs",
+		migrate: backfill_defaults
+	}
+];
+
+// The version new projects are created with and files are upgraded to
+const CURRENT_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Upgrades a project to CURRENT_VERSION by running every migration newer
+ * than its version, in order. The input is left untouched.
+ * @param {object} project - Project data
+ * @param {string} version - Version the project was saved with, "0.0.0" if unknown
+ * @returns {object} { project, from_version, to_version, applied, warnings }
+ */
+function migrate_project(project, version) {
+	const from_version = is_version(version) ? version : "0.0.0";
+	const result = {
+		project: JSON.parse(JSON.stringify(project)),
+		from_version: from_version,
+		to_version: from_version,
+		applied: [],
+		warnings: []
+	};
+
+	if (compare_versions(from_version, CURRENT_VERSION) > 0) {
+		result.warnings.push(`Project is from a newer version (${from_version}) than this app (${CURRENT_VERSION}), some data may not load`);
+		return result;
+	}
+
+	for (const migration of MIGRATIONS) {
+		if (compare_versions(migration.version, from_version) <= 0) {
+			continue;
+		}
+
+		try {
+			result.project = migration.migrate(result.project);
+		} catch (error) {
+			throw new Error(`Migration to ${migration.version} failed: ${error.message}`);
+		}
+
+		result.project.version = migration.version;
+		result.to_version = migration.version;
+		result.applied.push(migration.version);
+	}
+
+	return result;
+}
+
+/**
+ * Gets the registered migrations
+ * @returns {array} Migrations as { version, description }, oldest first
+ */
+function get_migrations() {
+	return MIGRATIONS.map(({ version, description }) => ({ version, description }));
+}
+
+// ============================================================================
+// Steps
+// ============================================================================
+
+/**
+ * 1.1.0: Fills in fields older files predate. Nodes get AND prerequisite
+ * logic, which is how the engine already treated a missing value, and
+ * connections get AND logic and a required rank of 1. A cost list shorter
+ * than max_rank is padded with its last cost, matching how costs past the
+ * end were charged. Values that are present but malformed are left for
+ * validation to report.
+ * @param {object} project - Project at 1.0.0 or earlier
+ * @returns {object} Project at 1.1.0
+ */
+function backfill_defaults(project) {
+	for (const tree of array_or_empty(project.trees)) {
+		if (!is_object(tree)) {
+			continue;
+		}
+
+		set_default(tree, "description", "");
+		set_default(tree, "tiers", []);
+		set_default(tree, "builds", []);
+		set_default(tree, "allocation_order", { steps: [], position: 0 });
+
+		if (is_object(tree.point_pool)) {
+			set_default(tree.point_pool, "source", "local");
+			set_default(tree.point_pool, "points_per_level", []);
+		}
+
+		for (const node of array_or_empty(tree.nodes)) {
+			if (is_object(node)) {
+				backfill_node(node);
+			}
+		}
+
+		for (const conn of array_or_empty(tree.connections)) {
+			if (is_object(conn)) {
+				conn.logic = normalize_logic(conn.logic, ["AND", "OR"]);
+				set_default(conn, "required_rank", 1);
+			}
+		}
+	}
+
+	return project;
+}
+
+/**
+ * Backfills one node for backfill_defaults
+ * @param {object} node - Node object, updated in place
+ */
+function backfill_node(node) {
+	node.prerequisite_logic = normalize_logic(node.prerequisite_logic, ["AND", "OR", "SUM", "EXPR"]);
+	set_default(node, "prerequisite_threshold", 1);
+	set_default(node, "prerequisite_expression", "");
+	set_default(node, "description", "");
+	set_default(node, "icon", null);
+	set_default(node, "tags", []);
+	set_default(node, "event", "");
+	set_default(node, "required_level", 0);
+	set_default(node, "exclusive_group", "");
+	set_default(node, "lint_suppressions", []);
+
+	const costs = node.cost_per_rank;
+	if (Array.isArray(costs) && costs.length > 0 && Number.isInteger(node.max_rank)) {
+		while (costs.length < node.max_rank) {
+			costs.push(costs[costs.length - 1]);
+		}
+	}
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Normalizes a logic value: missing becomes "AND", known values in any
+ * case are upper-cased, anything else is kept for validation to report
+ * @param {*} logic - Stored logic value
+ * @param {array} allowed - Allowed upper-case values
+ * @returns {*} Normalized logic
+ */
+function normalize_logic(logic, allowed) {
+	if (logic === undefined || logic === null || logic === "") {
+		return "AND";
+	}
+
+	if (typeof logic === "string" && allowed.includes(logic.toUpperCase())) {
+		return logic.toUpperCase();
+	}
+
+	return logic;
+}
+
+/**
+ * Sets a property only when it is missing
+ * @param {object} target - Object to update
+ * @param {string} key - Property name
+ * @param {*} value - Default value
+ */
+function set_default(target, key, value) {
+	if (target[key] === undefined) {
+		target[key] = value;
+	}
+}
+
+/**
+ * Returns the value if it is an array, otherwise an empty array
+ */
+function array_or_empty(value) {
+	return Array.isArray(value) ? value : [];
+}
+
+/**
+ * Checks for a plain (non-array) object
+ */
+function is_object(value) {
+	return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Checks for a "major.minor.patch" version string
+ */
+function is_version(value) {
+	return typeof value === "string" && /^\d+\.\d+\.\d+$/.test(value);
+}
+
+/**
+ * Compares two semantic version strings
+ * @param {string} v1 - First version
+ * @param {string} v2 - Second version
+ * @returns {number} -1 if v1 < v2, 0 if equal, 1 if v1 > v2
+ */
+function compare_versions(v1, v2) {
+	const parts1 = v1.split(".").map(Number);
+	const parts2 = v2.split(".").map(Number);
+
+	for (let i = 0; i < 3; i++) {
+		const p1 = parts1[i] || 0;
+		const p2 = parts2[i] || 0;
+
+		if (p1 < p2) {
+			return -1;
+		}
+		if (p1 > p2) {
+			return 1;
+		}
+	}
+
+	return 0;
+}
+
+export {
+	CURRENT_VERSION,
+	migrate_project,
+	get_migrations,
+	compare_versions
+};
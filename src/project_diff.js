@@ -0,0 +1,285 @@
+/**
+ * Project Diff Module
+ * Structural comparison of two projects, tree by tree
+ */
+
+// ============================================================================
+// Fields
+// ============================================================================
+
+/**
+ * Design fields compared on each kind of object. Allocation state
+ * (current ranks, spent points, builds and allocation order) belongs to a
+ * player rather than the design, so it is never part of a diff.
+ * Categories group changes for display: "position", "cost", "rank" or "other".
+ */
+const TREE_FIELDS = [
+	{ path: ["name"], label: "Name", category: "other" },
+	{ path: ["description"], label: "Description", category: "other" },
+	{ path: ["point_pool", "total"], label: "Point pool", category: "cost" },
+	{ path: ["point_pool", "source"], label: "Point source", category: "other" },
+	{ path: ["point_pool", "points_per_level"], label: "Points per level", category: "cost" },
+	{ path: ["tiers"], label: "Tiers", category: "other" }
+];
+
+const NODE_FIELDS = [
+	{ path: ["name"], label: "Name", category: "other" },
+	{ path: ["position"], label: "Position", category: "position" },
+	{ path: ["max_rank"], label: "Max rank", category: "rank" },
+	{ path: ["cost_per_rank"], label: "Cost", category: "cost" },
+	{ path: ["required_level"], label: "Required level", category: "rank" },
+	{ path: ["description"], label: "Description", category: "other" },
+	{ path: ["icon"], label: "Icon", category: "other" },
+	{ path: ["type"], label: "Type", category: "other" },
+	{ path: ["tags"], label: "Tags", category: "other" },
+	{ path: ["event"], label: "Event", category: "other" },
+	{ path: ["exclusive_group"], label: "Exclusive group", category: "other" },
+	{ path: ["prerequisite_logic"], label: "Prerequisite logic", category: "other" },
+	{ path: ["prerequisite_threshold"], label: "Prerequisite threshold", category: "other" },
+	{ path: ["prerequisite_expression"], label: "Prerequisite expression", category: "other" },
+	{ path: ["lint_suppressions"], label: "Ignored lint rules", category: "other" }
+];
+
+const CONNECTION_FIELDS = [
+	{ path: ["logic"], label: "Logic", category: "other" },
+	{ path: ["required_rank"], label: "Required rank", category: "rank" }
+];
+
+// ============================================================================
+// Diff
+// ============================================================================
+
+/**
+ * Compares two projects tree by tree. Trees and nodes are matched by ID,
+ * connections by the pair of nodes they join, so two copies of a file that
+ * each gained the same connection don't show it as a change.
+ * @param {object} current - Project changes would be applied to
+ * @param {object} other - Project to compare against
+ * @returns {array} Changes as { id, kind, status, tree_id, tree_name, target_id,
+ * label, fields, value }. kind is "tree", "node" or "connection", status is
+ * "added", "removed" or "changed" as seen from other, fields lists
+ * { path, label, category, before, after } for changed objects and value
+ * holds the object from other for added ones.
+ */
+function diff_projects(current, other) {
+	const changes = [];
+	const current_trees = new Map(current.trees.map(t => [t.id, t]));
+	const other_trees = new Map(other.trees.map(t => [t.id, t]));
+
+	for (const tree of current.trees) {
+		const other_tree = other_trees.get(tree.id);
+
+		if (!other_tree) {
+			changes.push(create_change("tree", "removed", tree, tree.id, tree.name, null));
+			continue;
+		}
+
+		const fields = diff_fields(tree, other_tree, TREE_FIELDS);
+		if (fields.length > 0) {
+			changes.push(create_change("tree", "changed", tree, tree.id, other_tree.name, null, fields));
+		}
+
+		changes.push(...diff_nodes(tree, other_tree));
+		changes.push(...diff_connections(tree, other_tree));
+	}
+
+	// A new tree is one change, its nodes come with it
+	for (const tree of other.trees) {
+		if (!current_trees.has(tree.id)) {
+			changes.push(create_change("tree", "added", tree, tree.id, tree.name, tree));
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Compares the nodes of two versions of a tree
+ * @param {object} tree - Tree from the current project
+ * @param {object} other_tree - Same tree from the other project
+ * @returns {array} Node changes
+ */
+function diff_nodes(tree, other_tree) {
+	const changes = [];
+	const other_nodes = new Map(other_tree.nodes.map(n => [n.id, n]));
+	const current_ids = new Set(tree.nodes.map(n => n.id));
+
+	for (const node of tree.nodes) {
+		const other_node = other_nodes.get(node.id);
+
+		if (!other_node) {
+			changes.push(create_change("node", "removed", tree, node.id, node.name, null));
+			continue;
+		}
+
+		const fields = diff_fields(node, other_node, NODE_FIELDS);
+		if (fields.length > 0) {
+			changes.push(create_change("node", "changed", tree, node.id, other_node.name, null, fields));
+		}
+	}
+
+	for (const node of other_tree.nodes) {
+		if (!current_ids.has(node.id)) {
+			changes.push(create_change("node", "added", tree, node.id, node.name, node));
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Compares the connections of two versions of a tree
+ * @param {object} tree - Tree from the current project
+ * @param {object} other_tree - Same tree from the other project
+ * @returns {array} Connection changes
+ */
+function diff_connections(tree, other_tree) {
+	const changes = [];
+	const other_connections = new Map(other_tree.connections.map(c => [get_connection_key(c), c]));
+	const current_keys = new Set(tree.connections.map(get_connection_key));
+
+	// Name connections after their nodes, taken from whichever side has them
+	const names = new Map([...other_tree.nodes, ...tree.nodes].map(n => [n.id, n.name]));
+	const get_label = conn => `${names.get(conn.from_node_id) || conn.from_node_id} → ${names.get(conn.to_node_id) || conn.to_node_id}`;
+
+	for (const conn of tree.connections) {
+		const key = get_connection_key(conn);
+		const other_conn = other_connections.get(key);
+
+		if (!other_conn) {
+			changes.push(create_change("connection", "removed", tree, key, get_label(conn), null));
+			continue;
+		}
+
+		const fields = diff_fields(conn, other_conn, CONNECTION_FIELDS);
+		if (fields.length > 0) {
+			changes.push(create_change("connection", "changed", tree, key, get_label(conn), null, fields));
+		}
+	}
+
+	for (const conn of other_tree.connections) {
+		const key = get_connection_key(conn);
+		if (!current_keys.has(key)) {
+			changes.push(create_change("connection", "added", tree, key, get_label(conn), conn));
+		}
+	}
+
+	return changes;
+}
+
+/**
+ * Lists the fields that differ between two objects
+ * @param {object} current - Current object
+ * @param {object} other - Other object
+ * @param {array} field_list - Fields to compare
+ * @returns {array} Changed fields as { path, label, category, before, after }
+ */
+function diff_fields(current, other, field_list) {
+	const fields = [];
+
+	for (const field of field_list) {
+		const before = get_path(current, field.path);
+		const after = get_path(other, field.path);
+
+		if (JSON.stringify(before) !== JSON.stringify(after)) {
+			fields.push({ ...field, before: before, after: after });
+		}
+	}
+
+	return fields;
+}
+
+/**
+ * Builds a change record
+ */
+function create_change(kind, status, tree, target_id, label, value, fields = []) {
+	return {
+		id: `${kind}:${tree.id}:${target_id}`,
+		kind: kind,
+		status: status,
+		tree_id: tree.id,
+		tree_name: tree.name,
+		target_id: target_id,
+		label: label,
+		fields: fields,
+		value: value
+	};
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Gets the key connections are matched by
+ * @param {object} conn - Connection object
+ * @returns {string} "from_node_id>to_node_id"
+ */
+function get_connection_key(conn) {
+	return `${conn.from_node_id}>${conn.to_node_id}`;
+}
+
+/**
+ * Reads a nested property
+ * @param {object} target - Object to read
+ * @param {array} path - Property names
+ * @returns {*} Value, or undefined if any step is missing
+ */
+function get_path(target, path) {
+	return path.reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), target);
+}
+
+/**
+ * Describes a change in one line, e.g. "Moved (100, 40) → (160, 40)"
+ * @param {object} change - Change from diff_projects
+ * @returns {string} Description
+ */
+function describe_change(change) {
+	if (change.status === "added") {
+		return change.kind === "tree" ? `New tree with ${change.value.nodes.length} nodes` : "Added";
+	}
+
+	if (change.status === "removed") {
+		return "Removed";
+	}
+
+	return change.fields.map(describe_field).join("; ");
+}
+
+/**
+ * Describes one changed field
+ */
+function describe_field(field) {
+	if (field.category === "position") {
+		return `Moved ${format_value(field.before)} → ${format_value(field.after)}`;
+	}
+
+	// Long text and lists just say they changed
+	if ((typeof field.after === "string" && field.after.length > 24) || field.path[0] === "tiers" || field.path[0] === "icon") {
+		return `${field.label} changed`;
+	}
+
+	return `${field.label} ${format_value(field.before)} → ${format_value(field.after)}`;
+}
+
+/**
+ * Formats a field value for describe_field
+ */
+function format_value(value) {
+	if (value === undefined || value === null || value === "") {
+		return "none";
+	}
+	if (Array.isArray(value)) {
+		return value.length > 0 ? value.join("/") : "none";
+	}
+	if (typeof value === "object" && "x" in value && "y" in value) {
+		return `(${Math.round(value.x)}, ${Math.round(value.y)})`;
+	}
+	return String(value);
+}
+
+export {
+	diff_projects,
+	describe_change,
+	get_connection_key
+};
@@ -3,9 +3,23 @@
  * State-driven rendering pipeline for skill trees
  */
 
-import { find_tree, find_node } from "./state.js";
+import { find_tree, find_node, find_build, get_allocation_map } from "./state.js";
 import * as validation from "./validation_engine.js";
-const { get_node_status, get_all_node_statuses, NODE_STATUS, get_allocation_cost, is_connection_satisfied } = validation;
+import { describe_change } from "./project_diff.js";
+const {
+	get_node_status,
+	get_all_node_statuses,
+	NODE_STATUS,
+	get_allocation_cost,
+	is_connection_satisfied,
+	get_connection_logic,
+	uses_global_pool,
+	get_available_points,
+	get_sorted_tiers,
+	get_points_before_tier,
+	get_character_level,
+	has_level_curve
+} = validation;
 
 /**
  * Main render function - renders entire UI from state
@@ -13,12 +27,16 @@ const { get_node_status, get_all_node_statuses, NODE_STATUS, get_allocation_cost
  * @param {object} elements - DOM element references
  */
 function render(state, elements) {
+	render_project_name(state, elements);
 	render_tree_selector(state, elements);
 	render_point_display(state, elements);
 	render_mode_toggle(state, elements);
+	render_level_control(state, elements);
+	render_history_buttons(state, elements);
 	render_zoom_level(state, elements);
 	render_canvas(state, elements);
 	render_sidebar(state, elements);
+	render_snapshot_preview(state, elements);
 	render_empty_state(state, elements);
 }
 
@@ -31,6 +49,222 @@ function render_zoom_level(state, elements) {
 	elements.zoom_level.textContent = `${percentage}%`;
 }
 
+/**
+ * Renders the open project's name on the project menu
+ */
+function render_project_name(state, elements) {
+	elements.project_menu_name.textContent = state.project.metadata.name || "Untitled Project";
+}
+
+/**
+ * Renders the save indicator. Failures stay on screen until a save succeeds.
+ * @param {object} status - { status, message } from the storage module
+ * @param {object} elements - DOM elements
+ */
+function render_save_status(status, elements) {
+	const indicator = elements.save_status;
+	const labels = { saving: "Saving…", saved: "Saved", error: status.message };
+
+	indicator.textContent = labels[status.status] || "";
+	indicator.title = status.status === "error" ? status.message : "";
+	indicator.classList.toggle("error", status.status === "error");
+}
+
+/**
+ * Renders the recent projects menu
+ * @param {array} projects - Library entries, most recently opened first
+ * @param {string|null} active_project_id - Open project ID
+ * @param {object} elements - DOM elements
+ */
+function render_recent_projects(projects, active_project_id, elements) {
+	const list = elements.recent_project_list;
+	list.innerHTML = "";
+
+	for (const project of projects) {
+		const item = document.createElement("li");
+		const button = document.createElement("button");
+		button.className = "recent_project_item";
+		button.classList.toggle("active", project.id === active_project_id);
+		button.dataset.project_id = project.id;
+		button.textContent = project.name;
+		button.title = `${project.tree_count} tree${project.tree_count !== 1 ? "s" : ""} · modified ${new Date(project.modified_at).toLocaleString()}`;
+		item.appendChild(button);
+		list.appendChild(item);
+	}
+}
+
+/**
+ * Renders the project browser's list of saved projects
+ * @param {array} projects - Library entries, most recently modified first
+ * @param {string|null} active_project_id - Open project ID
+ * @param {object} elements - DOM elements
+ */
+function render_project_list(projects, active_project_id, elements) {
+	const list = elements.project_list;
+	list.innerHTML = "";
+
+	for (const project of projects) {
+		const is_active = project.id === active_project_id;
+		const item = document.createElement("li");
+		item.className = "project_item";
+		item.classList.toggle("active", is_active);
+		item.dataset.project_id = project.id;
+
+		const name = document.createElement("input");
+		name.type = "text";
+		name.className = "input project_name";
+		name.value = project.name;
+		name.title = "Rename this project";
+		item.appendChild(name);
+
+		const meta = document.createElement("span");
+		meta.className = "project_meta";
+		meta.textContent = `${project.tree_count} tree${project.tree_count !== 1 ? "s" : ""} · modified ${new Date(project.modified_at).toLocaleString()}${is_active ? " · open" : ""}`;
+		item.appendChild(meta);
+
+		const project_actions = document.createElement("div");
+		project_actions.className = "build_actions";
+		const buttons = [
+			["open", "Open", "btn_secondary", "Switch to this project"],
+			["duplicate", "Duplicate", "btn_secondary", "Save a copy of this project"],
+			["delete", "Delete", "btn_danger", "Delete this project"]
+		];
+		for (const [action, label, style, title] of buttons) {
+			const button = document.createElement("button");
+			button.className = `btn ${style}`;
+			button.dataset.project_action = action;
+			button.textContent = label;
+			button.title = title;
+			button.disabled = action === "open" && is_active;
+			project_actions.appendChild(button);
+		}
+		item.appendChild(project_actions);
+
+		list.appendChild(item);
+	}
+}
+
+/**
+ * Renders the trees of an import file for a merge import, each with a
+ * checkbox and what merging it will do
+ * @param {array} plans - Entries from plan_tree_import
+ * @param {Set} selected_ids - Source IDs of picked trees
+ * @param {object} elements - DOM element references
+ */
+function render_import_tree_list(plans, selected_ids, elements) {
+	const list = elements.import_tree_list;
+	list.innerHTML = "";
+
+	for (const plan of plans) {
+		const item = document.createElement("li");
+		item.className = "project_item import_tree_item";
+		item.dataset.tree_id = plan.source_id;
+
+		const label = document.createElement("label");
+		label.className = "import_target_option";
+
+		const checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.className = "import_tree_pick";
+		checkbox.checked = selected_ids.has(plan.source_id);
+		label.appendChild(checkbox);
+
+		const name = document.createElement("span");
+		name.textContent = plan.name;
+		label.appendChild(name);
+		item.appendChild(label);
+
+		const notes = [
+			`${plan.node_count} node${plan.node_count !== 1 ? "s" : ""}`,
+			`${plan.connection_count} connection${plan.connection_count !== 1 ? "s" : ""}`
+		];
+		if (plan.replaces) {
+			notes.push(`replaces "${plan.replaces}"`);
+		}
+		if (plan.renamed.some(r => r.kind === "tree")) {
+			notes.push("tree ID taken, added as a new tree");
+		}
+
+		const id_renames = plan.renamed.filter(r => r.kind !== "tree");
+		if (id_renames.length > 0) {
+			notes.push(`${id_renames.length} node/connection ID${id_renames.length !== 1 ? "s" : ""} renamed`);
+		}
+
+		const ranks = plan.tree.nodes.reduce((total, node) => total + (node.current_rank || 0), 0);
+		if (ranks > 0) {
+			notes.push(`${ranks} allocated rank${ranks !== 1 ? "s" : ""} re-checked against your points`);
+		}
+
+		const meta = document.createElement("span");
+		meta.className = "project_meta";
+		meta.textContent = notes.join(" · ");
+		meta.title = plan.renamed.map(r => `${r.kind} ${r.from} → ${r.to}`).join("\n");
+		item.appendChild(meta);
+
+		list.appendChild(item);
+	}
+}
+
+/**
+ * Renders the changes found by comparing projects, grouped by tree, each
+ * with a checkbox to pick it for merging
+ * @param {array} changes - Changes from diff_projects
+ * @param {Set} selected_ids - IDs of picked changes
+ * @param {object} elements - DOM element references
+ */
+function render_compare_list(changes, selected_ids, elements) {
+	const list = elements.compare_list;
+	list.innerHTML = "";
+
+	const counts = { added: 0, removed: 0, changed: 0 };
+	changes.forEach(change => counts[change.status]++);
+	elements.compare_summary.textContent = changes.length === 0
+		? "The projects have the same design."
+		: `${changes.length} difference${changes.length !== 1 ? "s" : ""}: ${counts.added} added, ${counts.removed} removed, ${counts.changed} changed. Pick the changes to bring into the current project.`;
+
+	let tree_id = null;
+	for (const change of changes) {
+		if (change.tree_id !== tree_id) {
+			tree_id = change.tree_id;
+			const header = document.createElement("li");
+			header.className = "compare_tree";
+			header.textContent = change.tree_name;
+			list.appendChild(header);
+		}
+
+		const item = document.createElement("li");
+		item.className = "compare_item";
+		item.dataset.change_id = change.id;
+
+		const label = document.createElement("label");
+
+		const checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.className = "compare_pick";
+		checkbox.checked = selected_ids.has(change.id);
+		label.appendChild(checkbox);
+
+		const status = document.createElement("span");
+		status.className = `compare_status ${change.status}`;
+		status.textContent = change.status;
+		label.appendChild(status);
+
+		const name = document.createElement("span");
+		name.className = "compare_label";
+		name.textContent = `${change.kind === "tree" ? "Tree" : change.kind === "node" ? "Node" : "Connection"} ${change.label}`;
+		label.appendChild(name);
+
+		item.appendChild(label);
+
+		const detail = document.createElement("span");
+		detail.className = "compare_detail";
+		detail.textContent = describe_change(change);
+		item.appendChild(detail);
+
+		list.appendChild(item);
+	}
+}
+
 /**
  * Renders the tree selector dropdown
  */
@@ -68,12 +302,23 @@ function render_point_display(state, elements) {
 	if (!tree) {
 		elements.points_available.textContent = "0";
 		elements.points_total.textContent = "0";
+		elements.global_point_display.classList.add("hidden");
 		return;
 	}
 
-	const available = tree.point_pool.total - tree.point_pool.spent;
-	elements.points_available.textContent = available.toString();
-	elements.points_total.textContent = tree.point_pool.total.toString();
+	// Trees on the global pool spend from it, whatever their own total says
+	const is_global = uses_global_pool(state, tree);
+	const global_pool = state.project.settings.global_point_pool;
+	elements.points_available.textContent = get_available_points(state, tree).toString();
+	elements.points_total.textContent = (is_global ? global_pool.total : tree.point_pool.total).toString();
+
+	// Global budget shared with other trees
+	elements.global_point_display.classList.toggle("hidden", !is_global);
+
+	if (is_global) {
+		elements.global_points_available.textContent = (global_pool.total - global_pool.spent).toString();
+		elements.global_points_total.textContent = global_pool.total.toString();
+	}
 }
 
 /**
@@ -84,6 +329,27 @@ function render_mode_toggle(state, elements) {
 	elements.btn_mode_play.classList.toggle("active", state.ui_state.mode === "play");
 }
 
+/**
+ * Renders the character level slider, shown in play mode
+ */
+function render_level_control(state, elements) {
+	const level = get_character_level(state);
+	const max_level = state.project.settings.character_level?.max_level || 60;
+
+	elements.level_control.classList.toggle("hidden", state.ui_state.mode !== "play");
+	elements.character_level.max = max_level;
+	elements.character_level.value = level;
+	elements.character_level_value.textContent = level.toString();
+}
+
+/**
+ * Renders the undo/redo button states
+ */
+function render_history_buttons(state, elements) {
+	elements.btn_undo.disabled = state.history.past.length === 0;
+	elements.btn_redo.disabled = state.history.future.length === 0;
+}
+
 /**
  * Renders the canvas (nodes and connections)
  */
@@ -93,6 +359,7 @@ function render_canvas(state, elements) {
 	if (!tree) {
 		elements.nodes_layer.innerHTML = "";
 		elements.connections_layer.innerHTML = "";
+		elements.path_preview_bar.classList.add("hidden");
 		return;
 	}
 
@@ -106,6 +373,7 @@ function render_canvas(state, elements) {
 
 	render_connections(state, tree, elements);
 	render_nodes(state, tree, elements);
+	render_path_preview(state, tree, elements);
 }
 
 /**
@@ -117,6 +385,9 @@ function render_connections(state, tree, elements) {
 
 	const statuses = get_all_node_statuses(state, tree.id);
 
+	render_tier_bands(state, tree, svg);
+	render_exclusive_links(tree, svg);
+
 	for (const conn of tree.connections) {
 		const from_node = find_node(state, tree.id, conn.from_node_id);
 		const to_node = find_node(state, tree.id, conn.to_node_id);
@@ -127,9 +398,104 @@ function render_connections(state, tree, elements) {
 
 		const path = create_connection_path(state, from_node, to_node, conn, statuses);
 		svg.appendChild(path);
+
+		// Label members of an "any one of" group on AND nodes
+		if (path.classList.contains("logic-or") && to_node.prerequisite_logic !== "OR") {
+			svg.appendChild(create_connection_label(from_node, to_node, "OR"));
+		}
 	}
 }
 
+/**
+ * Draws a horizontal band for each tier, labelled with its point requirement
+ * @param {object} state - Current application state
+ * @param {object} tree - Tree object
+ * @param {SVGElement} svg - Connections layer
+ */
+function render_tier_bands(state, tree, svg) {
+	const tiers = get_sorted_tiers(tree);
+	const extent = 100000;
+	const vp = state.ui_state.viewport;
+
+	// Keep labels pinned to the left edge of the visible canvas
+	const label_x = -vp.x / vp.zoom + 12;
+
+	tiers.forEach((tier, index) => {
+		const next = tiers[index + 1];
+		const spent = get_points_before_tier(tree, tier, id => tree.nodes.find(n => n.id === id).current_rank);
+		const is_locked = spent < tier.points_required;
+
+		const band = document.createElementNS("http://www.w3.org/2000/svg", "rect");
+		band.setAttribute("x", -extent);
+		band.setAttribute("y", tier.y);
+		band.setAttribute("width", extent * 2);
+		band.setAttribute("height", next ? next.y - tier.y : extent);
+		band.classList.add("tier_band");
+		band.classList.toggle("odd", index % 2 === 1);
+		band.classList.toggle("locked", state.ui_state.mode === "play" && is_locked);
+		svg.appendChild(band);
+
+		const label = document.createElementNS("http://www.w3.org/2000/svg", "text");
+		label.setAttribute("x", label_x);
+		label.setAttribute("y", tier.y + 18);
+		label.classList.add("tier_label");
+		label.textContent = state.ui_state.mode === "play"
+			? `${tier.name} · ${Math.min(spent, tier.points_required)}/${tier.points_required} points`
+			: `${tier.name} · ${tier.points_required} points`;
+		svg.appendChild(label);
+	});
+}
+
+/**
+ * Links the members of each exclusive group with a dotted line
+ * @param {object} tree - Tree object
+ * @param {SVGElement} svg - Connections layer
+ */
+function render_exclusive_links(tree, svg) {
+	const half = 40;
+	const groups = {};
+
+	for (const node of tree.nodes) {
+		if (node.exclusive_group) {
+			(groups[node.exclusive_group] = groups[node.exclusive_group] || []).push(node);
+		}
+	}
+
+	for (const members of Object.values(groups)) {
+		// Chain members left to right so each group reads as one row of choices
+		const sorted = [...members].sort((a, b) => a.position.x - b.position.x);
+		const taken = sorted.some(n => n.current_rank > 0);
+
+		for (let i = 1; i < sorted.length; i++) {
+			const line = document.createElementNS("http://www.w3.org/2000/svg", "line");
+			line.setAttribute("x1", sorted[i - 1].position.x + half);
+			line.setAttribute("y1", sorted[i - 1].position.y + half);
+			line.setAttribute("x2", sorted[i].position.x + half);
+			line.setAttribute("y2", sorted[i].position.y + half);
+			line.classList.add("exclusive_link");
+			line.classList.toggle("taken", taken);
+			svg.appendChild(line);
+		}
+	}
+}
+
+/**
+ * Creates an SVG text label at the midpoint of a connection
+ */
+function create_connection_label(from_node, to_node, text) {
+	const half = 40;
+	const label = document.createElementNS("http://www.w3.org/2000/svg", "text");
+
+	label.setAttribute("x", (from_node.position.x + to_node.position.x) / 2 + half);
+	label.setAttribute("y", (from_node.position.y + to_node.position.y) / 2 + half);
+	label.setAttribute("text-anchor", "middle");
+	label.setAttribute("dominant-baseline", "middle");
+	label.classList.add("connection_label");
+	label.textContent = text;
+
+	return label;
+}
+
 /**
  * Creates an SVG path element for a connection
  */
@@ -163,6 +529,10 @@ function create_connection_path(state, from_node, to_node, connection, statuses)
 		path.classList.add("locked");
 	}
 
+	if (get_connection_logic(state, state.ui_state.active_tree_id, connection) === "OR") {
+		path.classList.add("logic-or");
+	}
+
 	return path;
 }
 
@@ -174,18 +544,89 @@ function render_nodes(state, tree, elements) {
 	container.innerHTML = "";
 
 	const statuses = get_all_node_statuses(state, tree.id);
+	const comparison = get_active_comparison(state, tree);
+	const path = get_active_path(state, tree);
 
 	for (const node of tree.nodes) {
 		const status = statuses[node.id];
-		const element = create_node_element(node, status, state);
+		const element = create_node_element(node, status, state, tree, comparison, path);
 		container.appendChild(element);
 	}
 }
 
+/**
+ * Plans the cheapest path to the previewed node, if any
+ * @param {object} state - Current application state
+ * @param {object} tree - Tree object
+ * @returns {object|null} Result of find_cheapest_path, or null
+ */
+function get_active_path(state, tree) {
+	const preview = state.ui_state.path_preview;
+	if (!preview || preview.tree_id !== tree.id || state.ui_state.mode !== "play") {
+		return null;
+	}
+
+	return validation.find_cheapest_path(state, tree.id, preview.node_id);
+}
+
+/**
+ * Renders the bar describing the previewed path
+ */
+function render_path_preview(state, tree, elements) {
+	const path = get_active_path(state, tree);
+	elements.path_preview_bar.classList.toggle("hidden", !path);
+
+	if (!path) {
+		return;
+	}
+
+	const target = tree.nodes.find(n => n.id === state.ui_state.path_preview.node_id);
+	const available = get_available_points(state, tree);
+	let message;
+
+	if (!path.found) {
+		message = `Can't reach "${target.name}": ${path.reason}`;
+	} else {
+		const ranks = path.steps.length === 1 ? "1 rank" : `${path.steps.length} ranks`;
+		message = `"${target.name}": ${ranks} for ${path.total_cost} points` +
+			(path.affordable ? "" : ` (${available} available)`);
+	}
+
+	elements.path_preview_text.textContent = message;
+	elements.path_preview_bar.classList.toggle("unaffordable", !path.found || !path.affordable);
+	elements.btn_allocate_path.disabled = !path.found || !path.affordable;
+}
+
+/**
+ * Compares the two builds picked for the active tree, if any
+ * @param {object} state - Current application state
+ * @param {object} tree - Tree object
+ * @returns {object|null} Result of compare_allocations, or null
+ */
+function get_active_comparison(state, tree) {
+	const comparison = state.ui_state.comparison;
+	if (!comparison || comparison.tree_id !== tree.id) {
+		return null;
+	}
+
+	const get_allocations = key => key === "current"
+		? get_allocation_map(tree)
+		: find_build(tree, key)?.allocations;
+
+	const allocations_a = get_allocations(comparison.build_a);
+	const allocations_b = get_allocations(comparison.build_b);
+
+	if (!allocations_a || !allocations_b) {
+		return null;
+	}
+
+	return validation.compare_allocations(tree, allocations_a, allocations_b);
+}
+
 /**
  * Creates a DOM element for a node
  */
-function create_node_element(node, status, state) {
+function create_node_element(node, status, state, tree, comparison = null, path = null) {
 	const div = document.createElement("div");
 	div.className = "skill_node";
 	div.classList.add(status);
@@ -203,13 +644,15 @@ function create_node_element(node, status, state) {
 	div.style.left = `${node.position.x}px`;
 	div.style.top = `${node.position.y}px`;
 
-	// Prerequisite logic badge
+	// Prerequisite logic badge (AND nodes with an OR group show both)
 	const logic = node.prerequisite_logic || "AND";
+	const is_mixed = logic === "AND" &&
+		tree.connections.some(c => c.to_node_id === node.id && c.logic === "OR");
 	const badge = document.createElement("div");
 	badge.className = "node_logic_badge";
-	badge.textContent = logic;
+	badge.textContent = is_mixed ? "AND+OR" : logic;
 	div.appendChild(badge);
-	div.classList.add(`logic-${logic.toLowerCase()}`);
+	div.classList.add(`logic-${is_mixed ? "mixed" : logic.toLowerCase()}`);
 
 	// Status indicator
 	const status_indicator = document.createElement("div");
@@ -233,14 +676,33 @@ function create_node_element(node, status, state) {
 	name.textContent = node.name;
 	div.appendChild(name);
 
-	// Rank badge
-	if (node.max_rank > 1 || node.current_rank > 0) {
+	// Rank badge, or the ranks in both builds while comparing
+	const diff = comparison?.nodes[node.id];
+	if (diff) {
+		div.classList.add("diff", `diff-${diff.diff}`);
+
+		const rank = document.createElement("span");
+		rank.className = "node_rank";
+		rank.textContent = `${diff.rank_a}→${diff.rank_b}`;
+		div.appendChild(rank);
+	} else if (node.max_rank > 1 || node.current_rank > 0) {
 		const rank = document.createElement("span");
 		rank.className = "node_rank";
 		rank.textContent = `${node.current_rank}/${node.max_rank}`;
 		div.appendChild(rank);
 	}
 
+	// Ranks the previewed path would add
+	const path_ranks = path?.found ? path.steps.filter(step => step.node_id === node.id).length : 0;
+	if (path_ranks > 0) {
+		div.classList.add("on_path");
+
+		const added = document.createElement("span");
+		added.className = "node_path_badge";
+		added.textContent = `+${path_ranks}`;
+		div.appendChild(added);
+	}
+
 	return div;
 }
 
@@ -256,17 +718,38 @@ function render_sidebar(state, elements) {
 	// Show/hide panels based on selection
 	elements.tree_properties.classList.toggle("hidden", !tree || node);
 	elements.node_properties.classList.toggle("hidden", !node);
+	elements.builds_panel.classList.toggle("hidden", !tree || !!node);
+	elements.timeline_panel.classList.toggle("hidden", !tree || !!node);
+	elements.history_panel.classList.toggle("hidden", !!node);
 	elements.edit_tools.classList.toggle("hidden", state.ui_state.mode !== "edit");
 
 	// Populate tree properties
 	if (tree && !node) {
 		elements.tree_name.value = tree.name;
 		elements.tree_description.value = tree.description;
+		const global_pool = state.project.settings.global_point_pool;
 		elements.tree_points.value = tree.point_pool.total;
+		elements.tree_points.disabled = has_level_curve(tree.point_pool);
+		elements.tree_point_source.value = tree.point_pool.source || "local";
+		elements.tree_points_per_level.value = (tree.point_pool.points_per_level || []).join(", ");
+		elements.max_level.value = state.project.settings.character_level?.max_level || 60;
+		elements.global_pool_total.value = global_pool.total;
+		elements.global_pool_total.disabled = has_level_curve(global_pool);
+		elements.global_points_per_level.value = (global_pool.points_per_level || []).join(", ");
+		elements.group_global_pool.classList.toggle("hidden", !uses_global_pool(state, tree));
 		elements.export_convention.value = state.project.metadata.export_convention || "snake_case";
+		render_tier_list(tree, elements);
+		render_build_list(tree, elements);
+		render_comparison(state, tree, elements);
+		render_timeline(state, tree, elements);
 
 		// Check for validation warnings
 		render_tree_warnings(state, tree, elements);
+		render_lint_rules(state, elements);
+	}
+
+	if (!node) {
+		render_snapshot_list(state, elements);
 	}
 
 	// Populate node properties
@@ -281,12 +764,416 @@ function render_sidebar(state, elements) {
 		elements.node_prereq_logic.value = node.prerequisite_logic || "AND";
 		elements.node_prereq_threshold.value = node.prerequisite_threshold || 1;
 		elements.group_node_threshold.classList.toggle("hidden", node.prerequisite_logic !== "SUM");
+		render_node_expression(state, tree, node, elements);
+		render_node_prerequisites(state, tree, node, elements);
 
 		// Event string
 		elements.node_event.value = node.event || "";
+		elements.node_required_level.value = node.required_level || 0;
+		render_node_lint_suppressions(node, elements);
+
+		// Exclusive group, suggesting groups already used in this tree
+		elements.node_exclusive_group.value = node.exclusive_group || "";
+		const groups = [...new Set(tree.nodes.map(n => n.exclusive_group).filter(Boolean))];
+		elements.exclusive_group_options.innerHTML = "";
+		for (const group of groups) {
+			const option = document.createElement("option");
+			option.value = group;
+			elements.exclusive_group_options.appendChild(option);
+		}
 	}
 }
 
+/**
+ * Renders the prerequisite expression editor and its validation errors
+ * @param {object} state - Current application state
+ * @param {object} tree - Tree object
+ * @param {object} node - Selected node
+ * @param {object} elements - DOM elements
+ */
+function render_node_expression(state, tree, node, elements) {
+	const is_expression = node.prerequisite_logic === "EXPR";
+	elements.group_node_expression.classList.toggle("hidden", !is_expression);
+
+	if (!is_expression) {
+		return;
+	}
+
+	// Don't clobber the textarea while the user is typing in it
+	if (document.activeElement !== elements.node_prereq_expression) {
+		elements.node_prereq_expression.value = node.prerequisite_expression || "";
+	}
+
+	const { errors } = validation.validate_tree(state, tree.id);
+	const messages = errors
+		.filter(e => (e.node_id === node.id && e.code.includes("EXPRESSION")) ||
+			(e.code === "ERR_CYCLIC_DEPENDENCY" && e.details.cycle.includes(node.id)))
+		.map(e => e.message);
+
+	elements.node_prereq_expression.classList.toggle("invalid", messages.length > 0);
+	elements.node_expression_errors.innerHTML = "";
+	for (const message of messages) {
+		const item = document.createElement("li");
+		item.textContent = message;
+		elements.node_expression_errors.appendChild(item);
+	}
+}
+
+/**
+ * Renders the incoming connections of the selected node with their logic and rank
+ * @param {object} state - Current application state
+ * @param {object} tree - Tree object
+ * @param {object} node - Selected node
+ * @param {object} elements - DOM elements
+ */
+function render_node_prerequisites(state, tree, node, elements) {
+	const incoming = tree.connections.filter(c => c.to_node_id === node.id);
+	const list = elements.node_prerequisites;
+	const per_connection_logic = (node.prerequisite_logic || "AND") === "AND";
+
+	elements.group_node_prerequisites.classList.toggle("hidden", incoming.length === 0);
+	list.innerHTML = "";
+
+	for (const conn of incoming) {
+		const from_node = find_node(state, tree.id, conn.from_node_id);
+		const item = document.createElement("li");
+		item.className = "prerequisite_item";
+		item.dataset.connection_id = conn.id;
+
+		const name = document.createElement("span");
+		name.className = "prerequisite_name";
+		name.textContent = from_node ? from_node.name : conn.from_node_id;
+		item.appendChild(name);
+
+		const logic = document.createElement("select");
+		logic.className = "input prerequisite_logic";
+		logic.disabled = !per_connection_logic;
+		logic.title = per_connection_logic
+			? "AND: this prerequisite is always required. OR: any one of the OR prerequisites is enough."
+			: "Connection logic only applies when the node uses AND logic.";
+		for (const value of ["AND", "OR"]) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = value;
+			option.selected = (conn.logic === "OR" ? "OR" : "AND") === value;
+			logic.appendChild(option);
+		}
+		item.appendChild(logic);
+
+		const rank = document.createElement("input");
+		rank.type = "number";
+		rank.min = "1";
+		rank.className = "input prerequisite_rank";
+		rank.value = conn.required_rank;
+		rank.title = "Required rank on the prerequisite node";
+		item.appendChild(rank);
+
+		list.appendChild(item);
+	}
+}
+
+/**
+ * Renders the editable list of tiers for the tree
+ * @param {object} tree - Tree object
+ * @param {object} elements - DOM elements
+ */
+function render_tier_list(tree, elements) {
+	const list = elements.tier_list;
+	list.innerHTML = "";
+
+	for (const tier of get_sorted_tiers(tree)) {
+		const item = document.createElement("li");
+		item.className = "tier_item";
+		item.dataset.tier_id = tier.id;
+
+		const name = document.createElement("input");
+		name.type = "text";
+		name.className = "input tier_name";
+		name.value = tier.name;
+		name.title = "Tier name";
+		item.appendChild(name);
+
+		const y = document.createElement("input");
+		y.type = "number";
+		y.step = "10";
+		y.className = "input tier_y";
+		y.value = tier.y;
+		y.title = "Top edge of the tier on the canvas";
+		item.appendChild(y);
+
+		const points = document.createElement("input");
+		points.type = "number";
+		points.min = "0";
+		points.className = "input tier_points";
+		points.value = tier.points_required;
+		points.title = "Points that must be spent on nodes above this tier";
+		item.appendChild(points);
+
+		const remove = document.createElement("button");
+		remove.className = "btn btn_icon tier_remove";
+		remove.textContent = "×";
+		remove.title = "Remove tier";
+		item.appendChild(remove);
+
+		list.appendChild(item);
+	}
+}
+
+/**
+ * Renders the project's snapshots in the version history panel
+ * @param {object} state - Current application state
+ * @param {object} elements - DOM elements
+ */
+function render_snapshot_list(state, elements) {
+	const snapshots = state.ui_state.snapshots || [];
+	const list = elements.snapshot_list;
+
+	elements.snapshot_empty.classList.toggle("hidden", snapshots.length > 0);
+	list.innerHTML = "";
+
+	for (const snapshot of snapshots) {
+		const item = document.createElement("li");
+		item.className = "build_item snapshot_item";
+		item.classList.toggle("previewing", snapshot.id === state.ui_state.snapshot_preview);
+		item.dataset.snapshot_id = snapshot.id;
+
+		const name = document.createElement("input");
+		name.type = "text";
+		name.className = "input snapshot_name";
+		name.value = snapshot.name;
+		name.title = snapshot.auto ? "Name this snapshot to keep it when older auto-saves are cleared" : "Rename this snapshot";
+		item.appendChild(name);
+
+		const meta = document.createElement("span");
+		meta.className = "build_meta";
+		meta.textContent = `${snapshot.auto ? "Auto · " : ""}${snapshot.tree_count} tree${snapshot.tree_count !== 1 ? "s" : ""}, ` +
+			`${snapshot.node_count} node${snapshot.node_count !== 1 ? "s" : ""} · ${new Date(snapshot.modified_at).toLocaleString()}`;
+		item.appendChild(meta);
+
+		const snapshot_actions = document.createElement("div");
+		snapshot_actions.className = "build_actions";
+		const buttons = [
+			["preview", "Preview", "btn_secondary", "Show this version read-only on the canvas"],
+			["restore", "Restore", "btn_secondary", "Replace the project with this version"],
+			["branch", "Branch", "btn_secondary", "Open this version as a new project"],
+			["delete", "Delete", "btn_danger", "Delete this snapshot"]
+		];
+		for (const [action, label, style, title] of buttons) {
+			const button = document.createElement("button");
+			button.className = `btn ${style}`;
+			button.dataset.snapshot_action = action;
+			button.textContent = label;
+			button.title = title;
+			snapshot_actions.appendChild(button);
+		}
+		item.appendChild(snapshot_actions);
+
+		list.appendChild(item);
+	}
+}
+
+/**
+ * Renders the bar shown while a snapshot is previewed, and greys out the
+ * editing panels
+ * @param {object} state - Current application state
+ * @param {object} elements - DOM elements
+ */
+function render_snapshot_preview(state, elements) {
+	const snapshot = (state.ui_state.snapshots || []).find(s => s.id === state.ui_state.snapshot_preview);
+
+	elements.snapshot_preview_bar.classList.toggle("hidden", !snapshot);
+	elements.sidebar.classList.toggle("snapshot_previewing", !!snapshot);
+
+	if (snapshot) {
+		elements.snapshot_preview_text.textContent =
+			`Previewing "${snapshot.name}" from ${new Date(snapshot.modified_at).toLocaleString()} (read-only)`;
+	}
+}
+
+/**
+ * Renders the saved builds of the tree
+ * @param {object} tree - Tree object
+ * @param {object} elements - DOM elements
+ */
+function render_build_list(tree, elements) {
+	const builds = tree.builds || [];
+	const list = elements.build_list;
+
+	elements.build_empty.classList.toggle("hidden", builds.length > 0);
+	list.innerHTML = "";
+
+	for (const build of builds) {
+		const item = document.createElement("li");
+		item.className = "build_item";
+		item.dataset.build_id = build.id;
+
+		const name = document.createElement("input");
+		name.type = "text";
+		name.className = "input build_name";
+		name.value = build.name;
+		name.title = "Rename this build";
+		item.appendChild(name);
+
+		const points = Object.values(build.allocations).reduce((total, rank) => total + rank, 0);
+		const meta = document.createElement("span");
+		meta.className = "build_meta";
+		meta.textContent = `${points} rank${points !== 1 ? "s" : ""} · saved ${new Date(build.modified_at).toLocaleString()}`;
+		item.appendChild(meta);
+
+		const notes = document.createElement("textarea");
+		notes.className = "input textarea build_notes";
+		notes.placeholder = "Notes";
+		notes.value = build.notes || "";
+		item.appendChild(notes);
+
+		const build_actions = document.createElement("div");
+		build_actions.className = "build_actions";
+		const buttons = [
+			["load", "Load", "btn_secondary", "Replace the current allocation with this build"],
+			["overwrite", "Update", "btn_secondary", "Save the current allocation into this build"],
+			["export", "Export", "btn_secondary", "Download this build as JSON"],
+			["delete", "Delete", "btn_danger", "Delete this build"]
+		];
+		for (const [action, label, style, title] of buttons) {
+			const button = document.createElement("button");
+			button.className = `btn ${style}`;
+			button.dataset.build_action = action;
+			button.textContent = label;
+			button.title = title;
+			build_actions.appendChild(button);
+		}
+		item.appendChild(build_actions);
+
+		list.appendChild(item);
+	}
+}
+
+/**
+ * Renders the build pickers and the summary of the active comparison
+ * @param {object} state - Current application state
+ * @param {object} tree - Tree object
+ * @param {object} elements - DOM elements
+ */
+function render_comparison(state, tree, elements) {
+	const comparison = state.ui_state.comparison?.tree_id === tree.id ? state.ui_state.comparison : null;
+	const builds = tree.builds || [];
+	const choices = [["current", "Current allocation"], ...builds.map(b => [b.id, b.name])];
+
+	const fill_select = (select, selected) => {
+		select.innerHTML = "";
+		for (const [value, label] of choices) {
+			const option = document.createElement("option");
+			option.value = value;
+			option.textContent = label;
+			option.selected = value === selected;
+			select.appendChild(option);
+		}
+	};
+
+	fill_select(elements.compare_build_a, comparison?.build_a || builds[0]?.id || "current");
+	fill_select(elements.compare_build_b, comparison?.build_b || "current");
+
+	const result = get_active_comparison(state, tree);
+	const summary = elements.comparison_summary;
+	summary.classList.toggle("hidden", !result);
+	elements.btn_clear_comparison.disabled = !comparison;
+	summary.innerHTML = "";
+
+	if (!result) {
+		return;
+	}
+
+	const node_name = id => find_node(state, tree.id, id)?.name || id;
+	const add_line = (label, text, class_name = "") => {
+		const line = document.createElement("p");
+		line.className = `comparison_line ${class_name}`;
+		const strong = document.createElement("strong");
+		strong.textContent = `${label}: `;
+		line.appendChild(strong);
+		line.appendChild(document.createTextNode(text));
+		summary.appendChild(line);
+	};
+
+	const sign = result.cost_delta > 0 ? "+" : "";
+	add_line("Cost", `A ${result.cost_a} · B ${result.cost_b} (${sign}${result.cost_delta})`);
+	add_line("Only in A", result.only_a.map(node_name).join(", ") || "none", "diff-only_a");
+	add_line("Only in B", result.only_b.map(node_name).join(", ") || "none", "diff-only_b");
+	add_line("Rank changes", result.rank_changes
+		.map(c => `${node_name(c.node_id)} ${c.rank_a}→${c.rank_b}`)
+		.join(", ") || "none", "diff-changed");
+
+	// Points spent per type and tag in each build
+	const table = document.createElement("table");
+	table.className = "comparison_table";
+	table.innerHTML = "<thead><tr><th></th><th>A</th><th>B</th></tr></thead>";
+	const body = document.createElement("tbody");
+	const rows = [
+		...Object.entries(result.by_type).map(([type, spend]) => [`type: ${type}`, spend]),
+		...Object.entries(result.by_tag).map(([tag, spend]) => [`#${tag}`, spend])
+	];
+	for (const [label, spend] of rows) {
+		const row = document.createElement("tr");
+		for (const text of [label, spend.a, spend.b]) {
+			const cell = document.createElement("td");
+			cell.textContent = text;
+			row.appendChild(cell);
+		}
+		body.appendChild(row);
+	}
+	table.appendChild(body);
+	summary.appendChild(table);
+}
+
+/**
+ * Renders the recorded allocation order with the current position and the
+ * step the last replay stopped at
+ * @param {object} state - Current application state
+ * @param {object} tree - Tree object
+ * @param {object} elements - DOM elements
+ */
+function render_timeline(state, tree, elements) {
+	const { steps, position } = tree.allocation_order || { steps: [], position: 0 };
+	const issue = state.ui_state.replay_issue?.tree_id === tree.id ? state.ui_state.replay_issue : null;
+	const list = elements.timeline_list;
+
+	elements.timeline_position.textContent = `${position} / ${steps.length}`;
+	elements.btn_timeline_start.disabled = position === 0;
+	elements.btn_timeline_back.disabled = position === 0;
+	elements.btn_timeline_forward.disabled = position >= steps.length;
+	elements.btn_timeline_end.disabled = steps.length === 0;
+
+	elements.timeline_issue.classList.toggle("hidden", !issue);
+	if (issue) {
+		elements.timeline_issue.textContent = `Step ${issue.step_index + 1} is no longer legal: ${issue.reason}`;
+	}
+
+	list.innerHTML = "";
+
+	// Ranks are counted from the steps alone, so cascaded refunds aren't shown
+	const ranks = {};
+
+	steps.forEach((step, index) => {
+		const node = find_node(state, tree.id, step.node_id);
+		ranks[step.node_id] = (ranks[step.node_id] || 0) + (step.type === "refund" ? -1 : 1);
+
+		const item = document.createElement("li");
+		item.className = "timeline_step";
+		item.dataset.step = index;
+		item.classList.toggle("refund", step.type === "refund");
+		item.classList.toggle("pending", index >= position);
+		item.classList.toggle("current", index === position - 1);
+		item.classList.toggle("invalid", issue?.step_index === index);
+
+		const sign = step.type === "refund" ? "−" : "+";
+		item.textContent = `${sign} ${node ? node.name : step.node_id} (rank ${Math.max(0, ranks[step.node_id])})`;
+		if (issue?.step_index === index) {
+			item.title = issue.reason;
+		}
+
+		list.appendChild(item);
+	});
+}
+
 /**
  * Renders validation warnings for the tree
  * @param {object} state - Current application state
@@ -294,42 +1181,122 @@ function render_sidebar(state, elements) {
  * @param {object} elements - DOM elements
  */
 function render_tree_warnings(state, tree, elements) {
-	const warnings = [];
-
-	if (tree.nodes.length > 1) {
-		// Root nodes are OK (nodes with no prerequisites)
-		// Orphans are non-root nodes with no connections TO them
-		const orphans = tree.nodes.filter(node => {
-			const is_prerequisite = tree.connections.some(c => c.from_node_id === node.id);
-			const has_no_incoming = !tree.connections.some(c => c.to_node_id === node.id);
-			return has_no_incoming && !is_prerequisite && tree.nodes.length > 1;
-		});
-
-		orphans.forEach(orphan => {
-			warnings.push(`"${orphan.name}" is isolated (no connections)`);
-		});
-
-		// Check for unreachable nodes
-		const { unreachable } = validation.check_tree_reachability(state, tree.id);
-		unreachable.forEach(node_id => {
-			const node = find_node(state, tree.id, node_id);
-			if (node) {
-				// Don't duplicate orphan warnings
-				const has_incoming = tree.connections.some(c => c.to_node_id === node_id);
-				if (has_incoming) {
-					warnings.push(`"${node.name}" is unreachable with current requirements`);
-				}
-			}
-		});
-	}
-
-	// Update warnings display
-	if (warnings.length > 0) {
-		elements.tree_warnings.classList.remove("hidden");
-		elements.warning_list.innerHTML = warnings.map(w => `<li>${w}</li>`).join("");
-	} else {
-		elements.tree_warnings.classList.add("hidden");
-		elements.warning_list.innerHTML = "";
+	const { errors, warnings } = validation.validate_tree(state, tree.id);
+	const findings = [...errors, ...warnings];
+
+	elements.tree_warnings.classList.toggle("hidden", findings.length === 0);
+	elements.warning_list.innerHTML = "";
+
+	for (const finding of findings) {
+		const item = document.createElement("li");
+		item.className = `warning_item severity-${finding.severity}`;
+		item.dataset.rule_id = finding.rule_id;
+
+		const message = document.createElement("span");
+		message.className = "warning_message";
+		message.textContent = finding.message;
+		item.appendChild(message);
+
+		// Links to the offending node and connection
+		const links = document.createElement("span");
+		links.className = "warning_links";
+
+		if (finding.node_id && tree.nodes.some(n => n.id === finding.node_id)) {
+			item.dataset.node_id = finding.node_id;
+			links.appendChild(create_warning_link("node", "Node", "Show the node"));
+		}
+		if (finding.connection_id && tree.connections.some(c => c.id === finding.connection_id)) {
+			item.dataset.connection_id = finding.connection_id;
+			links.appendChild(create_warning_link("connection", "Connection", "Show the connection"));
+		}
+		if (item.dataset.node_id) {
+			links.appendChild(create_warning_link("ignore", "Ignore", "Ignore this rule for the node"));
+		}
+
+		item.appendChild(links);
+		elements.warning_list.appendChild(item);
+	}
+}
+
+/**
+ * Creates a link button for a warning
+ * @param {string} action - "node", "connection" or "ignore"
+ * @param {string} text - Button text
+ * @param {string} title - Button tooltip
+ * @returns {HTMLElement} Button element
+ */
+function create_warning_link(action, text, title) {
+	const button = document.createElement("button");
+	button.className = "warning_link";
+	button.dataset.warning_action = action;
+	button.textContent = text;
+	button.title = title;
+	return button;
+}
+
+/**
+ * Renders the project's lint rules with their enabled state
+ * @param {object} state - Current application state
+ * @param {object} elements - DOM elements
+ */
+function render_lint_rules(state, elements) {
+	const list = elements.lint_rule_list;
+	list.innerHTML = "";
+
+	for (const rule of validation.get_lint_rules()) {
+		const item = document.createElement("li");
+		item.className = "lint_rule_item";
+		item.title = rule.description;
+
+		const label = document.createElement("label");
+		const checkbox = document.createElement("input");
+		checkbox.type = "checkbox";
+		checkbox.className = "lint_rule_toggle";
+		checkbox.dataset.rule_id = rule.id;
+		checkbox.checked = validation.is_lint_rule_enabled(state, rule.id);
+		label.appendChild(checkbox);
+		label.append(` ${rule.name}`);
+		item.appendChild(label);
+
+		const severity = document.createElement("span");
+		severity.className = `lint_severity severity-${rule.severity}`;
+		severity.textContent = rule.severity;
+		item.appendChild(severity);
+
+		list.appendChild(item);
+	}
+}
+
+/**
+ * Renders the lint rules ignored for the selected node
+ * @param {object} node - Selected node
+ * @param {object} elements - DOM elements
+ */
+function render_node_lint_suppressions(node, elements) {
+	const suppressed = node.lint_suppressions || [];
+	const list = elements.node_lint_suppressions;
+
+	elements.group_node_lint_suppressions.classList.toggle("hidden", suppressed.length === 0);
+	list.innerHTML = "";
+
+	for (const rule_id of suppressed) {
+		const rule = validation.get_lint_rules().find(r => r.id === rule_id);
+
+		const item = document.createElement("li");
+		item.className = "lint_suppression_item";
+		item.dataset.rule_id = rule_id;
+
+		const name = document.createElement("span");
+		name.textContent = rule ? rule.name : rule_id;
+		item.appendChild(name);
+
+		const remove = document.createElement("button");
+		remove.className = "btn btn_icon lint_suppression_remove";
+		remove.textContent = "×";
+		remove.title = "Stop ignoring this rule";
+		item.appendChild(remove);
+
+		list.appendChild(item);
 	}
 }
 
@@ -364,14 +1331,26 @@ function render_tooltip(state, node, x, y, elements) {
 		: "Max rank reached";
 
 	const status_messages = {
-		[NODE_STATUS.LOCKED]: "🔒 Prerequisites not met",
+		[NODE_STATUS.LOCKED]: validation.get_level_lock(state, node)
+			? `🔒 Requires level ${node.required_level}`
+			: "🔒 Prerequisites not met",
 		[NODE_STATUS.UNLOCKABLE]: "✨ Click to allocate",
 		[NODE_STATUS.ACTIVE]: "⬆️ Click to upgrade, Right-click to refund",
 		[NODE_STATUS.MAXED]: "⭐ Fully upgraded",
+		[NODE_STATUS.EXCLUDED]: "⛔ Another choice in this group was taken",
 		[NODE_STATUS.INVALID]: "⚠️ Invalid state"
 	};
 	elements.tooltip_status.textContent = status_messages[status] || "";
 
+	// Checklist of what still holds the node back
+	const explanation = validation.explain_node_status(state, tree_id, node.id);
+	elements.tooltip_checks.innerHTML = "";
+	elements.tooltip_checks.classList.toggle("hidden", explanation.met);
+
+	if (!explanation.met) {
+		render_check_list(explanation.checks, elements.tooltip_checks);
+	}
+
 	// Position tooltip
 	const padding = 15;
 	let tooltip_x = x + padding;
@@ -394,6 +1373,41 @@ function render_tooltip(state, node, x, y, elements) {
 	tooltip.classList.remove("hidden");
 }
 
+/**
+ * Renders status checks as a checklist, nesting grouped checks
+ * @param {array} checks - Checks from explain_node_status
+ * @param {HTMLElement} list - List element to fill
+ */
+function render_check_list(checks, list) {
+	for (const check of checks) {
+		const item = document.createElement("li");
+		item.className = `tooltip_check ${check.met ? "met" : "unmet"}`;
+
+		const label = document.createElement("span");
+		label.className = "tooltip_check_label";
+		label.textContent = `${check.met ? "✓" : "✗"} ${check.label}`;
+		item.appendChild(label);
+
+		if (check.required !== undefined) {
+			const progress = document.createElement("span");
+			progress.className = "tooltip_check_progress";
+			progress.textContent = check.shortfall
+				? `${check.current}/${check.required} (${check.shortfall} short)`
+				: `${check.current}/${check.required}`;
+			item.appendChild(progress);
+		}
+
+		if (check.children?.length > 0) {
+			const children = document.createElement("ul");
+			children.className = "tooltip_checks";
+			render_check_list(check.children, children);
+			item.appendChild(children);
+		}
+
+		list.appendChild(item);
+	}
+}
+
 /**
  * Hides the tooltip
  */
@@ -403,9 +1417,16 @@ function hide_tooltip(elements) {
 
 export {
 	render,
+	render_save_status,
+	render_recent_projects,
+	render_project_list,
+	render_import_tree_list,
+	render_compare_list,
 	render_tree_selector,
 	render_point_display,
 	render_mode_toggle,
+	render_level_control,
+	render_history_buttons,
 	render_canvas,
 	render_sidebar,
 	render_empty_state,
@@ -0,0 +1,398 @@
+/**
+ * Schema Validator Module
+ * Dependency-free JSON Schema (draft-07) validation with JSON pointer error paths
+ */
+
+// Schemas registered by $id, used to resolve $ref between files
+const schema_registry = new Map();
+
+/**
+ * Registers a schema so other schemas can reference it by its $id
+ * @param {object} schema - Schema with an $id
+ * @returns {object} The registered schema
+ */
+function register_schema(schema) {
+	if (!schema || typeof schema.$id !== "string") {
+		throw new Error("Schemas need an $id to be registered");
+	}
+
+	schema_registry.set(schema.$id, schema);
+	return schema;
+}
+
+/**
+ * Gets a registered schema
+ * @param {string} id - Schema $id
+ * @returns {object|null} Schema or null
+ */
+function get_schema(id) {
+	return schema_registry.get(id) || null;
+}
+
+/**
+ * Validates data against a schema
+ * @param {object|boolean} schema - Schema, or a registered schema's $id
+ * @param {*} data - Data to validate
+ * @returns {array} Errors as { pointer, message }, empty when valid
+ */
+function validate_schema(schema, data) {
+	const root = typeof schema === "string" ? get_schema(schema) : schema;
+	if (root === null) {
+		throw new Error(`Unknown schema: ${schema}`);
+	}
+
+	const errors = [];
+	validate_node(root, data, "", root, errors);
+	return errors;
+}
+
+/**
+ * Formats validation errors as "pointer: message" lines
+ * @param {array} errors - Errors from validate_schema
+ * @returns {array} Error strings
+ */
+function format_schema_errors(errors) {
+	return errors.map(error => `${error.pointer || "/"}: ${error.message}`);
+}
+
+// ============================================================================
+// Keywords
+// ============================================================================
+
+/**
+ * Validates one value against one schema, appending errors
+ * @param {object|boolean} schema - Schema to apply
+ * @param {*} data - Value to validate
+ * @param {string} pointer - JSON pointer of the value
+ * @param {object} root - Schema document the schema belongs to, for local $refs
+ * @param {array} errors - Error list to append to
+ */
+function validate_node(schema, data, pointer, root, errors) {
+	if (schema === true) {
+		return;
+	}
+	if (schema === false) {
+		errors.push({ pointer, message: "is not allowed" });
+		return;
+	}
+
+	// In draft-07 a $ref replaces every sibling keyword
+	if (schema.$ref) {
+		const { schema: target, root: target_root } = resolve_ref(schema.$ref, root);
+		validate_node(target, data, pointer, target_root, errors);
+		return;
+	}
+
+	if (schema.type !== undefined) {
+		const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+		if (!types.some(type => matches_type(type, data))) {
+			errors.push({ pointer, message: `must be ${types.join(" or ")}, got ${describe_type(data)}` });
+			return;
+		}
+	}
+
+	if (schema.enum !== undefined && !schema.enum.some(value => deep_equal(value, data))) {
+		errors.push({ pointer, message: `must be one of ${schema.enum.map(v => JSON.stringify(v)).join(", ")}` });
+	}
+
+	if (schema.const !== undefined && !deep_equal(schema.const, data)) {
+		errors.push({ pointer, message: `must be ${JSON.stringify(schema.const)}` });
+	}
+
+	if (typeof data === "number") {
+		validate_number(schema, data, pointer, errors);
+	} else if (typeof data === "string") {
+		validate_string(schema, data, pointer, errors);
+	} else if (Array.isArray(data)) {
+		validate_array(schema, data, pointer, root, errors);
+	} else if (data !== null && typeof data === "object") {
+		validate_object(schema, data, pointer, root, errors);
+	}
+
+	validate_combinators(schema, data, pointer, root, errors);
+}
+
+/**
+ * Applies numeric keywords
+ */
+function validate_number(schema, data, pointer, errors) {
+	if (schema.minimum !== undefined && data < schema.minimum) {
+		errors.push({ pointer, message: `must be at least ${schema.minimum}` });
+	}
+	if (schema.maximum !== undefined && data > schema.maximum) {
+		errors.push({ pointer, message: `must be at most ${schema.maximum}` });
+	}
+	if (schema.exclusiveMinimum !== undefined && data <= schema.exclusiveMinimum) {
+		errors.push({ pointer, message: `must be greater than ${schema.exclusiveMinimum}` });
+	}
+	if (schema.exclusiveMaximum !== undefined && data >= schema.exclusiveMaximum) {
+		errors.push({ pointer, message: `must be less than ${schema.exclusiveMaximum}` });
+	}
+	if (schema.multipleOf !== undefined && !Number.isInteger(data / schema.multipleOf)) {
+		errors.push({ pointer, message: `must be a multiple of ${schema.multipleOf}` });
+	}
+}
+
+/**
+ * Applies string keywords. Lengths count code points, as the spec requires.
+ */
+function validate_string(schema, data, pointer, errors) {
+	const length = [...data].length;
+
+	if (schema.minLength !== undefined && length < schema.minLength) {
+		errors.push({ pointer, message: `must be at least ${schema.minLength} characters` });
+	}
+	if (schema.maxLength !== undefined && length > schema.maxLength) {
+		errors.push({ pointer, message: `must be at most ${schema.maxLength} characters` });
+	}
+	if (schema.pattern !== undefined && !new RegExp(schema.pattern, "u").test(data)) {
+		errors.push({ pointer, message: `must match pattern ${schema.pattern}` });
+	}
+	if (schema.format !== undefined && FORMATS[schema.format] && !FORMATS[schema.format](data)) {
+		errors.push({ pointer, message: `must be a valid ${schema.format}` });
+	}
+}
+
+/**
+ * Applies array keywords
+ */
+function validate_array(schema, data, pointer, root, errors) {
+	if (schema.minItems !== undefined && data.length < schema.minItems) {
+		errors.push({ pointer, message: `must have at least ${schema.minItems} items` });
+	}
+	if (schema.maxItems !== undefined && data.length > schema.maxItems) {
+		errors.push({ pointer, message: `must have at most ${schema.maxItems} items` });
+	}
+	if (schema.uniqueItems && data.some((item, i) => data.findIndex(other => deep_equal(other, item)) !== i)) {
+		errors.push({ pointer, message: "must not contain duplicate items" });
+	}
+
+	if (Array.isArray(schema.items)) {
+		// Tuple form: one schema per position, additionalItems for the rest
+		data.forEach((item, i) => {
+			const item_schema = i < schema.items.length ? schema.items[i] : schema.additionalItems;
+			if (item_schema !== undefined) {
+				validate_node(item_schema, item, `${pointer}/${i}`, root, errors);
+			}
+		});
+	} else if (schema.items !== undefined) {
+		data.forEach((item, i) => validate_node(schema.items, item, `${pointer}/${i}`, root, errors));
+	}
+
+	if (schema.contains !== undefined && !data.some(item => is_valid(schema.contains, item, root))) {
+		errors.push({ pointer, message: "must contain a matching item" });
+	}
+}
+
+/**
+ * Applies object keywords
+ */
+function validate_object(schema, data, pointer, root, errors) {
+	const keys = Object.keys(data);
+
+	for (const key of schema.required || []) {
+		if (!(key in data)) {
+			errors.push({ pointer, message: `is missing required property "${key}"` });
+		}
+	}
+
+	if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+		errors.push({ pointer, message: `must have at least ${schema.minProperties} properties` });
+	}
+	if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+		errors.push({ pointer, message: `must have at most ${schema.maxProperties} properties` });
+	}
+
+	const properties = schema.properties || {};
+	const patterns = Object.entries(schema.patternProperties || {}).map(([source, sub]) => [new RegExp(source, "u"), sub]);
+
+	for (const key of keys) {
+		const child_pointer = `${pointer}/${escape_pointer(key)}`;
+		let matched = false;
+
+		if (key in properties) {
+			matched = true;
+			validate_node(properties[key], data[key], child_pointer, root, errors);
+		}
+
+		for (const [regex, sub] of patterns) {
+			if (regex.test(key)) {
+				matched = true;
+				validate_node(sub, data[key], child_pointer, root, errors);
+			}
+		}
+
+		if (!matched && schema.additionalProperties !== undefined) {
+			if (schema.additionalProperties === false) {
+				errors.push({ pointer: child_pointer, message: "is not an allowed property" });
+			} else {
+				validate_node(schema.additionalProperties, data[key], child_pointer, root, errors);
+			}
+		}
+
+		if (schema.propertyNames !== undefined && !is_valid(schema.propertyNames, key, root)) {
+			errors.push({ pointer: child_pointer, message: "has an invalid property name" });
+		}
+	}
+
+	for (const [key, dependency] of Object.entries(schema.dependencies || {})) {
+		if (!(key in data)) {
+			continue;
+		}
+
+		if (Array.isArray(dependency)) {
+			for (const required_key of dependency.filter(k => !(k in data))) {
+				errors.push({ pointer, message: `needs property "${required_key}" when "${key}" is present` });
+			}
+		} else {
+			validate_node(dependency, data, pointer, root, errors);
+		}
+	}
+}
+
+/**
+ * Applies allOf, anyOf, oneOf, not and if/then/else
+ */
+function validate_combinators(schema, data, pointer, root, errors) {
+	for (const sub of schema.allOf || []) {
+		validate_node(sub, data, pointer, root, errors);
+	}
+
+	if (schema.anyOf && !schema.anyOf.some(sub => is_valid(sub, data, root))) {
+		errors.push({ pointer, message: "must match at least one allowed schema" });
+	}
+
+	if (schema.oneOf) {
+		const matches = schema.oneOf.filter(sub => is_valid(sub, data, root)).length;
+		if (matches !== 1) {
+			errors.push({ pointer, message: `must match exactly one allowed schema, matched ${matches}` });
+		}
+	}
+
+	if (schema.not !== undefined && is_valid(schema.not, data, root)) {
+		errors.push({ pointer, message: "matches a schema it must not match" });
+	}
+
+	if (schema.if !== undefined) {
+		const branch = is_valid(schema.if, data, root) ? schema.then : schema.else;
+		if (branch !== undefined) {
+			validate_node(branch, data, pointer, root, errors);
+		}
+	}
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * String formats checked by the validator. Unknown formats always pass.
+ */
+const FORMATS = {
+	"date-time": value => /^\d{4}-\d{2}-\d{2}[Tt ]\d{2}:\d{2}:\d{2}(\.\d+)?([Zz]|[+-]\d{2}:\d{2})$/.test(value) &&
+		!Number.isNaN(Date.parse(value)),
+	"date": value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)),
+	"email": value => /^[^\s@]+@[^\s@]+$/.test(value),
+	"uri": value => /^[a-z][a-z0-9+.-]*:/i.test(value)
+};
+
+/**
+ * Checks a value against a schema without collecting errors
+ */
+function is_valid(schema, data, root) {
+	const errors = [];
+	validate_node(schema, data, "", root, errors);
+	return errors.length === 0;
+}
+
+/**
+ * Resolves a $ref of the form "other.json", "#/definitions/x" or
+ * "other.json#/definitions/x"
+ * @param {string} ref - Reference
+ * @param {object} root - Schema document the reference appears in
+ * @returns {object} { schema, root } of the target
+ */
+function resolve_ref(ref, root) {
+	const [id, fragment = ""] = ref.split("#");
+	const target_root = id ? get_schema(id) : root;
+
+	if (!target_root) {
+		throw new Error(`Unresolved schema reference: ${ref}`);
+	}
+
+	let target = target_root;
+	for (const part of fragment.split("/").filter(Boolean)) {
+		target = target?.[part.replace(/~1/g, "/").replace(/~0/g, "~")];
+	}
+
+	if (target === undefined) {
+		throw new Error(`Unresolved schema reference: ${ref}`);
+	}
+
+	return { schema: target, root: target_root };
+}
+
+/**
+ * Checks a value against a JSON Schema type name
+ */
+function matches_type(type, data) {
+	switch (type) {
+		case "null": return data === null;
+		case "boolean": return typeof data === "boolean";
+		case "integer": return Number.isInteger(data);
+		case "number": return typeof data === "number" && Number.isFinite(data);
+		case "string": return typeof data === "string";
+		case "array": return Array.isArray(data);
+		case "object": return data !== null && typeof data === "object" && !Array.isArray(data);
+	}
+	return false;
+}
+
+/**
+ * Names a value's JSON type for error messages
+ */
+function describe_type(data) {
+	if (data === null) {
+		return "null";
+	}
+	if (Array.isArray(data)) {
+		return "array";
+	}
+	if (Number.isInteger(data)) {
+		return "integer";
+	}
+	return typeof data;
+}
+
+/**
+ * Compares two JSON values structurally
+ */
+function deep_equal(a, b) {
+	if (a === b) {
+		return true;
+	}
+	if (typeof a !== "object" || typeof b !== "object" || a === null || b === null) {
+		return false;
+	}
+	if (Array.isArray(a) !== Array.isArray(b)) {
+		return false;
+	}
+
+	const keys_a = Object.keys(a);
+	const keys_b = Object.keys(b);
+	return keys_a.length === keys_b.length && keys_a.every(key => deep_equal(a[key], b[key]));
+}
+
+/**
+ * Escapes a property name for use in a JSON pointer
+ */
+function escape_pointer(key) {
+	return String(key).replace(/~/g, "~0").replace(/\//g, "~1");
+}
+
+export {
+	register_schema,
+	get_schema,
+	validate_schema,
+	format_schema_errors
+};
@@ -0,0 +1,512 @@
+/**
+ * Spreadsheet Module
+ * CSV export and import of a tree's node and connection data for balancing
+ */
+
+import { create_node, create_connection, generate_id } from "./state.js";
+import { find_dependency_path } from "./validation_engine.js";
+import { get_schema, validate_schema, format_schema_errors } from "./schema_validator.js";
+
+// Columns in export order. Nodes are matched by id, connections by their pair of nodes.
+const NODE_COLUMNS = [
+	"id", "name", "description", "type", "max_rank", "cost_per_rank", "tags", "event",
+	"prerequisite_logic", "prerequisite_threshold", "prerequisite_expression",
+	"required_level", "exclusive_group"
+];
+const CONNECTION_COLUMNS = ["from_node_id", "to_node_id", "logic", "required_rank"];
+
+// Separates the values of list cells (cost_per_rank, tags)
+const LIST_SEPARATOR = ";";
+
+// Spacing of auto-placed nodes, one node width plus a gap
+const PLACEMENT_SPACING = 120;
+
+const NODE_ID_PATTERN = /^[a-z0-9_]+$/;
+
+// ============================================================================
+// CSV
+// ============================================================================
+
+/**
+ * Parses CSV text (RFC 4180: quoted fields, doubled quotes, CRLF or LF
+ * line endings). Blank lines are skipped.
+ * @param {string} text - CSV text
+ * @returns {object} { rows, error } where rows is an array of { line, cells }
+ */
+function parse_csv(text) {
+	const rows = [];
+	const source = text.replace(/^\uFEFF/, "");
+	let cells = [];
+	let cell = "";
+	let quoted = false;
+	let line = 1;
+	let row_line = 1;
+
+	const end_row = () => {
+		cells.push(cell);
+		if (cells.length > 1 || cells[0] !== "") {
+			rows.push({ line: row_line, cells: cells });
+		}
+		cells = [];
+		cell = "";
+		row_line = line;
+	};
+
+	for (let i = 0; i < source.length; i++) {
+		const char = source[i];
+
+		if (quoted) {
+			if (char === "\"" && source[i + 1] === "\"") {
+				cell += "\"";
+				i++;
+			} else if (char === "\"") {
+				quoted = false;
+			} else {
+				if (char === "\n") {
+					line++;
+				}
+				cell += char;
+			}
+		} else if (char === "\"" && cell === "") {
+			quoted = true;
+		} else if (char === ",") {
+			cells.push(cell);
+			cell = "";
+		} else if (char === "\n" || char === "\r") {
+			if (char === "\r" && source[i + 1] === "\n") {
+				i++;
+			}
+			line++;
+			end_row();
+		} else {
+			cell += char;
+		}
+	}
+
+	if (quoted) {
+		return { rows: [], error: `Line ${row_line}: quoted value is never closed` };
+	}
+
+	if (cell !== "" || cells.length > 0) {
+		end_row();
+	}
+
+	return { rows: rows, error: null };
+}
+
+/**
+ * Formats rows as CSV, quoting cells that need it
+ * @param {array} rows - Arrays of cell values
+ * @returns {string} CSV text with CRLF line endings, as spreadsheets write it
+ */
+function format_csv(rows) {
+	return rows.map(row => row.map(format_cell).join(",")).join("\r\n") + "\r\n";
+}
+
+/**
+ * Formats one CSV cell
+ */
+function format_cell(value) {
+	const text = value === null || value === undefined ? "" : String(value);
+	return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, "\"\"")}"` : text;
+}
+
+// ============================================================================
+// Export
+// ============================================================================
+
+/**
+ * Exports a tree's nodes as CSV, one row per node. Lists are joined with ";".
+ * Positions and allocations stay out of the sheet and are kept on import.
+ * @param {object} tree - Tree object
+ * @returns {string} CSV text
+ */
+function export_nodes_csv(tree) {
+	const rows = tree.nodes.map(node => NODE_COLUMNS.map((column) => {
+		const value = node[column];
+		return Array.isArray(value) ? value.join(LIST_SEPARATOR) : value;
+	}));
+
+	return format_csv([NODE_COLUMNS, ...rows]);
+}
+
+/**
+ * Exports a tree's connections as CSV, one row per connection
+ * @param {object} tree - Tree object
+ * @returns {string} CSV text
+ */
+function export_connections_csv(tree) {
+	const rows = tree.connections.map(conn => [
+		conn.from_node_id,
+		conn.to_node_id,
+		conn.logic || "AND",
+		conn.required_rank || 1
+	]);
+
+	return format_csv([CONNECTION_COLUMNS, ...rows]);
+}
+
+// ============================================================================
+// Import
+// ============================================================================
+
+/**
+ * Applies node and connection sheets to a copy of a tree. Rows with a
+ * known id update that node, keeping its position and allocation; other
+ * rows create nodes, placed in a row under the existing ones. Connection
+ * rows update or create the connection between their two nodes. Nothing is
+ * removed. Any error leaves the tree unchanged.
+ * @param {object} tree - Tree to update
+ * @param {object} sheets - { nodes_csv, connections_csv }, either may be empty
+ * @returns {object} { tree, errors, warnings, summary } where summary is
+ * { updated, created, connections_updated, connections_created }
+ */
+function import_tree_csv(tree, sheets) {
+	const result = {
+		tree: JSON.parse(JSON.stringify(tree)),
+		errors: [],
+		warnings: [],
+		summary: { updated: 0, created: 0, connections_updated: 0, connections_created: 0 }
+	};
+
+	if (sheets.nodes_csv && sheets.nodes_csv.trim()) {
+		apply_node_sheet(result, sheets.nodes_csv);
+	}
+
+	if (result.errors.length === 0 && sheets.connections_csv && sheets.connections_csv.trim()) {
+		apply_connection_sheet(result, sheets.connections_csv);
+	}
+
+	if (result.errors.length > 0) {
+		result.tree = tree;
+	}
+
+	return result;
+}
+
+/**
+ * Applies the node sheet for import_tree_csv
+ * @param {object} result - Import result, updated
+ * @param {string} text - Node CSV
+ */
+function apply_node_sheet(result, text) {
+	const tree = result.tree;
+	const table = read_table(text, "Nodes", NODE_COLUMNS, result);
+	if (!table) {
+		return;
+	}
+
+	const existing_ids = new Set(tree.nodes.map(n => n.id));
+	const seen_ids = new Set();
+	const new_nodes = [];
+
+	for (const row of table.rows) {
+		const label = `Nodes row ${row.number}`;
+		const errors = [];
+		const id = (row.values.id || "").trim();
+
+		if (id && seen_ids.has(id)) {
+			result.errors.push(`${label}: id "${id}" appears more than once`);
+			continue;
+		}
+		seen_ids.add(id);
+
+		const is_new = !existing_ids.has(id);
+		if (is_new && id && !NODE_ID_PATTERN.test(id)) {
+			errors.push(`id "${id}" may only use lower-case letters, digits and underscores`);
+		}
+
+		const node = is_new
+			? create_node(id || generate_id("node"), "", 0, 0)
+			: tree.nodes.find(n => n.id === id);
+		const updated = JSON.parse(JSON.stringify(node));
+
+		for (const column of table.columns) {
+			if (column !== "id") {
+				const error = apply_node_cell(updated, column, row.values[column], is_new);
+				if (error) {
+					errors.push(`${column} ${error}`);
+				}
+			}
+		}
+
+		if (!updated.name.trim()) {
+			errors.push("name is required");
+		}
+		if (updated.cost_per_rank.length > updated.max_rank) {
+			errors.push(`has ${updated.cost_per_rank.length} costs for max_rank ${updated.max_rank}`);
+		}
+
+		// Costs past the end are charged at the last cost, so write that out
+		while (updated.cost_per_rank.length < updated.max_rank) {
+			updated.cost_per_rank.push(updated.cost_per_rank[updated.cost_per_rank.length - 1]);
+		}
+		updated.current_rank = Math.min(updated.current_rank, updated.max_rank);
+
+		if (errors.length === 0) {
+			errors.push(...validate_against_schema("schema_node.json", updated));
+		}
+
+		if (errors.length > 0) {
+			result.errors.push(...errors.map(error => `${label}: ${error}`));
+		} else if (is_new) {
+			new_nodes.push(updated);
+		} else {
+			tree.nodes[tree.nodes.indexOf(node)] = updated;
+			result.summary.updated++;
+		}
+	}
+
+	place_new_nodes(tree, new_nodes);
+	tree.nodes.push(...new_nodes);
+	result.summary.created = new_nodes.length;
+}
+
+/**
+ * Sets one node field from a sheet cell. Empty number cells keep the
+ * current value, empty text cells clear it.
+ * @param {object} node - Node to update (mutated)
+ * @param {string} column - Column name
+ * @param {string} value - Cell text
+ * @param {boolean} is_new - Whether the node is being created
+ * @returns {string|null} Error message, or null
+ */
+function apply_node_cell(node, column, value, is_new) {
+	const text = (value || "").trim();
+
+	switch (column) {
+		case "name":
+		case "event":
+		case "exclusive_group":
+		case "prerequisite_expression":
+			node[column] = text;
+			return null;
+		case "description":
+			node.description = value || "";
+			return null;
+		case "type":
+			if (!text && is_new) {
+				return null;
+			}
+			if (text !== "active" && text !== "passive") {
+				return "must be active or passive";
+			}
+			node.type = text;
+			return null;
+		case "prerequisite_logic":
+			if (!text) {
+				return null;
+			}
+			if (!["AND", "OR", "SUM", "EXPR"].includes(text.toUpperCase())) {
+				return "must be AND, OR, SUM or EXPR";
+			}
+			node.prerequisite_logic = text.toUpperCase();
+			return null;
+		case "max_rank":
+			return set_integer(node, column, text, 1, 100);
+		case "prerequisite_threshold":
+			return set_integer(node, column, text, 1, Infinity);
+		case "required_level":
+			return set_integer(node, column, text, 0, Infinity);
+		case "cost_per_rank": {
+			if (!text) {
+				return null;
+			}
+			const costs = split_list(text).map(Number);
+			if (costs.length === 0 || costs.some(cost => !Number.isInteger(cost) || cost < 0)) {
+				return `must be whole numbers of 0 or more separated by "${LIST_SEPARATOR}"`;
+			}
+			node.cost_per_rank = costs;
+			return null;
+		}
+		case "tags":
+			node.tags = split_list(text);
+			return null;
+		default:
+			return null;
+	}
+}
+
+/**
+ * Applies the connection sheet for import_tree_csv
+ * @param {object} result - Import result, updated
+ * @param {string} text - Connection CSV
+ */
+function apply_connection_sheet(result, text) {
+	const tree = result.tree;
+	const table = read_table(text, "Connections", CONNECTION_COLUMNS, result);
+	if (!table) {
+		return;
+	}
+
+	for (const column of ["from_node_id", "to_node_id"]) {
+		if (!table.columns.includes(column)) {
+			result.errors.push(`Connections: missing column "${column}"`);
+			return;
+		}
+	}
+
+	const node_ids = new Set(tree.nodes.map(n => n.id));
+
+	for (const row of table.rows) {
+		const label = `Connections row ${row.number}`;
+		const from_id = (row.values.from_node_id || "").trim();
+		const to_id = (row.values.to_node_id || "").trim();
+		const errors = [];
+
+		for (const [column, id] of [["from_node_id", from_id], ["to_node_id", to_id]]) {
+			if (!node_ids.has(id)) {
+				errors.push(`${column} "${id}" is not a node in this tree`);
+			}
+		}
+		if (errors.length === 0 && from_id === to_id) {
+			errors.push("a node can't be its own prerequisite");
+		}
+
+		const existing = tree.connections.find(c => c.from_node_id === from_id && c.to_node_id === to_id);
+		const conn = existing
+			? JSON.parse(JSON.stringify(existing))
+			: create_connection(generate_id("conn"), from_id, to_id);
+
+		const logic = (row.values.logic || "").trim().toUpperCase();
+		if (logic === "AND" || logic === "OR") {
+			conn.logic = logic;
+		} else if (logic) {
+			errors.push("logic must be AND or OR");
+		}
+
+		const rank_error = set_integer(conn, "required_rank", (row.values.required_rank || "").trim(), 1, Infinity);
+		if (rank_error) {
+			errors.push(`required_rank ${rank_error}`);
+		}
+
+		// Checked against the connections applied so far, like adding them one by one
+		if (errors.length === 0 && !existing && find_dependency_path(tree, to_id, from_id)) {
+			errors.push("would create a dependency cycle");
+		}
+
+		if (errors.length > 0) {
+			result.errors.push(...errors.map(error => `${label}: ${error}`));
+		} else if (existing) {
+			tree.connections[tree.connections.indexOf(existing)] = conn;
+			result.summary.connections_updated++;
+		} else {
+			tree.connections.push(conn);
+			result.summary.connections_created++;
+		}
+	}
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+/**
+ * Reads a sheet into rows keyed by column name, warning about unknown columns
+ * @param {string} text - CSV text
+ * @param {string} sheet - Sheet name for messages
+ * @param {array} known_columns - Columns the sheet may have
+ * @param {object} result - Import result, errors and warnings are added
+ * @returns {object|null} { columns, rows } with rows as { number, values }, or null on error.
+ * Rows are numbered as a spreadsheet shows them, the header being row 1.
+ */
+function read_table(text, sheet, known_columns, result) {
+	const { rows, error } = parse_csv(text);
+
+	if (error) {
+		result.errors.push(`${sheet}: ${error}`);
+		return null;
+	}
+	if (rows.length === 0) {
+		result.errors.push(`${sheet}: the sheet is empty`);
+		return null;
+	}
+
+	const header = rows[0].cells.map(cell => cell.trim().toLowerCase());
+	const columns = header.filter(column => known_columns.includes(column));
+	const ignored = header.filter(column => column && !known_columns.includes(column));
+
+	if (ignored.length > 0) {
+		result.warnings.push(`${sheet}: ignored column${ignored.length !== 1 ? "s" : ""} ${ignored.join(", ")}`);
+	}
+
+	return {
+		columns: columns,
+		rows: rows.slice(1).map((row, i) => ({
+			number: i + 2,
+			values: Object.fromEntries(header.map((column, i) => [column, row.cells[i]]))
+		}))
+	};
+}
+
+/**
+ * Sets an integer field from cell text, keeping the current value when empty
+ * @param {object} target - Object to update (mutated)
+ * @param {string} key - Field name
+ * @param {string} text - Trimmed cell text
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {string|null} Error message, or null
+ */
+function set_integer(target, key, text, min, max) {
+	if (!text) {
+		return null;
+	}
+
+	const value = Number(text);
+	if (!Number.isInteger(value) || value < min || value > max) {
+		return max === Infinity
+			? `must be a whole number of ${min} or more`
+			: `must be a whole number from ${min} to ${max}`;
+	}
+
+	target[key] = value;
+	return null;
+}
+
+/**
+ * Splits a list cell into trimmed, non-empty values
+ */
+function split_list(text) {
+	return text.split(LIST_SEPARATOR).map(v => v.trim()).filter(v => v !== "");
+}
+
+/**
+ * Checks data against a bundled JSON schema, when the schemas are loaded
+ * @returns {array} Error messages
+ */
+function validate_against_schema(schema_id, data) {
+	if (!get_schema(schema_id)) {
+		return [];
+	}
+	return format_schema_errors(validate_schema(schema_id, data));
+}
+
+/**
+ * Places new nodes in rows under the tree's existing nodes
+ * @param {object} tree - Tree the nodes are added to
+ * @param {array} nodes - New nodes (positions mutated)
+ */
+function place_new_nodes(tree, nodes) {
+	const xs = tree.nodes.map(n => n.position.x);
+	const ys = tree.nodes.map(n => n.position.y);
+	const left = xs.length > 0 ? Math.min(...xs) : 100;
+	const top = ys.length > 0 ? Math.max(...ys) + PLACEMENT_SPACING : 100;
+	const width = xs.length > 0 ? Math.max(...xs) - left : 0;
+	const per_row = Math.max(5, Math.floor(width / PLACEMENT_SPACING) + 1);
+
+	nodes.forEach((node, i) => {
+		node.position = {
+			x: left + (i % per_row) * PLACEMENT_SPACING,
+			y: top + Math.floor(i / per_row) * PLACEMENT_SPACING
+		};
+	});
+}
+
+export {
+	parse_csv,
+	format_csv,
+	export_nodes_csv,
+	export_connections_csv,
+	import_tree_csv
+};
@@ -3,6 +3,8 @@
  * Central state container with immutable state updates
  */
 
+import { CURRENT_VERSION } from "./migrations.js";
+
 /**
  * Creates the initial application state
  * @returns {object} Fresh application state
@@ -12,7 +14,7 @@ function create_initial_state() {
 
     return {
         project: {
-            version: "1.0.0",
+            version: CURRENT_VERSION,
             metadata: {
                 name: "Untitled Project",
                 description: "",
@@ -24,7 +26,15 @@ function create_initial_state() {
                 global_point_pool: {
                     enabled: false,
                     total: 0,
-                    spent: 0
+                    spent: 0,
+                    points_per_level: []
+                },
+                character_level: {
+                    level: 1,
+                    max_level: 60
+                },
+                lint: {
+                    disabled_rules: [] // Lint rule IDs turned off for this project
                 },
                 allow_refunds: true,
                 cascade_refunds: false
@@ -46,6 +56,11 @@ function create_initial_state() {
                 y: 0,
                 zoom: 1
             },
+            replay_issue: null, // { tree_id, step_index, reason } from the last replay
+            comparison: null,   // { tree_id, build_a, build_b }, build IDs or "current"
+            path_preview: null, // { tree_id, node_id } whose cheapest path is shown
+            snapshots: [],      // Snapshot summaries of the open project, newest first
+            snapshot_preview: null, // ID of the snapshot shown read-only on the canvas
             sidebar_open: true,
             tooltip: {
                 visible: false,
@@ -76,10 +91,17 @@ function create_tree(id, name) {
         point_pool: {
             total: 20,
             spent: 0,
-            source: "local"
+            source: "local",
+            points_per_level: [] // When set, total follows the character level
         },
+        tiers: [], // { id, name, y, points_required }, bands from y down to the next tier
         nodes: [],
-        connections: []
+        connections: [],
+        builds: [],
+        allocation_order: {
+            steps: [],   // { type: "allocate" | "refund", node_id } in play mode order
+            position: 0  // Number of steps currently applied
+        }
     };
 }
 
@@ -104,8 +126,12 @@ function create_node(id, name, x, y) {
         tags: [],
         type: "active",
         event: "",
-        prerequisite_logic: "AND", // "AND", "OR", "SUM"
-        prerequisite_threshold: 1   // Used for SUM logic
+        required_level: 0,          // Character level needed to allocate, 0 for none
+        exclusive_group: "",        // Nodes sharing a group are mutually exclusive
+        lint_suppressions: [],      // Lint rule IDs ignored for this node
+        prerequisite_logic: "AND", // "AND", "OR", "SUM", "EXPR"
+        prerequisite_threshold: 1,  // Used for SUM logic
+        prerequisite_expression: "" // Used for EXPR logic
     };
 }
 
@@ -125,13 +151,58 @@ function create_connection(id, from_node_id, to_node_id) {
     };
 }
 
+/**
+ * Creates a new saved build
+ * @param {string} id - Unique build identifier
+ * @param {string} name - Display name
+ * @param {object} allocations - Map of node ID to rank
+ * @returns {object} New build object
+ */
+function create_build(id, name, allocations) {
+    const now = new Date().toISOString();
+
+    return {
+        id: id,
+        name: name,
+        notes: "",
+        allocations: allocations,
+        created_at: now,
+        modified_at: now
+    };
+}
+
+/**
+ * Gets a tree's current allocation as a map of node ID to rank
+ * @param {object} tree - Tree object
+ * @returns {object} Ranks of all allocated nodes
+ */
+function get_allocation_map(tree) {
+    const allocations = {};
+
+    for (const node of tree.nodes) {
+        if (node.current_rank > 0) {
+            allocations[node.id] = node.current_rank;
+        }
+    }
+
+    return allocations;
+}
+
 /**
  * Deep clones a state object to ensure immutability
  * @param {object} state - State to clone
  * @returns {object} Cloned state
  */
 function clone_state(state) {
-    return JSON.parse(JSON.stringify(state));
+    const { history, ...rest } = state;
+    const cloned = JSON.parse(JSON.stringify(rest));
+
+    // History entries are never mutated, so they are shared instead of copied
+    if (history !== undefined) {
+        cloned.history = history;
+    }
+
+    return cloned;
 }
 
 /**
@@ -196,6 +267,16 @@ function find_connection(state, tree_id, connection_id) {
     return tree.connections.find(conn => conn.id === connection_id) || null;
 }
 
+/**
+ * Finds a saved build by ID within a tree
+ * @param {object} tree - Tree object
+ * @param {string} build_id - Build ID to find
+ * @returns {object|null} Build object or null
+ */
+function find_build(tree, build_id) {
+    return (tree.builds || []).find(build => build.id === build_id) || null;
+}
+
 /**
  * Gets the index of a tree in the trees array
  * @param {object} state - Current state
@@ -231,12 +312,15 @@ export {
     create_tree,
     create_node,
     create_connection,
+    create_build,
+    get_allocation_map,
     clone_state,
     touch_modified,
     generate_id,
     find_tree,
     find_node,
     find_connection,
+    find_build,
     get_tree_index,
     get_node_index,
     get_connection_index
@@ -1,57 +1,281 @@
 /**
  * Storage Module
- * LocalStorage persistence with schema versioning and migration
+ * Persists a library of projects in IndexedDB, falling back to localStorage,
+ * with debounced writes, schema versioning and migration
  */
 
-import { create_initial_state, clone_state } from "./state.js";
+import { create_initial_state, clone_state, generate_id } from "./state.js";
+import { CURRENT_VERSION, migrate_project } from "./migrations.js";
 
-const STORAGE_KEY = "skill_tree_planner_project";
-const CURRENT_VERSION = "1.0.0";
+const DB_NAME = "skill_tree_planner";
+const DB_VERSION = 1;
+const DB_STORE = "records";
+
+// Single-project key used before the library existed, moved into it on first load
+const LEGACY_STORAGE_KEY = "skill_tree_planner_project";
+const LIBRARY_KEY = "skill_tree_planner_library";
+const PROJECT_KEY_PREFIX = "skill_tree_planner_project:";
+const MAX_RECENT_PROJECTS = 5;
+const SNAPSHOT_INDEX_KEY_PREFIX = "skill_tree_planner_snapshots:";
+const SNAPSHOT_KEY_PREFIX = "skill_tree_planner_snapshot:";
+
+// Oldest automatic snapshots past this count are dropped, named ones are kept
+const MAX_AUTO_SNAPSHOTS = 20;
+
+// Quiet period after the last change before it is written
+const SAVE_DELAY_MS = 400;
+
+let backend = null;         // { name, get, set, remove }, chosen by init_storage
+let library = create_empty_library(); // In-memory copy of the library index
+let pending_save = null;    // { state, project_id } waiting for the debounce
+let save_timer = null;
+let save_listener = null;
+
+// ============================================================================
+// Backends
+// ============================================================================
+
+/**
+ * Opens IndexedDB, or localStorage when IndexedDB is unavailable, and reads
+ * the library index. Must finish before anything else in this module is used.
+ * @returns {Promise<string>} Backend name, "indexeddb" or "localstorage"
+ */
+async function init_storage() {
+	try {
+		backend = await open_indexed_db();
+	} catch (error) {
+		console.warn("IndexedDB unavailable, saving to localStorage:", error);
+		backend = create_local_storage_backend();
+	}
+
+	try {
+		library = await read_library();
+	} catch (error) {
+		console.error("Failed to read project library:", error);
+		library = create_empty_library();
+	}
+
+	// Ask the browser not to evict a large library under storage pressure
+	navigator.storage?.persist?.().catch(() => {});
+
+	return backend.name;
+}
+
+/**
+ * Gets the name of the backend projects are saved to
+ * @returns {string|null} "indexeddb", "localstorage", or null before init_storage
+ */
+function get_storage_backend() {
+	return backend?.name || null;
+}
+
+/**
+ * Opens the IndexedDB database
+ * @returns {Promise<object>} IndexedDB backend
+ */
+function open_indexed_db() {
+	return new Promise((resolve, reject) => {
+		if (typeof indexedDB === "undefined") {
+			reject(new Error("IndexedDB is not supported"));
+			return;
+		}
+
+		const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+		request.onupgradeneeded = () => {
+			request.result.createObjectStore(DB_STORE);
+		};
+		request.onsuccess = () => resolve(create_indexed_db_backend(request.result));
+		request.onerror = () => reject(request.error);
+		request.onblocked = () => reject(new Error("IndexedDB is blocked by another tab"));
+	});
+}
+
+/**
+ * Wraps an open database as a backend. Values are stored as structured
+ * clones, so projects are never turned into one big string.
+ * @param {IDBDatabase} db - Open database
+ * @returns {object} Backend
+ */
+function create_indexed_db_backend(db) {
+	return {
+		name: "indexeddb",
+		get: async (key) => (await run_transaction(db, "readonly", store => store.get(key))) ?? null,
+		set: (key, value) => run_transaction(db, "readwrite", store => store.put(value, key)),
+		remove: (key) => run_transaction(db, "readwrite", store => store.delete(key))
+	};
+}
+
+/**
+ * Runs one request in its own transaction, resolving once it has committed
+ * @param {IDBDatabase} db - Open database
+ * @param {string} mode - "readonly" or "readwrite"
+ * @param {function} operation - Receives the object store, returns a request
+ * @returns {Promise<*>} Request result
+ */
+function run_transaction(db, mode, operation) {
+	return new Promise((resolve, reject) => {
+		const transaction = db.transaction(DB_STORE, mode);
+		const request = operation(transaction.objectStore(DB_STORE));
+
+		transaction.oncomplete = () => resolve(request.result);
+		transaction.onerror = () => reject(transaction.error || request.error);
+		transaction.onabort = () => reject(transaction.error || request.error);
+	});
+}
+
+/**
+ * Creates the localStorage fallback backend
+ * @returns {object} Backend
+ */
+function create_local_storage_backend() {
+	return {
+		name: "localstorage",
+		get: async (key) => {
+			const json = localStorage.getItem(key);
+			return json === null ? null : JSON.parse(json);
+		},
+		set: async (key, value) => localStorage.setItem(key, JSON.stringify(value)),
+		remove: async (key) => localStorage.removeItem(key)
+	};
+}
+
+// ============================================================================
+// Saving
+// ============================================================================
 
 /**
- * Saves the project state to localStorage
+ * Queues a save of the state into the open project. Saves are debounced,
+ * so a burst of changes such as a node drag is written once.
  * @param {object} state - Current application state
- * @returns {boolean} True if save succeeded
  */
-function save_project(state) {
+function schedule_save(state) {
+	pending_save = { state: state, project_id: library.active_project_id };
+
+	clearTimeout(save_timer);
+	save_timer = setTimeout(flush_save, SAVE_DELAY_MS);
+}
+
+/**
+ * Writes a queued save now, e.g. before switching projects or when the page
+ * is hidden
+ * @returns {Promise<boolean>} True if there was nothing to save or the save succeeded
+ */
+async function flush_save() {
+	clearTimeout(save_timer);
+	save_timer = null;
+
+	if (!pending_save) {
+		return true;
+	}
+
+	const { state, project_id } = pending_save;
+	pending_save = null;
+
+	return save_project(state, project_id);
+}
+
+/**
+ * Saves the project state into a library project right away. Saving with
+ * no project adds one to the library and opens it.
+ * @param {object} state - Current application state
+ * @param {string|null} project_id - Project to save into, defaults to the open project
+ * @returns {Promise<boolean>} True if save succeeded
+ */
+async function save_project(state, project_id = library.active_project_id) {
+	notify_save_status({ status: "saving" });
+
 	try {
-		const data = {
-			version: CURRENT_VERSION,
-			project: state.project,
-			ui_state: {
-				active_tree_id: state.ui_state.active_tree_id,
-				mode: state.ui_state.mode,
-				viewport: state.ui_state.viewport,
-				sidebar_open: state.ui_state.sidebar_open
+		let entry = library.projects.find(p => p.id === project_id);
+
+		if (!entry) {
+			entry = create_library_entry(generate_id("project"));
+			entry.opened_at = entry.created_at;
+			library.projects.push(entry);
+
+			if (!library.active_project_id) {
+				library.active_project_id = entry.id;
 			}
-		};
+		}
 
-		const json = JSON.stringify(data);
-		localStorage.setItem(STORAGE_KEY, json);
+		await backend.set(get_project_key(entry.id), get_saved_data(state));
+		describe_library_entry(entry, state.project);
+		await write_library();
 
+		notify_save_status({ status: "saved" });
 		return true;
 	} catch (error) {
 		console.error("Failed to save project:", error);
+		notify_save_status({ status: "error", message: describe_save_error(error) });
 		return false;
 	}
 }
 
 /**
- * Loads the project state from localStorage
- * @returns {object} Loaded state or initial state if no saved data
+ * Registers the function told about save progress, so the UI can show it
+ * @param {function} listener - Called with { status, message }, status is "saving", "saved" or "error"
+ */
+function set_save_listener(listener) {
+	save_listener = listener;
+}
+
+/**
+ * Reports save progress to the listener
+ * @param {object} status - { status, message }
+ */
+function notify_save_status(status) {
+	if (save_listener) {
+		save_listener({ message: "", ...status });
+	}
+}
+
+/**
+ * Turns a failed write into a message for the user
+ * @param {Error} error - Error from the backend
+ * @returns {string} Message
  */
-function load_project() {
+function describe_save_error(error) {
+	const is_quota = error?.name === "QuotaExceededError" ||
+		error?.name === "NS_ERROR_DOM_QUOTA_REACHED" ||
+		error?.code === 22;
+
+	if (is_quota) {
+		return "Storage is full, so changes aren't being saved. Export this project to keep a copy, or delete projects you no longer need.";
+	}
+
+	return `Changes couldn't be saved: ${error?.message || error}`;
+}
+
+// ============================================================================
+// Loading
+// ============================================================================
+
+/**
+ * Loads a library project and makes it the open project. A queued save of
+ * the previously open project is written first.
+ * @param {string} project_id - Project to load, defaults to the open project
+ * @returns {Promise<object>} Loaded state or initial state if no saved data
+ */
+async function load_project(project_id = null) {
+	await flush_save();
+
 	try {
-		const json = localStorage.getItem(STORAGE_KEY);
+		const id = project_id || library.active_project_id;
+		const data = id ? await backend.get(get_project_key(id)) : null;
 
-		if (!json) {
+		if (!data) {
+			if (project_id) {
+				console.warn(`Saved project not found: ${project_id}`);
+			}
+
+			// Nothing is open, so the next save starts a new library project
+			library.active_project_id = null;
+			await write_library();
 			return create_initial_state();
 		}
 
-		const data = JSON.parse(json);
-
 		// Validate basic structure
-		if (!data || typeof data !== "object") {
+		if (typeof data !== "object") {
 			console.warn("Invalid saved data, using initial state");
 			return create_initial_state();
 		}
@@ -97,6 +321,14 @@ function load_project() {
 			}
 		}
 
+		// Remember what was opened, for the recent projects menu
+		const entry = library.projects.find(p => p.id === id);
+		if (entry) {
+			entry.opened_at = new Date().toISOString();
+		}
+		library.active_project_id = id;
+		await write_library();
+
 		return state;
 	} catch (error) {
 		console.error("Failed to load project:", error);
@@ -105,64 +337,42 @@ function load_project() {
 }
 
 /**
- * Checks if migration is needed and performs it
+ * Runs the saved project through the migration pipeline
  * @param {object} data - Raw saved data
  * @returns {object} Migrated data
  */
 function migrate_if_needed(data) {
-	const version = data.version || "0.0.0";
-
-	if (version === CURRENT_VERSION) {
+	if (!data.project || typeof data.project !== "object") {
 		return data;
 	}
 
-	console.log(`Migrating from version ${version} to ${CURRENT_VERSION}`);
-
-	let migrated = clone_state(data);
-
-	// Add migration steps here as versions evolve
-	// Example:
-	// if (compare_versions(version, "1.1.0") < 0) {
-	//     migrated = migrate_to_1_1_0(migrated);
-	// }
+	const result = migrate_project(data.project, data.project.version || data.version);
+	result.warnings.forEach(warning => console.warn(warning));
 
-	migrated.version = CURRENT_VERSION;
-
-	return migrated;
+	return {
+		...data,
+		version: result.to_version,
+		project: result.project
+	};
 }
 
 /**
- * Compares two semantic version strings
- * @param {string} v1 - First version
- * @param {string} v2 - Second version
- * @returns {number} -1 if v1 < v2, 0 if equal, 1 if v1 > v2
+ * Clears all saved data, every library project included
+ * @returns {Promise<boolean>} True if clear succeeded
  */
-function compare_versions(v1, v2) {
-	const parts1 = v1.split(".").map(Number);
-	const parts2 = v2.split(".").map(Number);
-
-	for (let i = 0; i < 3; i++) {
-		const p1 = parts1[i] || 0;
-		const p2 = parts2[i] || 0;
+async function clear_saved_data() {
+	pending_save = null;
+	clearTimeout(save_timer);
 
-		if (p1 < p2) {
-			return -1;
-		}
-		if (p1 > p2) {
-			return 1;
+	try {
+		for (const entry of library.projects) {
+			await remove_snapshots(entry.id);
+			await backend.remove(get_project_key(entry.id));
 		}
-	}
-
-	return 0;
-}
+		await backend.remove(LIBRARY_KEY);
+		localStorage.removeItem(LEGACY_STORAGE_KEY);
 
-/**
- * Clears all saved data
- * @returns {boolean} True if clear succeeded
- */
-function clear_saved_data() {
-	try {
-		localStorage.removeItem(STORAGE_KEY);
+		library = create_empty_library();
 		return true;
 	} catch (error) {
 		console.error("Failed to clear saved data:", error);
@@ -175,11 +385,7 @@ function clear_saved_data() {
  * @returns {boolean} True if saved data exists
  */
 function has_saved_data() {
-	try {
-		return localStorage.getItem(STORAGE_KEY) !== null;
-	} catch (error) {
-		return false;
-	}
+	return library.projects.length > 0;
 }
 
 /**
@@ -257,12 +463,490 @@ function import_from_json(json) {
 	}
 }
 
+// ============================================================================
+// Project Library
+// ============================================================================
+
+/**
+ * Saves a state as a new library project and makes it the open project.
+ * A queued save of the previously open project is written first.
+ * @param {object} state - Application state to save
+ * @returns {Promise<string|null>} New project ID, or null if saving failed
+ */
+async function create_saved_project(state) {
+	await flush_save();
+
+	const entry = create_library_entry(generate_id("project"));
+	entry.opened_at = entry.created_at;
+
+	try {
+		await backend.set(get_project_key(entry.id), get_saved_data(state));
+	} catch (error) {
+		console.error("Failed to create project:", error);
+		notify_save_status({ status: "error", message: describe_save_error(error) });
+		return null;
+	}
+
+	describe_library_entry(entry, state.project);
+	library.projects.push(entry);
+	library.active_project_id = entry.id;
+	await write_library();
+
+	return entry.id;
+}
+
+/**
+ * Lists the library's projects, most recently modified first
+ * @returns {array} Entries { id, name, tree_count, created_at, modified_at, opened_at }
+ */
+function list_saved_projects() {
+	return library.projects
+		.map(entry => ({ ...entry }))
+		.sort((a, b) => b.modified_at.localeCompare(a.modified_at));
+}
+
+/**
+ * Lists the most recently opened projects
+ * @param {number} limit - Maximum number of projects
+ * @returns {array} Library entries, most recently opened first
+ */
+function get_recent_projects(limit = MAX_RECENT_PROJECTS) {
+	return list_saved_projects()
+		.sort((a, b) => (b.opened_at || b.modified_at).localeCompare(a.opened_at || a.modified_at))
+		.slice(0, limit);
+}
+
+/**
+ * Gets the ID of the open library project
+ * @returns {string|null} Project ID, or null before the first save
+ */
+function get_active_project_id() {
+	return library.active_project_id;
+}
+
+/**
+ * Copies a library project under a new ID, named "<name> (copy)"
+ * @param {string} project_id - Project to copy
+ * @returns {Promise<string|null>} New project ID, or null if copying failed
+ */
+async function duplicate_saved_project(project_id) {
+	// The open project may have a save queued
+	await flush_save();
+
+	try {
+		const data = await backend.get(get_project_key(project_id));
+		const now = new Date().toISOString();
+
+		data.project.metadata = {
+			...data.project.metadata,
+			name: `${data.project.metadata?.name || "Untitled Project"} (copy)`,
+			created_at: now,
+			modified_at: now
+		};
+
+		const entry = create_library_entry(generate_id("project"));
+		await backend.set(get_project_key(entry.id), data);
+		describe_library_entry(entry, data.project);
+
+		library.projects.push(entry);
+		await write_library();
+
+		return entry.id;
+	} catch (error) {
+		console.error("Failed to duplicate project:", error);
+		notify_save_status({ status: "error", message: describe_save_error(error) });
+		return null;
+	}
+}
+
+/**
+ * Renames a saved library project. The open project is renamed through its
+ * metadata instead, so the change lands in the app state and its history.
+ * @param {string} project_id - Project to rename
+ * @param {string} name - New name
+ * @returns {Promise<boolean>} True if the rename succeeded
+ */
+async function rename_saved_project(project_id, name) {
+	try {
+		const entry = library.projects.find(p => p.id === project_id);
+		const data = await backend.get(get_project_key(project_id));
+
+		if (!entry || !data?.project) {
+			return false;
+		}
+
+		data.project.metadata = {
+			...data.project.metadata,
+			name: name,
+			modified_at: new Date().toISOString()
+		};
+
+		await backend.set(get_project_key(project_id), data);
+		describe_library_entry(entry, data.project);
+		await write_library();
+
+		return true;
+	} catch (error) {
+		console.error("Failed to rename project:", error);
+		notify_save_status({ status: "error", message: describe_save_error(error) });
+		return false;
+	}
+}
+
+/**
+ * Deletes a library project and its snapshots. Deleting the open project
+ * leaves none open and drops its queued save.
+ * @param {string} project_id - Project to delete
+ * @returns {Promise<boolean>} True if the delete succeeded
+ */
+async function delete_saved_project(project_id) {
+	if (pending_save?.project_id === project_id) {
+		pending_save = null;
+		clearTimeout(save_timer);
+	}
+
+	try {
+		await remove_snapshots(project_id);
+		await backend.remove(get_project_key(project_id));
+		library.projects = library.projects.filter(p => p.id !== project_id);
+
+		if (library.active_project_id === project_id) {
+			library.active_project_id = null;
+		}
+
+		await write_library();
+		return true;
+	} catch (error) {
+		console.error("Failed to delete project:", error);
+		return false;
+	}
+}
+
+// ============================================================================
+// Snapshots
+// ============================================================================
+
+/**
+ * Lists the open project's snapshots, newest first
+ * @returns {Promise<array>} Summaries { id, name, auto, created_at, modified_at, tree_count, node_count }
+ */
+async function list_snapshots() {
+	if (!library.active_project_id) {
+		return [];
+	}
+
+	try {
+		return await read_snapshot_index(library.active_project_id);
+	} catch (error) {
+		console.error("Failed to read snapshots:", error);
+		return [];
+	}
+}
+
+/**
+ * Saves a copy of the project as a snapshot of the open project. Snapshots
+ * live beside the project rather than in it, so they never end up in
+ * exports or the undo history.
+ * @param {object} state - Current application state
+ * @param {object} options - { name, auto }, auto snapshots are pruned to MAX_AUTO_SNAPSHOTS
+ * @returns {Promise<object|null>} Snapshot summary, or null if saving failed
+ */
+async function save_snapshot(state, options = {}) {
+	// Snapshots belong to a library project, so make sure there is one
+	await flush_save();
+	if (!library.active_project_id && !await save_project(state)) {
+		return null;
+	}
+
+	const project_id = library.active_project_id;
+
+	try {
+		const index = await read_snapshot_index(project_id);
+		const summary = {
+			id: generate_id("snapshot"),
+			name: options.name || (options.auto ? "Auto-save" : `Snapshot ${index.length + 1}`),
+			auto: !!options.auto,
+			created_at: new Date().toISOString(),
+			modified_at: state.project.metadata.modified_at,
+			tree_count: state.project.trees.length,
+			node_count: state.project.trees.reduce((total, tree) => total + tree.nodes.length, 0)
+		};
+
+		await backend.set(get_snapshot_key(summary.id), state.project);
+		index.unshift(summary);
+
+		// Drop the oldest automatic snapshots
+		const expired = index.filter(s => s.auto).slice(MAX_AUTO_SNAPSHOTS);
+		for (const snapshot of expired) {
+			await backend.remove(get_snapshot_key(snapshot.id));
+		}
+
+		await backend.set(get_snapshot_index_key(project_id), index.filter(s => !expired.includes(s)));
+		return summary;
+	} catch (error) {
+		console.error("Failed to save snapshot:", error);
+		notify_save_status({ status: "error", message: describe_save_error(error) });
+		return null;
+	}
+}
+
+/**
+ * Loads a snapshot's project, migrated to the current version
+ * @param {string} snapshot_id - Snapshot ID
+ * @returns {Promise<object|null>} Project, or null if it wasn't found
+ */
+async function load_snapshot(snapshot_id) {
+	try {
+		const project = await backend.get(get_snapshot_key(snapshot_id));
+		return project ? migrate_project(project, project.version).project : null;
+	} catch (error) {
+		console.error("Failed to load snapshot:", error);
+		return null;
+	}
+}
+
+/**
+ * Renames a snapshot of the open project. Naming an automatic snapshot
+ * keeps it from being pruned.
+ * @param {string} snapshot_id - Snapshot ID
+ * @param {string} name - New name
+ * @returns {Promise<boolean>} True if the rename succeeded
+ */
+async function rename_snapshot(snapshot_id, name) {
+	return update_snapshot_index(index => index.map(s =>
+		s.id === snapshot_id ? { ...s, name: name, auto: false } : s
+	));
+}
+
+/**
+ * Deletes a snapshot of the open project
+ * @param {string} snapshot_id - Snapshot ID
+ * @returns {Promise<boolean>} True if the delete succeeded
+ */
+async function delete_snapshot(snapshot_id) {
+	const updated = await update_snapshot_index(index => index.filter(s => s.id !== snapshot_id));
+
+	if (updated) {
+		await backend.remove(get_snapshot_key(snapshot_id)).catch(() => {});
+	}
+	return updated;
+}
+
+/**
+ * Rewrites the open project's snapshot index
+ * @param {function} update - Receives the index, returns the new one
+ * @returns {Promise<boolean>} True if the write succeeded
+ */
+async function update_snapshot_index(update) {
+	const project_id = library.active_project_id;
+	if (!project_id) {
+		return false;
+	}
+
+	try {
+		const index = await read_snapshot_index(project_id);
+		await backend.set(get_snapshot_index_key(project_id), update(index));
+		return true;
+	} catch (error) {
+		console.error("Failed to update snapshots:", error);
+		return false;
+	}
+}
+
+/**
+ * Removes every snapshot of a project
+ * @param {string} project_id - Project ID
+ */
+async function remove_snapshots(project_id) {
+	for (const snapshot of await read_snapshot_index(project_id)) {
+		await backend.remove(get_snapshot_key(snapshot.id));
+	}
+	await backend.remove(get_snapshot_index_key(project_id));
+}
+
+/**
+ * Reads a project's snapshot summaries
+ * @param {string} project_id - Project ID
+ * @returns {Promise<array>} Summaries, newest first
+ */
+async function read_snapshot_index(project_id) {
+	const index = await backend.get(get_snapshot_index_key(project_id));
+	return Array.isArray(index) ? index : [];
+}
+
+/**
+ * Gets the key a project's snapshot index is saved under
+ * @param {string} project_id - Project ID
+ * @returns {string} Storage key
+ */
+function get_snapshot_index_key(project_id) {
+	return `${SNAPSHOT_INDEX_KEY_PREFIX}${project_id}`;
+}
+
+/**
+ * Gets the key a snapshot's project is saved under
+ * @param {string} snapshot_id - Snapshot ID
+ * @returns {string} Storage key
+ */
+function get_snapshot_key(snapshot_id) {
+	return `${SNAPSHOT_KEY_PREFIX}${snapshot_id}`;
+}
+
+// ============================================================================
+// Library Index
+// ============================================================================
+
+/**
+ * Reads the library index from the backend. The first time, projects saved
+ * to localStorage by earlier versions, as a library or a single project,
+ * are moved in.
+ * @returns {Promise<object>} { active_project_id, projects }
+ */
+async function read_library() {
+	const stored = await backend.get(LIBRARY_KEY);
+	if (stored && Array.isArray(stored.projects)) {
+		return stored;
+	}
+
+	const moved = create_empty_library();
+	const moved_keys = [];
+
+	// A localStorage library left behind when IndexedDB became available
+	if (backend.name !== "localstorage") {
+		const local_library = JSON.parse(localStorage.getItem(LIBRARY_KEY) || "null");
+
+		for (const entry of local_library?.projects || []) {
+			const json = localStorage.getItem(get_project_key(entry.id));
+			if (json) {
+				await backend.set(get_project_key(entry.id), JSON.parse(json));
+				moved.projects.push(entry);
+				moved_keys.push(get_project_key(entry.id));
+			}
+		}
+
+		if (local_library) {
+			moved.active_project_id = local_library.active_project_id;
+			moved_keys.push(LIBRARY_KEY);
+		}
+	}
+
+	const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+	if (legacy) {
+		const data = JSON.parse(legacy);
+		const entry = create_library_entry(generate_id("project"));
+		describe_library_entry(entry, data?.project);
+
+		await backend.set(get_project_key(entry.id), data);
+		moved.projects.push(entry);
+		moved.active_project_id = entry.id;
+		moved_keys.push(LEGACY_STORAGE_KEY);
+	}
+
+	if (moved.projects.length > 0) {
+		await backend.set(LIBRARY_KEY, moved);
+
+		// Only forget the old copies once the new ones are written
+		moved_keys.forEach(key => localStorage.removeItem(key));
+	}
+
+	return moved;
+}
+
+/**
+ * Writes the in-memory library index to the backend
+ * @returns {Promise<void>}
+ */
+function write_library() {
+	return backend.set(LIBRARY_KEY, library);
+}
+
+/**
+ * Creates an empty library index
+ * @returns {object} { active_project_id, projects }
+ */
+function create_empty_library() {
+	return { active_project_id: null, projects: [] };
+}
+
+/**
+ * Gets the key a library project is saved under
+ * @param {string} project_id - Project ID
+ * @returns {string} Storage key
+ */
+function get_project_key(project_id) {
+	return `${PROJECT_KEY_PREFIX}${project_id}`;
+}
+
+/**
+ * Gets the saved parts of a state: the project and the UI state worth
+ * restoring when it's reopened
+ * @param {object} state - Application state
+ * @returns {object} Saved data
+ */
+function get_saved_data(state) {
+	return {
+		version: CURRENT_VERSION,
+		project: state.project,
+		ui_state: {
+			active_tree_id: state.ui_state.active_tree_id,
+			mode: state.ui_state.mode,
+			viewport: state.ui_state.viewport,
+			sidebar_open: state.ui_state.sidebar_open
+		}
+	};
+}
+
+/**
+ * Creates an empty library entry
+ * @param {string} id - Project ID
+ * @returns {object} Library entry
+ */
+function create_library_entry(id) {
+	const now = new Date().toISOString();
+
+	return {
+		id: id,
+		name: "Untitled Project",
+		tree_count: 0,
+		created_at: now,
+		modified_at: now,
+		opened_at: null
+	};
+}
+
+/**
+ * Copies the details the project browser lists from a project into its entry
+ * @param {object} entry - Library entry, updated in place
+ * @param {object} project - Project data
+ */
+function describe_library_entry(entry, project) {
+	entry.name = project?.metadata?.name || "Untitled Project";
+	entry.tree_count = Array.isArray(project?.trees) ? project.trees.length : 0;
+	entry.modified_at = project?.metadata?.modified_at || new Date().toISOString();
+}
+
 export {
+	init_storage,
+	get_storage_backend,
+	schedule_save,
+	flush_save,
 	save_project,
+	set_save_listener,
 	load_project,
+	create_saved_project,
+	list_saved_projects,
+	get_recent_projects,
+	get_active_project_id,
+	duplicate_saved_project,
+	rename_saved_project,
+	delete_saved_project,
+	list_snapshots,
+	save_snapshot,
+	load_snapshot,
+	rename_snapshot,
+	delete_snapshot,
 	clear_saved_data,
 	has_saved_data,
 	export_to_json,
-	import_from_json,
-	CURRENT_VERSION
+	import_from_json
 };
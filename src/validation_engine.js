@@ -17,6 +17,7 @@ const NODE_STATUS = {
 	UNLOCKABLE: "unlockable",
 	ACTIVE: "active",
 	MAXED: "maxed",
+	EXCLUDED: "excluded",
 	INVALID: "invalid"
 };
 
@@ -38,10 +39,15 @@ function get_node_status(state, tree_id, node_id) {
 		return NODE_STATUS.INVALID;
 	}
 
+	// Another node in the same exclusive group already took the choice
+	if (node.current_rank === 0 && get_exclusive_conflict(tree, node)) {
+		return NODE_STATUS.EXCLUDED;
+	}
+
 	// Check if prerequisites are met
 	const prereqs_met = check_prerequisites(state, tree_id, node_id);
 
-	if (!prereqs_met) {
+	if (!prereqs_met || get_tier_lock(tree, node) || get_level_lock(state, node)) {
 		return NODE_STATUS.LOCKED;
 	}
 
@@ -56,6 +62,24 @@ function get_node_status(state, tree_id, node_id) {
 	return NODE_STATUS.ACTIVE;
 }
 
+/**
+ * Finds an allocated node that shares a node's exclusive group
+ * @param {object} tree - Tree object
+ * @param {object} node - Node object
+ * @returns {object|null} Conflicting node or null
+ */
+function get_exclusive_conflict(tree, node) {
+	if (!node.exclusive_group) {
+		return null;
+	}
+
+	return tree.nodes.find(other =>
+		other.id !== node.id &&
+		other.exclusive_group === node.exclusive_group &&
+		other.current_rank > 0
+	) || null;
+}
+
 /**
  * Gets the status of all nodes in a tree
  * @param {object} state - Current state
@@ -93,39 +117,96 @@ function check_prerequisites(state, tree_id, node_id) {
 		return false;
 	}
 
-	// Find all connections pointing to this node
-	const incoming = tree.connections.filter(c => c.to_node_id === node_id);
+	const node = find_node(state, tree_id, node_id);
+	if (!node) return false;
+
+	return evaluate_prerequisites(tree, node, id => get_node_rank(tree, id));
+}
+
+/**
+ * Evaluates a node's prerequisites against arbitrary ranks.
+ * AND nodes honor connection-level logic: every AND connection must be
+ * satisfied, and connections marked OR form a group where any one is enough,
+ * giving "A AND (B OR C)". OR nodes need any connection, SUM nodes a total rank
+ * and EXPR nodes their prerequisite expression.
+ * @param {object} tree - Tree object
+ * @param {object} node - Node whose prerequisites are evaluated
+ * @param {function} get_rank - Returns the rank to assume for a node ID
+ * @returns {boolean} True if prerequisites are met
+ */
+function evaluate_prerequisites(tree, node, get_rank) {
+	const logic = node.prerequisite_logic || "AND";
+
+	// Expressions replace connection logic entirely; invalid ones never unlock
+	if (logic === "EXPR") {
+		const { ast, error } = parse_prerequisite_expression(node.prerequisite_expression);
+		return !error && evaluate_expression(ast, tree, get_rank);
+	}
+
+	const incoming = tree.connections.filter(c => c.to_node_id === node.id);
 
 	// No prerequisites = always unlocked
 	if (incoming.length === 0) {
 		return true;
 	}
 
-	const node = find_node(state, tree_id, node_id);
-	if (!node) return false;
-
-	const logic = node.prerequisite_logic || "AND";
+	const is_met = conn => get_rank(conn.from_node_id) >= conn.required_rank;
 
-	if (logic === "AND") {
-		// All connections must be satisfied
-		return incoming.every(conn => is_connection_satisfied(state, tree_id, conn));
-	} else if (logic === "OR") {
+	if (logic === "OR") {
 		// At least one connection must be satisfied
-		return incoming.some(conn => is_connection_satisfied(state, tree_id, conn));
+		return incoming.some(is_met);
 	} else if (logic === "SUM") {
 		// Total rank of all parents must meet threshold
 		const threshold = node.prerequisite_threshold || 1;
-		let total_rank = 0;
-		for (const conn of incoming) {
-			const from_node = find_node(state, tree_id, conn.from_node_id);
-			if (from_node) {
-				total_rank += from_node.current_rank;
-			}
-		}
+		const total_rank = incoming.reduce((total, conn) => total + get_rank(conn.from_node_id), 0);
 		return total_rank >= threshold;
 	}
 
-	return true;
+	// AND: all required connections, plus any one of the OR group
+	const { required, alternatives } = group_connections(incoming);
+	return required.every(is_met) && (alternatives.length === 0 || alternatives.some(is_met));
+}
+
+/**
+ * Splits a node's incoming connections by their connection-level logic
+ * @param {array} incoming - Connections pointing to one node
+ * @returns {object} { required, alternatives }
+ */
+function group_connections(incoming) {
+	return {
+		required: incoming.filter(c => c.logic !== "OR"),
+		alternatives: incoming.filter(c => c.logic === "OR")
+	};
+}
+
+/**
+ * Gets the effective logic a connection contributes with, taking the
+ * target node's prerequisite logic into account
+ * @param {object} state - Current state
+ * @param {string} tree_id - Tree ID
+ * @param {object} connection - Connection object
+ * @returns {string} "AND", "OR", "SUM" or "EXPR"
+ */
+function get_connection_logic(state, tree_id, connection) {
+	const to_node = find_node(state, tree_id, connection.to_node_id);
+	const node_logic = to_node?.prerequisite_logic || "AND";
+
+	if (node_logic !== "AND") {
+		return node_logic;
+	}
+
+	return connection.logic === "OR" ? "OR" : "AND";
+}
+
+/**
+ * Gets a node's current rank, treating missing nodes as unallocated
+ * @param {object} tree - Tree object
+ * @param {string} node_id - Node ID
+ * @returns {number} Current rank
+ */
+function get_node_rank(tree, node_id) {
+	const node = tree.nodes.find(n => n.id === node_id);
+	return node ? node.current_rank : 0;
 }
 
 /**
@@ -138,52 +219,18 @@ function check_tree_reachability(state, tree_id) {
 	const tree = find_tree(state, tree_id);
 	if (!tree) return { unreachable: [] };
 
+	// Grow the reachable set until it stops changing. Roots (nodes with no
+	// prerequisites) are picked up on the first pass.
 	const reachable = new Set();
-	const queue = [];
-
-	// Roots are reachable (nodes with no prerequisites)
-	tree.nodes.forEach(node => {
-		const incoming = tree.connections.filter(c => c.to_node_id === node.id);
-		if (incoming.length === 0) {
-			reachable.add(node.id);
-			queue.push(node.id);
-		}
-	});
-
-	// BFS to find all reachable nodes
-	let head = 0;
-	while (head < queue.length) {
-		const current_id = queue[head++];
-
-		// Find nodes that have THIS node as a prerequisite
-		const outgoing = tree.connections.filter(c => c.from_node_id === current_id);
+	let changed = true;
 
-		for (const conn of outgoing) {
-			const target_id = conn.to_node_id;
-			if (reachable.has(target_id)) continue;
-
-			// A node is reachable if its prerequisite logic can be satisfied
-			// We check this assuming all its CURRENTLY reachable parents are MAXED
-			// This is a conservative check for static reachability
-			const target_node = find_node(state, tree_id, target_id);
-			const incoming = tree.connections.filter(c => c.to_node_id === target_id);
-
-			const logic = target_node.prerequisite_logic || "AND";
-			let can_reach = false;
-
-			if (logic === "AND") {
-				can_reach = incoming.every(c => reachable.has(c.from_node_id));
-			} else if (logic === "OR") {
-				can_reach = incoming.some(c => reachable.has(c.from_node_id));
-			} else if (logic === "SUM") {
-				// For SUM, if any parent is reachable, the node is potentially reachable
-				// (in theory we should check if sum of max_ranks >= threshold, but simple reachability is enough)
-				can_reach = incoming.some(c => reachable.has(c.from_node_id));
-			}
+	while (changed) {
+		changed = false;
 
-			if (can_reach) {
-				reachable.add(target_id);
-				queue.push(target_id);
+		for (const node of tree.nodes) {
+			if (!reachable.has(node.id) && can_reach_node(tree, node, reachable) && can_reach_tier(tree, node, reachable)) {
+				reachable.add(node.id);
+				changed = true;
 			}
 		}
 	}
@@ -194,6 +241,57 @@ function check_tree_reachability(state, tree_id) {
 
 	return { unreachable };
 }
+
+/**
+ * Checks whether a node's prerequisite logic can be satisfied, assuming all
+ * currently reachable nodes can be MAXED. This is a conservative check for
+ * static reachability.
+ * @param {object} tree - Tree object
+ * @param {object} node - Node to check
+ * @param {Set} reachable - IDs of nodes known to be reachable
+ * @returns {boolean} True if the node can be reached
+ */
+function can_reach_node(tree, node, reachable) {
+	const logic = node.prerequisite_logic || "AND";
+
+	if (logic === "EXPR") {
+		const { ast, error } = parse_prerequisite_expression(node.prerequisite_expression);
+		if (error) {
+			return false;
+		}
+
+		const get_max_rank = id => {
+			const ref_node = tree.nodes.find(n => n.id === id);
+			return ref_node && reachable.has(id) ? ref_node.max_rank : 0;
+		};
+		return get_expression_outcomes(ast, tree, get_max_rank).can_be_true;
+	}
+
+	const incoming = tree.connections.filter(c => c.to_node_id === node.id);
+	if (incoming.length === 0) {
+		return true;
+	}
+
+	const get_max_rank = id => {
+		const from_node = tree.nodes.find(n => n.id === id);
+		return from_node && reachable.has(id) ? from_node.max_rank : 0;
+	};
+	const can_meet = c => get_max_rank(c.from_node_id) >= c.required_rank;
+
+	if (logic === "AND") {
+		const { required, alternatives } = group_connections(incoming);
+		return required.every(can_meet) && (alternatives.length === 0 || alternatives.some(can_meet));
+	} else if (logic === "OR") {
+		return incoming.some(can_meet);
+	} else if (logic === "SUM") {
+		// The reachable parents must be able to add up to the threshold
+		const max_total = incoming.reduce((total, c) => total + get_max_rank(c.from_node_id), 0);
+		return max_total >= (node.prerequisite_threshold || 1);
+	}
+
+	return true;
+}
+
 function is_connection_satisfied(state, tree_id, connection) {
 	const to_node = find_node(state, tree_id, connection.to_node_id);
 	if (!to_node) return false;
@@ -253,6 +351,390 @@ function get_prerequisites(state, tree_id, node_id) {
 		}));
 }
 
+// ============================================================================
+// Prerequisite Expressions
+// ============================================================================
+
+/**
+ * Comparison operators supported in prerequisite expressions
+ */
+const EXPRESSION_OPERATORS = {
+	">=": (rank, value) => rank >= value,
+	">": (rank, value) => rank > value,
+	"<=": (rank, value) => rank <= value,
+	"<": (rank, value) => rank < value,
+	"==": (rank, value) => rank === value,
+	"!=": (rank, value) => rank !== value
+};
+
+// Parsed expressions keyed by source text. The oldest entry is dropped once
+// the limit is reached, so editing expressions doesn't grow it without bound.
+const EXPRESSION_CACHE_LIMIT = 500;
+const expression_cache = new Map();
+
+/**
+ * Splits an expression into tokens
+ * @param {string} text - Expression source
+ * @returns {object} { tokens, error }
+ */
+function tokenize_expression(text) {
+	const tokens = [];
+	let position = 0;
+
+	while (position < text.length) {
+		const rest = text.slice(position);
+		const whitespace = rest.match(/^\s+/);
+
+		if (whitespace) {
+			position += whitespace[0].length;
+			continue;
+		}
+
+		const word = rest.match(/^[A-Za-z_][A-Za-z0-9_]*/);
+		const number = rest.match(/^\d+/);
+		const operator = rest.match(/^(>=|<=|==|!=|>|<)/);
+
+		if (word) {
+			const upper = word[0].toUpperCase();
+			const is_keyword = upper === "AND" || upper === "OR" || upper === "NOT";
+			tokens.push({ type: is_keyword ? upper : "ref", value: word[0], position });
+			position += word[0].length;
+		} else if (number) {
+			tokens.push({ type: "number", value: parseInt(number[0], 10), position });
+			position += number[0].length;
+		} else if (operator) {
+			tokens.push({ type: "operator", value: operator[0], position });
+			position += operator[0].length;
+		} else if (rest[0] === "(" || rest[0] === ")") {
+			tokens.push({ type: rest[0], value: rest[0], position });
+			position += 1;
+		} else {
+			return { tokens: [], error: create_expression_error(`Unexpected character "${rest[0]}"`, position) };
+		}
+	}
+
+	tokens.push({ type: "end", value: null, position: text.length });
+	return { tokens, error: null };
+}
+
+/**
+ * Parses a prerequisite expression such as
+ * "(fireball >= 2 OR frostbolt >= 2) AND NOT necromancy".
+ * A bare reference means "rank >= 1". NOT binds tightest, then AND, then OR.
+ * @param {string} text - Expression source
+ * @returns {object} { ast, error } where error is an Error with a position
+ * property (index into the text), or null
+ */
+function parse_prerequisite_expression(text) {
+	const source = text || "";
+
+	if (expression_cache.has(source)) {
+		return expression_cache.get(source);
+	}
+
+	const result = parse_expression_source(source);
+
+	if (expression_cache.size >= EXPRESSION_CACHE_LIMIT) {
+		expression_cache.delete(expression_cache.keys().next().value);
+	}
+	expression_cache.set(source, result);
+
+	return result;
+}
+
+/**
+ * Creates an expression syntax error
+ * @param {string} message - What went wrong
+ * @param {number} position - Index into the expression text
+ * @returns {Error} Error with a position property
+ */
+function create_expression_error(message, position) {
+	const error = new Error(message);
+	error.position = position;
+	return error;
+}
+
+/**
+ * Recursive descent parser behind parse_prerequisite_expression
+ * @param {string} source - Expression source
+ * @returns {object} { ast, error }
+ */
+function parse_expression_source(source) {
+	if (source.trim() === "") {
+		return { ast: null, error: null };
+	}
+
+	const { tokens, error } = tokenize_expression(source);
+	if (error) {
+		return { ast: null, error };
+	}
+
+	let index = 0;
+	const peek = () => tokens[index];
+	const fail = (message, token = peek()) => {
+		throw create_expression_error(message, token.position);
+	};
+
+	function parse_or() {
+		const operands = [parse_and()];
+		while (peek().type === "OR") {
+			index++;
+			operands.push(parse_and());
+		}
+		return operands.length === 1 ? operands[0] : { type: "or", operands };
+	}
+
+	function parse_and() {
+		const operands = [parse_not()];
+		while (peek().type === "AND") {
+			index++;
+			operands.push(parse_not());
+		}
+		return operands.length === 1 ? operands[0] : { type: "and", operands };
+	}
+
+	function parse_not() {
+		if (peek().type === "NOT") {
+			index++;
+			return { type: "not", operand: parse_not() };
+		}
+		return parse_primary();
+	}
+
+	function parse_primary() {
+		const token = peek();
+
+		if (token.type === "(") {
+			index++;
+			const inner = parse_or();
+			if (peek().type !== ")") {
+				fail("Expected \")\"");
+			}
+			index++;
+			return inner;
+		}
+
+		if (token.type === "ref") {
+			index++;
+			if (peek().type !== "operator") {
+				return { type: "compare", ref: token.value, op: ">=", value: 1, position: token.position };
+			}
+
+			const op = tokens[index++].value;
+			if (peek().type !== "number") {
+				fail(`Expected a number after "${op}"`);
+			}
+			const value = tokens[index++].value;
+			return { type: "compare", ref: token.value, op, value, position: token.position };
+		}
+
+		if (token.type === "end") {
+			fail("Unexpected end of expression");
+		}
+
+		fail(`Unexpected "${token.value}"`);
+	}
+
+	try {
+		const ast = parse_or();
+		if (peek().type !== "end") {
+			fail(`Unexpected "${peek().value}"`);
+		}
+		return { ast, error: null };
+	} catch (parse_error) {
+		// Anything without a position is a bug, not a syntax error
+		if (parse_error.position === undefined) {
+			throw parse_error;
+		}
+		return { ast: null, error: parse_error };
+	}
+}
+
+/**
+ * Normalizes a node name into an expression identifier ("Frost Bolt" -> "frost_bolt")
+ * @param {string} name - Node name
+ * @returns {string} Identifier
+ */
+function to_expression_identifier(name) {
+	return (name || "").toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Resolves an expression reference to a node, by ID first and then by name
+ * @param {object} tree - Tree object
+ * @param {string} ref - Reference as written in the expression
+ * @returns {object} { node_id, error }
+ */
+function resolve_expression_reference(tree, ref) {
+	if (tree.nodes.some(n => n.id === ref)) {
+		return { node_id: ref, error: null };
+	}
+
+	const identifier = to_expression_identifier(ref);
+	const matches = tree.nodes.filter(n => to_expression_identifier(n.name) === identifier);
+
+	if (matches.length === 0) {
+		return { node_id: null, error: `Unknown node "${ref}"` };
+	}
+	if (matches.length > 1) {
+		return { node_id: null, error: `Ambiguous node name "${ref}"` };
+	}
+
+	return { node_id: matches[0].id, error: null };
+}
+
+/**
+ * Collects the comparison terms of an expression
+ * @param {object|null} ast - Parsed expression
+ * @returns {array} Array of compare nodes
+ */
+function get_expression_terms(ast) {
+	if (!ast) {
+		return [];
+	}
+	if (ast.type === "compare") {
+		return [ast];
+	}
+	if (ast.type === "not") {
+		return get_expression_terms(ast.operand);
+	}
+	return ast.operands.flatMap(get_expression_terms);
+}
+
+/**
+ * Collects the comparison terms that need a node allocated: those that fail
+ * while the node they refer to has rank 0, with NOT taken into account.
+ * "NOT necromancy" or "fireball < 3" hold without allocating anything, so
+ * they don't make the referenced node a prerequisite.
+ * @param {object|null} ast - Parsed expression
+ * @param {boolean} negated - Whether an odd number of NOTs encloses the expression
+ * @returns {array} Array of compare nodes
+ */
+function get_required_terms(ast, negated = false) {
+	if (!ast) {
+		return [];
+	}
+	if (ast.type === "compare") {
+		return EXPRESSION_OPERATORS[ast.op](0, ast.value) === negated ? [ast] : [];
+	}
+	if (ast.type === "not") {
+		return get_required_terms(ast.operand, !negated);
+	}
+	return ast.operands.flatMap(operand => get_required_terms(operand, negated));
+}
+
+/**
+ * Evaluates a parsed expression. Unknown references count as rank 0.
+ * @param {object|null} ast - Parsed expression
+ * @param {object} tree - Tree object
+ * @param {function} get_rank - Returns the rank to assume for a node ID
+ * @returns {boolean} True if the expression holds
+ */
+function evaluate_expression(ast, tree, get_rank) {
+	if (!ast) {
+		return true;
+	}
+
+	switch (ast.type) {
+		case "compare": {
+			const { node_id } = resolve_expression_reference(tree, ast.ref);
+			const rank = node_id ? get_rank(node_id) : 0;
+			return EXPRESSION_OPERATORS[ast.op](rank, ast.value);
+		}
+		case "not":
+			return !evaluate_expression(ast.operand, tree, get_rank);
+		case "and":
+			return ast.operands.every(operand => evaluate_expression(operand, tree, get_rank));
+		case "or":
+			return ast.operands.some(operand => evaluate_expression(operand, tree, get_rank));
+	}
+
+	return false;
+}
+
+/**
+ * Works out which results an expression can produce when each node can hold
+ * any rank in its range. Correlations between terms are ignored, so this
+ * errs towards "possible".
+ * @param {object|null} ast - Parsed expression
+ * @param {object} tree - Tree object
+ * @param {function} get_max_rank - Returns the highest reachable rank for a node ID
+ * @returns {object} { can_be_true, can_be_false }
+ */
+function get_expression_outcomes(ast, tree, get_max_rank) {
+	if (!ast) {
+		return { can_be_true: true, can_be_false: false };
+	}
+
+	switch (ast.type) {
+		case "compare": {
+			const { node_id } = resolve_expression_reference(tree, ast.ref);
+			const max_rank = node_id ? get_max_rank(node_id) : 0;
+			const outcomes = { can_be_true: false, can_be_false: false };
+			for (let rank = 0; rank <= max_rank; rank++) {
+				if (EXPRESSION_OPERATORS[ast.op](rank, ast.value)) {
+					outcomes.can_be_true = true;
+				} else {
+					outcomes.can_be_false = true;
+				}
+			}
+			return outcomes;
+		}
+		case "not": {
+			const inner = get_expression_outcomes(ast.operand, tree, get_max_rank);
+			return { can_be_true: inner.can_be_false, can_be_false: inner.can_be_true };
+		}
+		case "and":
+		case "or": {
+			const results = ast.operands.map(operand => get_expression_outcomes(operand, tree, get_max_rank));
+			return ast.type === "and"
+				? { can_be_true: results.every(r => r.can_be_true), can_be_false: results.some(r => r.can_be_false) }
+				: { can_be_true: results.some(r => r.can_be_true), can_be_false: results.every(r => r.can_be_false) };
+		}
+	}
+
+	return { can_be_true: false, can_be_false: true };
+}
+
+/**
+ * Lists the problems with a node's prerequisite expression
+ * @param {object} tree - Tree object
+ * @param {object} node - Node using EXPR logic
+ * @returns {array} Array of { code, message, details }
+ */
+function check_prerequisite_expression(tree, node) {
+	const { ast, error } = parse_prerequisite_expression(node.prerequisite_expression);
+
+	if (error) {
+		return [{
+			code: "ERR_INVALID_PREREQUISITE_EXPRESSION",
+			message: `"${node.name}": ${error.message} at position ${error.position + 1}`,
+			details: { position: error.position }
+		}];
+	}
+
+	const problems = [];
+	for (const term of get_expression_terms(ast)) {
+		const { node_id, error: ref_error } = resolve_expression_reference(tree, term.ref);
+
+		if (ref_error) {
+			problems.push({
+				code: "ERR_UNKNOWN_EXPRESSION_REFERENCE",
+				message: `"${node.name}": ${ref_error}`,
+				details: { reference: term.ref, position: term.position }
+			});
+		} else if (node_id === node.id) {
+			problems.push({
+				code: "ERR_UNKNOWN_EXPRESSION_REFERENCE",
+				message: `"${node.name}": expression refers to the node itself`,
+				details: { reference: term.ref, position: term.position }
+			});
+		}
+	}
+
+	return problems;
+}
+
 // ============================================================================
 // Point Allocation Validation
 // ============================================================================
@@ -292,7 +774,7 @@ function can_allocate_point(state, tree_id, node_id) {
 		}
 
 		const cost = get_allocation_cost(node);
-		const available = tree.point_pool.total - tree.point_pool.spent;
+		const available = get_available_points(state, tree);
 		if (available < cost) {
 			return {
 				can_allocate: false,
@@ -310,9 +792,19 @@ function can_allocate_point(state, tree_id, node_id) {
 	const status = get_node_status(state, tree_id, node_id);
 
 	if (status === NODE_STATUS.LOCKED) {
+		const required_level = get_level_lock(state, node);
+		const tier = get_tier_lock(tree, node);
+		let reason = "Prerequisites not met";
+
+		if (required_level) {
+			reason = `Requires character level ${required_level}`;
+		} else if (tier && check_prerequisites(state, tree_id, node_id)) {
+			reason = `Requires ${tier.points_required} points spent above "${tier.name}"`;
+		}
+
 		return {
 			can_allocate: false,
-			reason: "Prerequisites not met"
+			reason: reason
 		};
 	}
 
@@ -330,9 +822,27 @@ function can_allocate_point(state, tree_id, node_id) {
 		};
 	}
 
+	if (status === NODE_STATUS.EXCLUDED) {
+		const conflict = get_exclusive_conflict(tree, node);
+		return {
+			can_allocate: false,
+			reason: `Excluded by "${conflict.name}" (group "${node.exclusive_group}")`
+		};
+	}
+
+	// Expressions using NOT or upper bounds can be broken by raising a rank
+	const conflicts = find_conflicting_allocations(state, tree_id, node_id, node.current_rank + 1);
+	if (conflicts.length > 0) {
+		const conflict = find_node(state, tree_id, conflicts[0]);
+		return {
+			can_allocate: false,
+			reason: `Conflicts with "${conflict.name}"`
+		};
+	}
+
 	// Check points
 	const cost = get_allocation_cost(node);
-	const available = tree.point_pool.total - tree.point_pool.spent;
+	const available = get_available_points(state, tree);
 
 	if (available < cost) {
 		return {
@@ -348,27 +858,419 @@ function can_allocate_point(state, tree_id, node_id) {
 }
 
 /**
- * Gets the cost to allocate the next point to a node
- * @param {object} node - Node object
- * @returns {number} Point cost
- */
-function get_allocation_cost(node) {
-	const cost_index = Math.min(node.current_rank, node.cost_per_rank.length - 1);
-	return node.cost_per_rank[cost_index];
-}
-
-// ============================================================================
-// Refund Validation
-// ============================================================================
-
-/**
- * Checks if a point can be refunded from a node
+ * Explains a node's status as a checklist of everything that gates its next
+ * rank: each incoming connection, SUM progress, expression terms, character
+ * level, tier points, exclusive group, expression conflicts and points.
+ * Connections where any one is enough are grouped under an "any" check.
  * @param {object} state - Current state
  * @param {string} tree_id - Tree ID
  * @param {string} node_id - Node ID
- * @returns {object} { can_refund, reason, affected_nodes }
+ * @returns {object} { status, checks, met }. Each check is
+ * { type, label, met, current, required, node_id, shortfall, children }, with
+ * the last five only present where they apply.
  */
-function can_refund_point(state, tree_id, node_id) {
+function explain_node_status(state, tree_id, node_id) {
+	const tree = find_tree(state, tree_id);
+	const node = tree ? find_node(state, tree_id, node_id) : null;
+
+	if (!node) {
+		return { status: NODE_STATUS.INVALID, checks: [], met: false };
+	}
+
+	const get_rank = id => get_node_rank(tree, id);
+	const get_name = id => tree.nodes.find(n => n.id === id)?.name || id;
+	const logic = node.prerequisite_logic || "AND";
+	const incoming = tree.connections.filter(c => c.to_node_id === node.id);
+	const checks = [];
+
+	const connection_check = conn => {
+		const current = get_rank(conn.from_node_id);
+		return {
+			type: "connection",
+			label: `"${get_name(conn.from_node_id)}" rank ${conn.required_rank}`,
+			node_id: conn.from_node_id,
+			current: current,
+			required: conn.required_rank,
+			met: current >= conn.required_rank
+		};
+	};
+
+	const any_check = children => ({
+		type: "any",
+		label: "Any one of",
+		met: children.some(child => child.met),
+		children: children
+	});
+
+	// Prerequisites
+	if (logic === "EXPR") {
+		const { ast, error } = parse_prerequisite_expression(node.prerequisite_expression);
+		// Terms under NOT are met when their comparison fails
+		const collect_terms = (expression, negated) => {
+			if (!expression) {
+				return [];
+			}
+			if (expression.type === "not") {
+				return collect_terms(expression.operand, !negated);
+			}
+			if (expression.type !== "compare") {
+				return expression.operands.flatMap(operand => collect_terms(operand, negated));
+			}
+
+			const { node_id: term_node_id } = resolve_expression_reference(tree, expression.ref);
+			const current = term_node_id ? get_rank(term_node_id) : 0;
+			const holds = EXPRESSION_OPERATORS[expression.op](current, expression.value);
+			return [{
+				type: "term",
+				label: `${negated ? "not " : ""}${expression.ref} ${expression.op} ${expression.value}`,
+				node_id: term_node_id,
+				current: current,
+				required: expression.value,
+				met: negated ? !holds : holds
+			}];
+		};
+		const terms = error ? [] : collect_terms(ast, false);
+
+		checks.push({
+			type: "expression",
+			label: error
+				? `Invalid expression: ${error.message} at position ${error.position + 1}`
+				: node.prerequisite_expression,
+			met: !error && evaluate_expression(ast, tree, get_rank),
+			children: terms
+		});
+	} else if (incoming.length > 0) {
+		if (logic === "OR") {
+			checks.push(any_check(incoming.map(connection_check)));
+		} else if (logic === "SUM") {
+			const threshold = node.prerequisite_threshold || 1;
+			const total = incoming.reduce((sum, conn) => sum + get_rank(conn.from_node_id), 0);
+			checks.push({
+				type: "sum",
+				label: "Total prerequisite rank",
+				current: total,
+				required: threshold,
+				met: total >= threshold
+			});
+		} else {
+			const { required, alternatives } = group_connections(incoming);
+			checks.push(...required.map(connection_check));
+			if (alternatives.length > 0) {
+				checks.push(any_check(alternatives.map(connection_check)));
+			}
+		}
+	}
+
+	// Character level
+	if ((node.required_level || 0) > 0) {
+		const level = get_character_level(state);
+		checks.push({
+			type: "level",
+			label: `Character level ${node.required_level}`,
+			current: level,
+			required: node.required_level,
+			met: level >= node.required_level
+		});
+	}
+
+	// Tier points
+	const tier = get_node_tier(tree, node);
+	if (tier && tier.points_required > 0) {
+		const spent = get_points_before_tier(tree, tier, get_rank);
+		checks.push({
+			type: "tier",
+			label: `Points spent above "${tier.name}"`,
+			current: spent,
+			required: tier.points_required,
+			met: spent >= tier.points_required
+		});
+	}
+
+	// Exclusive group
+	if (node.exclusive_group) {
+		const conflict = node.current_rank === 0 ? get_exclusive_conflict(tree, node) : null;
+		checks.push({
+			type: "exclusive",
+			label: conflict
+				? `"${conflict.name}" was taken from "${node.exclusive_group}"`
+				: `Nothing else taken from "${node.exclusive_group}"`,
+			node_id: conflict?.id,
+			met: !conflict
+		});
+	}
+
+	if (node.current_rank < node.max_rank) {
+		// Expressions elsewhere that the next rank would break
+		for (const conflict_id of find_conflicting_allocations(state, tree_id, node_id, node.current_rank + 1)) {
+			checks.push({
+				type: "conflict",
+				label: `Would break "${get_name(conflict_id)}"`,
+				node_id: conflict_id,
+				met: false
+			});
+		}
+
+		// Points for the next rank
+		const cost = get_allocation_cost(node);
+		const available = get_available_points(state, tree);
+		checks.push({
+			type: "points",
+			label: "Points available",
+			current: available,
+			required: cost,
+			shortfall: Math.max(0, cost - available),
+			met: available >= cost
+		});
+	}
+
+	return {
+		status: get_node_status(state, tree_id, node_id),
+		checks: checks,
+		met: checks.every(check => check.met)
+	};
+}
+
+/**
+ * Finds allocated expression nodes whose prerequisites would fail if a node
+ * were raised to a new rank
+ * @param {object} state - Current state
+ * @param {string} tree_id - Tree ID
+ * @param {string} node_id - Node ID being raised
+ * @param {number} new_rank - Rank after allocation
+ * @returns {array} Array of conflicting node IDs
+ */
+function find_conflicting_allocations(state, tree_id, node_id, new_rank) {
+	const tree = find_tree(state, tree_id);
+	if (!tree) {
+		return [];
+	}
+
+	const get_current_rank = id => get_node_rank(tree, id);
+	const get_new_rank = id => id === node_id ? new_rank : get_node_rank(tree, id);
+
+	// Only nodes that are satisfied now can be broken by the allocation
+	return tree.nodes
+		.filter(n => n.id !== node_id && n.current_rank > 0 && n.prerequisite_logic === "EXPR")
+		.filter(n => evaluate_prerequisites(tree, n, get_current_rank) && !evaluate_prerequisites(tree, n, get_new_rank))
+		.map(n => n.id);
+}
+
+/**
+ * Gets the cost to allocate the next point to a node
+ * @param {object} node - Node object
+ * @returns {number} Point cost
+ */
+function get_allocation_cost(node) {
+	const cost_index = Math.min(node.current_rank, node.cost_per_rank.length - 1);
+	return node.cost_per_rank[cost_index];
+}
+
+// ============================================================================
+// Point Pools
+// ============================================================================
+
+/**
+ * Checks if a tree draws its points from the project's global pool
+ * @param {object} state - Current state
+ * @param {object} tree - Tree object
+ * @returns {boolean} True if the tree uses the global pool
+ */
+function uses_global_pool(state, tree) {
+	return tree.point_pool.source === "global" && state.project.settings.global_point_pool.enabled;
+}
+
+/**
+ * Gets the points a tree can still spend. Trees on the global pool spend
+ * whatever the global pool has left, their own total doesn't apply.
+ * @param {object} state - Current state
+ * @param {object} tree - Tree object
+ * @returns {number} Available points
+ */
+function get_available_points(state, tree) {
+	if (!uses_global_pool(state, tree)) {
+		return tree.point_pool.total - tree.point_pool.spent;
+	}
+
+	const global_pool = state.project.settings.global_point_pool;
+	return global_pool.total - global_pool.spent;
+}
+
+/**
+ * Calculates the points spent by all trees drawing on the global pool
+ * @param {object} state - Current state
+ * @returns {number} Total global spent points
+ */
+function calculate_global_spent_points(state) {
+	return state.project.trees
+		.filter(tree => tree.point_pool.source === "global")
+		.reduce((total, tree) => total + calculate_spent_points(tree), 0);
+}
+
+// ============================================================================
+// Character Level
+// ============================================================================
+
+/**
+ * Gets the simulated character level
+ * @param {object} state - Current state
+ * @returns {number} Character level
+ */
+function get_character_level(state) {
+	return state.project.settings.character_level?.level || 1;
+}
+
+/**
+ * Checks if a point pool grants its points through a points-per-level curve
+ * @param {object} pool - Tree point pool or global point pool
+ * @returns {boolean} True if the pool total follows the character level
+ */
+function has_level_curve(pool) {
+	return Array.isArray(pool.points_per_level) && pool.points_per_level.length > 0;
+}
+
+/**
+ * Calculates the points a curve has granted by a level. Entry i is granted on
+ * reaching level i + 1, and the last entry repeats for every later level.
+ * @param {array} points_per_level - Points granted per level
+ * @param {number} level - Character level
+ * @returns {number} Total points granted
+ */
+function get_points_for_level(points_per_level, level) {
+	let total = 0;
+
+	for (let i = 0; i < level; i++) {
+		total += points_per_level[Math.min(i, points_per_level.length - 1)];
+	}
+
+	return total;
+}
+
+/**
+ * Gets the level a node is still waiting for
+ * @param {object} state - Current state
+ * @param {object} node - Node object
+ * @returns {number|null} Required level, or null if the character is high enough
+ */
+function get_level_lock(state, node) {
+	const required_level = node.required_level || 0;
+	return required_level > get_character_level(state) ? required_level : null;
+}
+
+// ============================================================================
+// Tier Gating
+// ============================================================================
+
+/**
+ * Node size on the canvas, used to place a node in a tier by its center
+ */
+const NODE_SIZE = 80;
+
+/**
+ * Gets a tree's tiers ordered from top to bottom
+ * @param {object} tree - Tree object
+ * @returns {array} Array of tiers
+ */
+function get_sorted_tiers(tree) {
+	return [...(tree.tiers || [])].sort((a, b) => a.y - b.y);
+}
+
+/**
+ * Finds the tier band a node sits in. A tier starts at its y coordinate and
+ * runs down to the next tier; nodes above the first tier are not gated.
+ * @param {object} tree - Tree object
+ * @param {object} node - Node object
+ * @returns {object|null} Tier or null
+ */
+function get_node_tier(tree, node) {
+	const center_y = node.position.y + NODE_SIZE / 2;
+	let node_tier = null;
+
+	for (const tier of get_sorted_tiers(tree)) {
+		if (center_y >= tier.y) {
+			node_tier = tier;
+		}
+	}
+
+	return node_tier;
+}
+
+/**
+ * Sums the points spent on nodes sitting above a tier
+ * @param {object} tree - Tree object
+ * @param {object} tier - Tier object
+ * @param {function} get_rank - Returns the rank to assume for a node ID
+ * @returns {number} Points spent before the tier
+ */
+function get_points_before_tier(tree, tier, get_rank) {
+	return tree.nodes
+		.filter(node => node.position.y + NODE_SIZE / 2 < tier.y)
+		.reduce((total, node) => total + get_rank_cost(node, get_rank(node.id)), 0);
+}
+
+/**
+ * Gets the tier that keeps a node locked because too few points were spent
+ * above it. Points spent inside the tier itself or below it never count, so
+ * a tier can't unlock itself.
+ * @param {object} tree - Tree object
+ * @param {object} node - Node object
+ * @param {function} get_rank - Optional rank override, defaults to current ranks
+ * @returns {object|null} Locking tier or null
+ */
+function get_tier_lock(tree, node, get_rank = id => get_node_rank(tree, id)) {
+	const tier = get_node_tier(tree, node);
+
+	if (!tier || get_points_before_tier(tree, tier, get_rank) >= tier.points_required) {
+		return null;
+	}
+
+	return tier;
+}
+
+/**
+ * Checks whether a node's tier can be unlocked by maxing every reachable
+ * node above it
+ * @param {object} tree - Tree object
+ * @param {object} node - Node to check
+ * @param {Set} reachable - IDs of nodes known to be reachable
+ * @returns {boolean} True if the tier requirement can be met
+ */
+function can_reach_tier(tree, node, reachable) {
+	const get_max_rank = id => {
+		const other = tree.nodes.find(n => n.id === id);
+		return other && reachable.has(id) ? other.max_rank : 0;
+	};
+	return !get_tier_lock(tree, node, get_max_rank);
+}
+
+/**
+ * Gets the total cost of a node's first ranks
+ * @param {object} node - Node object
+ * @param {number} rank - Number of ranks to price
+ * @returns {number} Total cost
+ */
+function get_rank_cost(node, rank) {
+	let total = 0;
+
+	for (let i = 0; i < rank; i++) {
+		const cost_index = Math.min(i, node.cost_per_rank.length - 1);
+		total += node.cost_per_rank[cost_index];
+	}
+
+	return total;
+}
+
+// ============================================================================
+// Refund Validation
+// ============================================================================
+
+/**
+ * Checks if a point can be refunded from a node
+ * @param {object} state - Current state
+ * @param {string} tree_id - Tree ID
+ * @param {string} node_id - Node ID
+ * @returns {object} { can_refund, reason, affected_nodes }
+ */
+function can_refund_point(state, tree_id, node_id) {
 	// Check if refunds are enabled
 	if (!state.project.settings.allow_refunds) {
 		return {
@@ -450,51 +1352,32 @@ function find_blocking_dependents(state, tree_id, node_id, new_rank) {
 	}
 
 	const blocking = [];
+	const get_rank = id => id === node_id ? new_rank : get_node_rank(tree, id);
 
-	// Find connections from this node
-	const outgoing = tree.connections.filter(c => c.from_node_id === node_id);
+	// Dependents through connections or expressions are evaluated with the
+	// same rules used for unlocking. Any expression reference counts, since
+	// lowering a rank can also break a term like "fireball != 1".
+	const dependent_ids = new Set(build_dependency_adjacency(tree, get_expression_terms)[node_id] || []);
 
-	for (const conn of outgoing) {
-		// Would this connection become unsatisfied?
-		if (new_rank < conn.required_rank) {
-			const dependent_node = find_node(state, tree_id, conn.to_node_id);
+	for (const dependent_id of dependent_ids) {
+		const dependent_node = find_node(state, tree_id, dependent_id);
 
-			// Only blocking if dependent has points allocated
-			if (dependent_node && dependent_node.current_rank > 0) {
-				// Check if there are alternative OR paths
-				if (!has_alternative_path(state, tree_id, conn.to_node_id, node_id)) {
-					blocking.push(conn.to_node_id);
-				}
+		// Only blocking if dependent has points allocated
+		if (dependent_node && dependent_node.current_rank > 0) {
+			if (!evaluate_prerequisites(tree, dependent_node, get_rank)) {
+				blocking.push(dependent_id);
 			}
 		}
 	}
 
-	return blocking;
-}
-
-/**
- * Checks if a node has an alternative satisfied path (OR logic)
- * @param {object} state - Current state
- * @param {string} tree_id - Tree ID
- * @param {string} node_id - Dependent node ID
- * @param {string} excluded_node_id - Node being refunded (to exclude)
- * @returns {boolean} True if alternative path exists
- */
-function has_alternative_path(state, tree_id, node_id, excluded_node_id) {
-	const tree = find_tree(state, tree_id);
-	if (!tree) {
-		return false;
+	// Nodes in lower tiers lose their unlock once the spend above them drops
+	for (const other of tree.nodes) {
+		if (other.current_rank > 0 && !blocking.includes(other.id) && get_tier_lock(tree, other, get_rank)) {
+			blocking.push(other.id);
+		}
 	}
 
-	// Find OR connections to this node (excluding the one being refunded)
-	const or_connections = tree.connections.filter(
-		c => c.to_node_id === node_id &&
-			c.from_node_id !== excluded_node_id &&
-			c.logic === "OR"
-	);
-
-	// Check if any OR path is satisfied
-	return or_connections.some(conn => is_connection_satisfied(state, tree_id, conn));
+	return blocking;
 }
 
 /**
@@ -547,6 +1430,17 @@ function validate_state(state) {
 		});
 	}
 
+	// Validate global point pool integrity
+	const global_pool = state.project.settings.global_point_pool;
+	const calculated_global = calculate_global_spent_points(state);
+	if (global_pool.enabled && calculated_global !== global_pool.spent) {
+		warnings.push({
+			code: "WARN_GLOBAL_POOL_MISMATCH",
+			message: `Global point pool mismatch: spent=${global_pool.spent}, calculated=${calculated_global}`,
+			details: { stored: global_pool.spent, calculated: calculated_global }
+		});
+	}
+
 	return {
 		is_valid: errors.length === 0,
 		errors: errors,
@@ -556,10 +1450,12 @@ function validate_state(state) {
 }
 
 /**
- * Validates a single tree
+ * Validates a single tree by running every enabled lint rule. Findings on
+ * nodes that suppress the rule are dropped.
  * @param {object} state - Current state
  * @param {string} tree_id - Tree ID
- * @returns {object} Validation result
+ * @returns {object} Validation result. Each error or warning is
+ * { code, rule_id, severity, message, tree_id, node_id, connection_id, details }.
  */
 function validate_tree(state, tree_id) {
 	const errors = [];
@@ -577,85 +1473,31 @@ function validate_tree(state, tree_id) {
 		return { is_valid: false, errors, warnings, blocked_actions };
 	}
 
-	// Check for duplicate node IDs
-	const node_ids = tree.nodes.map(n => n.id);
-	const duplicate_nodes = node_ids.filter(
-		(id, index) => node_ids.indexOf(id) !== index
-	);
-
-	for (const id of duplicate_nodes) {
-		errors.push({
-			code: "ERR_DUPLICATE_NODE_ID",
-			message: `Duplicate node ID: ${id}`,
-			tree_id: tree_id,
-			node_id: id,
-			details: {}
-		});
-	}
-
-	// Validate connections reference existing nodes
-	for (const conn of tree.connections) {
-		const from_exists = node_ids.includes(conn.from_node_id);
-		const to_exists = node_ids.includes(conn.to_node_id);
-
-		if (!from_exists) {
-			errors.push({
-				code: "ERR_INVALID_CONNECTION_SOURCE",
-				message: `Connection references non-existent source node: ${conn.from_node_id}`,
-				tree_id: tree_id,
-				connection_id: conn.id,
-				details: { from_node_id: conn.from_node_id }
-			});
-		}
+	const context = create_lint_context(state, tree);
 
-		if (!to_exists) {
-			errors.push({
-				code: "ERR_INVALID_CONNECTION_TARGET",
-				message: `Connection references non-existent target node: ${conn.to_node_id}`,
-				tree_id: tree_id,
-				connection_id: conn.id,
-				details: { to_node_id: conn.to_node_id }
-			});
+	for (const rule of lint_rules.values()) {
+		if (!is_lint_rule_enabled(state, rule.id)) {
+			continue;
 		}
-	}
 
-	// Check for cycles
-	const cycle = detect_cycle(tree);
-	if (cycle) {
-		errors.push({
-			code: "ERR_CYCLIC_DEPENDENCY",
-			message: "Cyclic dependency detected",
-			tree_id: tree_id,
-			details: { cycle: cycle }
-		});
-	}
+		for (const finding of rule.check(context)) {
+			const node = finding.node_id ? tree.nodes.find(n => n.id === finding.node_id) : null;
+			if (node?.lint_suppressions?.includes(rule.id)) {
+				continue;
+			}
 
-	// Validate point pool integrity
-	const calculated_spent = calculate_spent_points(tree);
-	if (calculated_spent !== tree.point_pool.spent) {
-		warnings.push({
-			code: "WARN_POINT_POOL_MISMATCH",
-			message: `Point pool mismatch: spent=${tree.point_pool.spent}, calculated=${calculated_spent}`,
-			tree_id: tree_id,
-			details: { stored: tree.point_pool.spent, calculated: calculated_spent }
-		});
-	}
+			const entry = {
+				code: finding.code || rule.code,
+				rule_id: rule.id,
+				severity: rule.severity,
+				message: finding.message,
+				tree_id: tree_id,
+				node_id: finding.node_id,
+				connection_id: finding.connection_id,
+				details: finding.details || {}
+			};
 
-	// Check for orphaned nodes (no connections in a tree with other connected nodes)
-	if (tree.nodes.length > 1 && tree.connections.length > 0) {
-		for (const node of tree.nodes) {
-			const has_incoming = tree.connections.some(c => c.to_node_id === node.id);
-			const has_outgoing = tree.connections.some(c => c.from_node_id === node.id);
-
-			if (!has_incoming && !has_outgoing) {
-				warnings.push({
-					code: "WARN_ORPHANED_NODE",
-					message: `Node has no connections: ${node.name}`,
-					tree_id: tree_id,
-					node_id: node.id,
-					details: {}
-				});
-			}
+			(rule.severity === LINT_SEVERITY.ERROR ? errors : warnings).push(entry);
 		}
 	}
 
@@ -667,28 +1509,1184 @@ function validate_tree(state, tree_id) {
 	};
 }
 
+// ============================================================================
+// Lint Rules
+// ============================================================================
+
+const LINT_SEVERITY = {
+	ERROR: "error",
+	WARNING: "warning",
+	INFO: "info"
+};
+
 /**
- * Calculates the total spent points in a tree
- * @param {object} tree - Tree object
- * @returns {number} Total spent points
+ * Registered rules by ID, run in registration order
  */
-function calculate_spent_points(tree) {
-	let total = 0;
+const lint_rules = new Map();
 
-	for (const node of tree.nodes) {
-		for (let i = 0; i < node.current_rank; i++) {
-			const cost_index = Math.min(i, node.cost_per_rank.length - 1);
-			total += node.cost_per_rank[cost_index];
-		}
+/**
+ * Registers a lint rule run by validate_tree. The check receives a context
+ * of { state, tree, get_budget, get_reachability } and returns findings of
+ * { message, node_id, connection_id, details, code }, all but the message
+ * optional. A finding's code falls back to the rule's code.
+ * @param {object} rule - { id, code, name, description, severity, check }
+ * @returns {object} The registered rule
+ */
+function register_lint_rule(rule) {
+	if (!rule?.id || typeof rule.check !== "function") {
+		throw new Error("Lint rules need an id and a check function");
+	}
+	if (lint_rules.has(rule.id)) {
+		throw new Error(`Lint rule already registered: ${rule.id}`);
+	}
+	if (!Object.values(LINT_SEVERITY).includes(rule.severity)) {
+		throw new Error(`Invalid severity for lint rule ${rule.id}: ${rule.severity}`);
 	}
 
-	return total;
+	const registered = {
+		id: rule.id,
+		code: rule.code || rule.id.toUpperCase(),
+		name: rule.name || rule.id,
+		description: rule.description || "",
+		severity: rule.severity,
+		check: rule.check
+	};
+
+	lint_rules.set(rule.id, registered);
+	return registered;
 }
 
 /**
- * Detects cycles in the dependency graph
- * @param {object} tree - Tree object
- * @returns {array|null} Array of node IDs forming a cycle, or null
+ * Lists the registered lint rules
+ * @returns {array} Rules in registration order
+ */
+function get_lint_rules() {
+	return [...lint_rules.values()];
+}
+
+/**
+ * Checks if a lint rule is enabled for the project
+ * @param {object} state - Current state
+ * @param {string} rule_id - Rule ID
+ * @returns {boolean} True unless the project disabled the rule
+ */
+function is_lint_rule_enabled(state, rule_id) {
+	return !(state.project.settings.lint?.disabled_rules || []).includes(rule_id);
+}
+
+/**
+ * Creates the context handed to lint rules. Expensive analyses are computed
+ * once on first use and shared between rules.
+ * @param {object} state - Current state
+ * @param {object} tree - Tree object
+ * @returns {object} Lint context
+ */
+function create_lint_context(state, tree) {
+	let budget = null;
+	let reachability = null;
+
+	return {
+		state: state,
+		tree: tree,
+		get_budget: () => budget || (budget = analyze_point_budget(state, tree.id)),
+		get_reachability: () => reachability || (reachability = check_tree_reachability(state, tree.id))
+	};
+}
+
+register_lint_rule({
+	id: "duplicate_node_id",
+	code: "ERR_DUPLICATE_NODE_ID",
+	name: "Duplicate node IDs",
+	description: "Two nodes share an ID.",
+	severity: LINT_SEVERITY.ERROR,
+	check: ({ tree }) => {
+		const node_ids = tree.nodes.map(n => n.id);
+		return node_ids
+			.filter((id, index) => node_ids.indexOf(id) !== index)
+			.map(id => ({ message: `Duplicate node ID: ${id}`, node_id: id }));
+	}
+});
+
+register_lint_rule({
+	id: "invalid_connection",
+	code: "ERR_INVALID_CONNECTION",
+	name: "Broken connections",
+	description: "A connection points to a node that doesn't exist.",
+	severity: LINT_SEVERITY.ERROR,
+	check: ({ tree }) => {
+		const findings = [];
+		const exists = id => tree.nodes.some(n => n.id === id);
+
+		for (const conn of tree.connections) {
+			if (!exists(conn.from_node_id)) {
+				findings.push({
+					code: "ERR_INVALID_CONNECTION_SOURCE",
+					message: `Connection references non-existent source node: ${conn.from_node_id}`,
+					connection_id: conn.id,
+					details: { from_node_id: conn.from_node_id }
+				});
+			}
+			if (!exists(conn.to_node_id)) {
+				findings.push({
+					code: "ERR_INVALID_CONNECTION_TARGET",
+					message: `Connection references non-existent target node: ${conn.to_node_id}`,
+					connection_id: conn.id,
+					details: { to_node_id: conn.to_node_id }
+				});
+			}
+		}
+
+		return findings;
+	}
+});
+
+register_lint_rule({
+	id: "invalid_expression",
+	code: "ERR_INVALID_EXPRESSION",
+	name: "Invalid expressions",
+	description: "A prerequisite expression doesn't parse or refers to unknown nodes.",
+	severity: LINT_SEVERITY.ERROR,
+	check: ({ tree }) => tree.nodes
+		.filter(node => node.prerequisite_logic === "EXPR")
+		.flatMap(node => check_prerequisite_expression(tree, node).map(problem => ({ ...problem, node_id: node.id })))
+});
+
+register_lint_rule({
+	id: "cyclic_dependency",
+	code: "ERR_CYCLIC_DEPENDENCY",
+	name: "Cyclic dependencies",
+	description: "Nodes depend on each other in a loop.",
+	severity: LINT_SEVERITY.ERROR,
+	check: ({ tree }) => find_dependency_cycles(tree).map(cycle => {
+		const names = cycle.node_ids.map(id => `"${tree.nodes.find(n => n.id === id).name}"`);
+		return {
+			message: `Cyclic dependency between ${names.join(", ")}`,
+			node_id: cycle.node_ids[0],
+			connection_id: cycle.connection_ids[0],
+			details: { cycle: cycle.node_ids, connection_ids: cycle.connection_ids }
+		};
+	})
+});
+
+register_lint_rule({
+	id: "exclusive_group_dependency",
+	code: "WARN_EXCLUSIVE_GROUP_DEPENDENCY",
+	name: "Exclusive group dependencies",
+	description: "A member of an exclusive group leads to another member, which can then never be taken.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ tree }) => find_exclusive_group_dependencies(tree).map(conflict => {
+		const from_node = tree.nodes.find(n => n.id === conflict.from_node_id);
+		const to_node = tree.nodes.find(n => n.id === conflict.to_node_id);
+		return {
+			message: `"${from_node.name}" is a prerequisite of "${to_node.name}" in the same exclusive group "${conflict.group}"`,
+			node_id: conflict.to_node_id,
+			details: conflict
+		};
+	})
+});
+
+register_lint_rule({
+	id: "level_unreachable",
+	code: "WARN_LEVEL_UNREACHABLE",
+	name: "Unreachable levels",
+	description: "A node requires a level above the maximum character level.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ state, tree }) => {
+		const max_level = state.project.settings.character_level?.max_level;
+		if (!max_level) {
+			return [];
+		}
+
+		return tree.nodes
+			.filter(node => (node.required_level || 0) > max_level)
+			.map(node => ({
+				message: `"${node.name}" requires level ${node.required_level} but the maximum level is ${max_level}`,
+				node_id: node.id,
+				details: { required_level: node.required_level, max_level: max_level }
+			}));
+	}
+});
+
+register_lint_rule({
+	id: "tier_unreachable",
+	code: "WARN_TIER_UNREACHABLE",
+	name: "Unreachable tiers",
+	description: "A tier asks for more points than can be spent above it.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ state, tree }) => {
+		const findings = [];
+
+		for (const tier of get_sorted_tiers(tree)) {
+			const max_before = Math.min(
+				get_max_budget(state, tree),
+				get_points_before_tier(tree, tier, id => get_node_max_rank(tree, id))
+			);
+
+			if (tier.points_required > max_before) {
+				findings.push({
+					message: `Tier "${tier.name}" requires ${tier.points_required} points but at most ${max_before} can be spent above it`,
+					details: { tier_id: tier.id, points_required: tier.points_required, available: max_before }
+				});
+			}
+		}
+
+		return findings;
+	}
+});
+
+register_lint_rule({
+	id: "required_rank_unreachable",
+	code: "WARN_REQUIRED_RANK_UNREACHABLE",
+	name: "Required rank above max rank",
+	description: "A connection requires a rank its source node can't reach.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ tree, get_budget }) => get_budget().impossible_ranks.map(problem => {
+		const from_node = tree.nodes.find(n => n.id === problem.from_node_id);
+		const to_node = tree.nodes.find(n => n.id === problem.to_node_id);
+		return {
+			message: `"${to_node.name}" requires rank ${problem.required_rank} of "${from_node.name}", which has a max rank of ${problem.max_rank}`,
+			node_id: problem.to_node_id,
+			connection_id: problem.connection_id,
+			details: problem
+		};
+	})
+});
+
+register_lint_rule({
+	id: "sum_threshold_unreachable",
+	code: "WARN_SUM_THRESHOLD_UNREACHABLE",
+	name: "Unreachable SUM thresholds",
+	description: "A SUM node's threshold is higher than its prerequisites' max ranks add up to.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ tree, get_budget }) => get_budget().impossible_thresholds.map(problem => {
+		const node = tree.nodes.find(n => n.id === problem.node_id);
+		return {
+			message: `"${node.name}" needs a total rank of ${problem.threshold} but its prerequisites add up to at most ${problem.max_total}`,
+			node_id: problem.node_id,
+			details: problem
+		};
+	})
+});
+
+register_lint_rule({
+	id: "unreachable_node",
+	code: "WARN_UNREACHABLE_NODE",
+	name: "Unreachable nodes",
+	description: "A node's prerequisites can never be met.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ tree, get_budget, get_reachability }) => {
+		// Nodes with a more specific reason are reported by their own rule
+		const { impossible_ranks, impossible_thresholds } = get_budget();
+		const explained = new Set([
+			...impossible_ranks.map(problem => problem.to_node_id),
+			...impossible_thresholds.map(problem => problem.node_id)
+		]);
+
+		return get_reachability().unreachable
+			.map(node_id => tree.nodes.find(n => n.id === node_id))
+			.filter(node => node && !explained.has(node.id) && (
+				node.prerequisite_logic === "EXPR" || tree.connections.some(c => c.to_node_id === node.id)
+			))
+			.map(node => ({ message: `"${node.name}" is unreachable with current requirements`, node_id: node.id }));
+	}
+});
+
+register_lint_rule({
+	id: "over_budget",
+	code: "WARN_OVER_BUDGET",
+	name: "Unreachable within budget",
+	description: "Unlocking a node is estimated to cost more points than the tree can ever spend.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ tree, get_budget }) => get_budget().over_budget.map(problem => {
+		const node = tree.nodes.find(n => n.id === problem.node_id);
+		return {
+			message: `"${node.name}" needs an estimated ${problem.min_cost} points but only ${problem.budget} can be spent`,
+			node_id: problem.node_id,
+			details: problem
+		};
+	})
+});
+
+register_lint_rule({
+	id: "cost_length_mismatch",
+	code: "WARN_COST_LENGTH_MISMATCH",
+	name: "Cost per rank doesn't match max rank",
+	description: "A node lists a different number of costs than it has ranks. A single cost applies to every rank and isn't reported.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ tree }) => tree.nodes
+		.filter(node => node.cost_per_rank.length > 1 && node.cost_per_rank.length !== node.max_rank)
+		.map(node => ({
+			message: `"${node.name}" has ${node.cost_per_rank.length} costs but ${node.max_rank} ${node.max_rank === 1 ? "rank" : "ranks"}`,
+			node_id: node.id,
+			details: { costs: node.cost_per_rank.length, max_rank: node.max_rank }
+		}))
+});
+
+register_lint_rule({
+	id: "duplicate_node_name",
+	code: "WARN_DUPLICATE_NODE_NAME",
+	name: "Duplicate node names",
+	description: "Two nodes share a name, which makes them ambiguous in expressions and exports.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ tree }) => {
+		const seen = new Map();
+		const findings = [];
+
+		for (const node of tree.nodes) {
+			const key = node.name.trim().toLowerCase();
+			const first = seen.get(key);
+
+			if (first) {
+				findings.push({
+					message: `"${node.name}" has the same name as another node`,
+					node_id: node.id,
+					details: { other_node_id: first.id }
+				});
+			} else {
+				seen.set(key, node);
+			}
+		}
+
+		return findings;
+	}
+});
+
+register_lint_rule({
+	id: "overlapping_nodes",
+	code: "WARN_OVERLAPPING_NODES",
+	name: "Overlapping nodes",
+	description: "Two nodes overlap on the canvas.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ tree }) => {
+		const findings = [];
+
+		tree.nodes.forEach((node, index) => {
+			const other = tree.nodes.slice(0, index).find(n =>
+				Math.abs(n.position.x - node.position.x) < NODE_SIZE &&
+				Math.abs(n.position.y - node.position.y) < NODE_SIZE
+			);
+
+			if (other) {
+				findings.push({
+					message: `"${node.name}" overlaps "${other.name}"`,
+					node_id: node.id,
+					details: { other_node_id: other.id }
+				});
+			}
+		});
+
+		return findings;
+	}
+});
+
+register_lint_rule({
+	id: "orphaned_node",
+	code: "WARN_ORPHANED_NODE",
+	name: "Isolated nodes",
+	description: "A node has no connections or expression references in a tree with several nodes.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ tree }) => {
+		if (tree.nodes.length < 2) {
+			return [];
+		}
+
+		// A node named in another node's expression is linked to it, even
+		// through NOT
+		const adjacency = build_dependency_adjacency(tree, get_expression_terms);
+		const referenced = new Set(Object.values(adjacency).flat());
+
+		return tree.nodes
+			.filter(node =>
+				adjacency[node.id].length === 0 &&
+				!referenced.has(node.id) &&
+				!tree.connections.some(c => c.from_node_id === node.id || c.to_node_id === node.id) &&
+				!(node.prerequisite_logic === "EXPR" && node.prerequisite_expression)
+			)
+			.map(node => ({ message: `"${node.name}" is isolated (no connections)`, node_id: node.id }));
+	}
+});
+
+register_lint_rule({
+	id: "point_pool_mismatch",
+	code: "WARN_POINT_POOL_MISMATCH",
+	name: "Point pool mismatch",
+	description: "The tree's stored spent points don't match its allocations.",
+	severity: LINT_SEVERITY.WARNING,
+	check: ({ tree }) => {
+		const calculated_spent = calculate_spent_points(tree);
+		if (calculated_spent === tree.point_pool.spent) {
+			return [];
+		}
+
+		return [{
+			message: `Point pool mismatch: spent=${tree.point_pool.spent}, calculated=${calculated_spent}`,
+			details: { stored: tree.point_pool.spent, calculated: calculated_spent }
+		}];
+	}
+});
+
+/**
+ * Finds exclusive group members that are (directly or transitively) a
+ * prerequisite of another member of the same group
+ * @param {object} tree - Tree object
+ * @returns {array} Array of { group, from_node_id, to_node_id }
+ */
+function find_exclusive_group_dependencies(tree) {
+	const adjacency = build_dependency_adjacency(tree);
+	const conflicts = [];
+
+	for (const node of tree.nodes) {
+		if (!node.exclusive_group) {
+			continue;
+		}
+
+		// Walk everything that depends on this node
+		const seen = new Set([node.id]);
+		const queue = [...(adjacency[node.id] || [])];
+
+		while (queue.length > 0) {
+			const current_id = queue.shift();
+			if (seen.has(current_id)) {
+				continue;
+			}
+			seen.add(current_id);
+
+			const current = tree.nodes.find(n => n.id === current_id);
+			if (current && current.exclusive_group === node.exclusive_group) {
+				conflicts.push({
+					group: node.exclusive_group,
+					from_node_id: node.id,
+					to_node_id: current_id
+				});
+			}
+
+			queue.push(...(adjacency[current_id] || []));
+		}
+	}
+
+	return conflicts;
+}
+
+/**
+ * Builds a prerequisite -> dependent adjacency list from connections and
+ * prerequisite expression references. By default only the terms that need
+ * a node allocated count (see get_required_terms).
+ * @param {object} tree - Tree object
+ * @param {function} get_terms - Picks the expression terms that link nodes
+ * @returns {object} Map of node_id to array of dependent node IDs
+ */
+function build_dependency_adjacency(tree, get_terms = get_required_terms) {
+	const adjacency = {};
+	for (const node of tree.nodes) {
+		adjacency[node.id] = [];
+	}
+
+	for (const conn of tree.connections) {
+		if (adjacency[conn.from_node_id] && adjacency[conn.to_node_id]) {
+			adjacency[conn.from_node_id].push(conn.to_node_id);
+		}
+	}
+
+	for (const node of tree.nodes) {
+		if (node.prerequisite_logic !== "EXPR") {
+			continue;
+		}
+
+		const { ast } = parse_prerequisite_expression(node.prerequisite_expression);
+		for (const term of get_terms(ast)) {
+			const { node_id } = resolve_expression_reference(tree, term.ref);
+			if (node_id && node_id !== node.id) {
+				adjacency[node_id].push(node.id);
+			}
+		}
+	}
+
+	return adjacency;
+}
+
+/**
+ * Groups nodes that depend on each other in a loop (the strongly connected
+ * components of a dependency graph). Components come out dependents first:
+ * every component is listed before the ones it depends on.
+ * @param {object} tree - Tree object
+ * @param {object} adjacency - Map of node_id to dependent node IDs
+ * @returns {array} Array of components, each an array of node IDs
+ */
+function find_strongly_connected_components(tree, adjacency) {
+	const index_of = new Map();
+	const low_link = new Map();
+	const stack = [];
+	const on_stack = new Set();
+	const components = [];
+	let next_index = 0;
+
+	// Tarjan's algorithm
+	const visit = node_id => {
+		index_of.set(node_id, next_index);
+		low_link.set(node_id, next_index);
+		next_index++;
+		stack.push(node_id);
+		on_stack.add(node_id);
+
+		for (const neighbor of adjacency[node_id]) {
+			if (!index_of.has(neighbor)) {
+				visit(neighbor);
+				low_link.set(node_id, Math.min(low_link.get(node_id), low_link.get(neighbor)));
+			} else if (on_stack.has(neighbor)) {
+				low_link.set(node_id, Math.min(low_link.get(node_id), index_of.get(neighbor)));
+			}
+		}
+
+		if (low_link.get(node_id) === index_of.get(node_id)) {
+			const component = [];
+			let member;
+			do {
+				member = stack.pop();
+				on_stack.delete(member);
+				component.unshift(member);
+			} while (member !== node_id);
+			components.push(component);
+		}
+	};
+
+	for (const node of tree.nodes) {
+		if (!index_of.has(node.id)) {
+			visit(node.id);
+		}
+	}
+
+	return components;
+}
+
+/**
+ * Calculates the total spent points in a tree
+ * @param {object} tree - Tree object
+ * @returns {number} Total spent points
+ */
+function calculate_spent_points(tree) {
+	return tree.nodes.reduce((total, node) => total + get_rank_cost(node, node.current_rank), 0);
+}
+
+// ============================================================================
+// Build Comparison
+// ============================================================================
+
+/**
+ * Gets a copy of a tree with the ranks from an allocation map applied,
+ * capped at each node's max rank
+ * @param {object} tree - Tree object
+ * @param {object} allocations - Map of node ID to rank
+ * @returns {object} Tree copy
+ */
+function apply_allocation_map(tree, allocations) {
+	return {
+		...tree,
+		nodes: tree.nodes.map(node => ({
+			...node,
+			current_rank: Math.min(allocations[node.id] || 0, node.max_rank)
+		}))
+	};
+}
+
+/**
+ * Compares two allocations of the same tree
+ * @param {object} tree - Tree object
+ * @param {object} allocations_a - Map of node ID to rank for build A
+ * @param {object} allocations_b - Map of node ID to rank for build B
+ * @returns {object} { nodes, only_a, only_b, rank_changes, by_tag, by_type, cost_a, cost_b, cost_delta }
+ */
+function compare_allocations(tree, allocations_a, allocations_b) {
+	const tree_a = apply_allocation_map(tree, allocations_a);
+	const tree_b = apply_allocation_map(tree, allocations_b);
+
+	const result = {
+		nodes: {},
+		only_a: [],
+		only_b: [],
+		rank_changes: [],
+		by_tag: {},
+		by_type: {},
+		cost_a: calculate_spent_points(tree_a),
+		cost_b: calculate_spent_points(tree_b),
+		cost_delta: 0
+	};
+	result.cost_delta = result.cost_b - result.cost_a;
+
+	const add_spend = (totals, key, side, cost) => {
+		totals[key] = totals[key] || { a: 0, b: 0 };
+		totals[key][side] += cost;
+	};
+
+	tree.nodes.forEach((node, index) => {
+		const rank_a = tree_a.nodes[index].current_rank;
+		const rank_b = tree_b.nodes[index].current_rank;
+		let diff = "same";
+
+		if (rank_a > 0 && rank_b === 0) {
+			diff = "only_a";
+			result.only_a.push(node.id);
+		} else if (rank_b > 0 && rank_a === 0) {
+			diff = "only_b";
+			result.only_b.push(node.id);
+		} else if (rank_a !== rank_b) {
+			diff = "changed";
+			result.rank_changes.push({ node_id: node.id, rank_a: rank_a, rank_b: rank_b });
+		}
+
+		result.nodes[node.id] = { diff: diff, rank_a: rank_a, rank_b: rank_b };
+
+		// Points spent, split by the node's tags and type
+		const cost_a = get_rank_cost(node, rank_a);
+		const cost_b = get_rank_cost(node, rank_b);
+		for (const tag of node.tags || []) {
+			add_spend(result.by_tag, tag, "a", cost_a);
+			add_spend(result.by_tag, tag, "b", cost_b);
+		}
+		add_spend(result.by_type, node.type || "active", "a", cost_a);
+		add_spend(result.by_type, node.type || "active", "b", cost_b);
+	});
+
+	return result;
+}
+
+// ============================================================================
+// Path Planning
+// ============================================================================
+
+/**
+ * Limits that keep the planner responsive on large or heavily branching trees
+ */
+const MAX_PLAN_ALTERNATIVES = 500;
+const MAX_PLAN_SEARCH_STEPS = 20000;
+
+/**
+ * Finds the cheapest set of allocations that unlocks the next rank of a
+ * target node from the current build. Every way of meeting each prerequisite
+ * (OR groups, OR nodes, SUM distributions, expression branches) is searched
+ * with branch and bound on the total cost, so shared prerequisites are only
+ * paid for once.
+ * @param {object} state - Current state
+ * @param {string} tree_id - Tree ID
+ * @param {string} target_id - Node ID to unlock
+ * @returns {object} { found, steps, total_cost, affordable, reason }. Steps are
+ * { node_id, rank, cost } in a valid allocation order, one per rank.
+ */
+function find_cheapest_path(state, tree_id, target_id) {
+	const not_found = reason => ({ found: false, steps: [], total_cost: 0, affordable: false, reason: reason });
+
+	const tree = find_tree(state, tree_id);
+	const target = tree ? find_node(state, tree_id, target_id) : null;
+	if (!target) {
+		return not_found("Node not found");
+	}
+	if (target.current_rank >= target.max_rank) {
+		return not_found("Maximum rank reached");
+	}
+
+	let best = null;
+	let search_steps = 0;
+
+	const search = (required, queue, expanded) => {
+		const cost = get_plan_cost(tree, required);
+		if ((best && cost >= best.cost) || ++search_steps > MAX_PLAN_SEARCH_STEPS) {
+			return;
+		}
+		if (queue.length === 0) {
+			best = { cost: cost, required: required };
+			return;
+		}
+
+		const [node_id, ...rest] = queue;
+		const node = tree.nodes.find(n => n.id === node_id);
+		const planned_rank = id => Math.max(get_node_rank(tree, id), required[id] || 0);
+
+		// Allocated nodes already met their prerequisites, and other picks may cover this one
+		if (expanded.has(node_id) || node.current_rank > 0 || evaluate_prerequisites(tree, node, planned_rank)) {
+			search(required, rest, expanded);
+			return;
+		}
+
+		const next_expanded = new Set(expanded).add(node_id);
+		for (const alternative of get_prerequisite_alternatives(tree, node)) {
+			const merged = merge_requirements(state, tree, required, alternative);
+			if (merged) {
+				const added = Object.keys(alternative).filter(id => !next_expanded.has(id) && !rest.includes(id));
+				search(merged, [...rest, ...added], next_expanded);
+			}
+		}
+	};
+
+	const initial = merge_requirements(state, tree, {}, { [target_id]: target.current_rank + 1 });
+	if (initial) {
+		search(initial, [target_id], new Set());
+	}
+
+	if (!best) {
+		const required_level = get_level_lock(state, target);
+		return not_found(required_level
+			? `Requires character level ${required_level}`
+			: "No combination of allocations meets the prerequisites");
+	}
+
+	return order_plan(state, tree, best.required);
+}
+
+/**
+ * Lists the ways a node's prerequisites can be met, each as a map of node
+ * ID to the minimum rank needed
+ * @param {object} tree - Tree object
+ * @param {object} node - Node whose prerequisites are planned
+ * @returns {array} Array of requirement maps
+ */
+function get_prerequisite_alternatives(tree, node) {
+	const logic = node.prerequisite_logic || "AND";
+	const get_rank = id => get_node_rank(tree, id);
+
+	if (logic === "EXPR") {
+		const { ast, error } = parse_prerequisite_expression(node.prerequisite_expression);
+		return error ? [] : get_expression_alternatives(ast, tree, get_rank);
+	}
+
+	const incoming = tree.connections.filter(c => c.to_node_id === node.id);
+	const requirement = conn => ({ [conn.from_node_id]: conn.required_rank });
+
+	if (incoming.length === 0) {
+		return [{}];
+	}
+
+	if (logic === "OR") {
+		return incoming.map(requirement);
+	}
+
+	if (logic === "SUM") {
+		return get_sum_alternatives(tree, incoming, node.prerequisite_threshold || 1);
+	}
+
+	// AND: every required connection, plus one member of the OR group
+	const { required, alternatives } = group_connections(incoming);
+	const base = required.reduce((map, conn) => combine_requirements(map, requirement(conn)), {});
+
+	return alternatives.length === 0
+		? [base]
+		: alternatives.map(conn => combine_requirements(base, requirement(conn)));
+}
+
+/**
+ * Lists the ways to raise SUM parents to a threshold. Each alternative adds
+ * ranks to the parents in a fixed order, so no distribution is listed twice.
+ * @param {object} tree - Tree object
+ * @param {array} incoming - Connections into the SUM node
+ * @param {number} threshold - Total rank needed
+ * @returns {array} Array of requirement maps
+ */
+function get_sum_alternatives(tree, incoming, threshold) {
+	const parents = [...new Set(incoming.map(c => c.from_node_id))]
+		.map(id => tree.nodes.find(n => n.id === id))
+		.filter(Boolean);
+
+	const current_total = incoming.reduce((total, conn) => total + get_node_rank(tree, conn.from_node_id), 0);
+	const alternatives = [];
+
+	const distribute = (index, remaining, ranks) => {
+		if (alternatives.length >= MAX_PLAN_ALTERNATIVES) {
+			return;
+		}
+		if (remaining <= 0) {
+			alternatives.push({ ...ranks });
+			return;
+		}
+		if (index >= parents.length) {
+			return;
+		}
+
+		const parent = parents[index];
+		const headroom = parent.max_rank - parent.current_rank;
+
+		// Connections from the same parent each count its rank once
+		const weight = incoming.filter(c => c.from_node_id === parent.id).length;
+
+		for (let extra = Math.min(headroom, Math.ceil(remaining / weight)); extra >= 0; extra--) {
+			const next = extra > 0 ? { ...ranks, [parent.id]: parent.current_rank + extra } : ranks;
+			distribute(index + 1, remaining - extra * weight, next);
+		}
+	};
+
+	distribute(0, threshold - current_total, {});
+	return alternatives;
+}
+
+/**
+ * Lists the ways an expression can be made true by raising ranks. Terms that
+ * can only be met by lowering a rank (NOT, <, <=) hold only if they already do.
+ * @param {object|null} ast - Parsed expression
+ * @param {object} tree - Tree object
+ * @param {function} get_rank - Returns the current rank for a node ID
+ * @returns {array} Array of requirement maps
+ */
+function get_expression_alternatives(ast, tree, get_rank) {
+	if (!ast) {
+		return [{}];
+	}
+
+	switch (ast.type) {
+		case "compare": {
+			const { node_id } = resolve_expression_reference(tree, ast.ref);
+			const rank = node_id ? get_rank(node_id) : 0;
+
+			if (EXPRESSION_OPERATORS[ast.op](rank, ast.value)) {
+				return [{}];
+			}
+			if (!node_id) {
+				return [];
+			}
+
+			const needed = { ">=": ast.value, ">": ast.value + 1, "==": ast.value, "!=": ast.value + 1 }[ast.op];
+			return needed !== undefined && needed > rank ? [{ [node_id]: needed }] : [];
+		}
+		case "not":
+			return evaluate_expression(ast, tree, get_rank) ? [{}] : [];
+		case "or":
+			return ast.operands
+				.flatMap(operand => get_expression_alternatives(operand, tree, get_rank))
+				.slice(0, MAX_PLAN_ALTERNATIVES);
+		case "and":
+			return ast.operands.reduce((combined, operand) => {
+				const options = get_expression_alternatives(operand, tree, get_rank);
+				return combined
+					.flatMap(map => options.map(option => combine_requirements(map, option)))
+					.slice(0, MAX_PLAN_ALTERNATIVES);
+			}, [{}]);
+	}
+
+	return [];
+}
+
+/**
+ * Combines two requirement maps, keeping the higher rank for shared nodes
+ * @param {object} a - Requirement map
+ * @param {object} b - Requirement map
+ * @returns {object} Combined map
+ */
+function combine_requirements(a, b) {
+	const combined = { ...a };
+	for (const [node_id, rank] of Object.entries(b)) {
+		combined[node_id] = Math.max(combined[node_id] || 0, rank);
+	}
+	return combined;
+}
+
+/**
+ * Adds an alternative to the planned requirements, rejecting it if it asks
+ * for more than a node's max rank, a missing or level-locked node, or two
+ * choices from the same exclusive group
+ * @param {object} state - Current state
+ * @param {object} tree - Tree object
+ * @param {object} required - Planned requirement map
+ * @param {object} alternative - Requirement map to add
+ * @returns {object|null} Combined map, or null if it can't be met
+ */
+function merge_requirements(state, tree, required, alternative) {
+	const merged = combine_requirements(required, alternative);
+
+	for (const node_id of Object.keys(alternative)) {
+		const node = tree.nodes.find(n => n.id === node_id);
+
+		if (!node || merged[node_id] > node.max_rank || get_level_lock(state, node)) {
+			return null;
+		}
+
+		if (node.current_rank === 0 && node.exclusive_group) {
+			const taken = tree.nodes.some(other =>
+				other.id !== node_id &&
+				other.exclusive_group === node.exclusive_group &&
+				(other.current_rank > 0 || merged[other.id] > 0)
+			);
+			if (taken) {
+				return null;
+			}
+		}
+	}
+
+	return merged;
+}
+
+/**
+ * Calculates the points needed to raise nodes to their planned ranks
+ * @param {object} tree - Tree object
+ * @param {object} required - Requirement map
+ * @returns {number} Total cost
+ */
+function get_plan_cost(tree, required) {
+	let total = 0;
+
+	for (const [node_id, rank] of Object.entries(required)) {
+		const node = tree.nodes.find(n => n.id === node_id);
+		if (node && rank > node.current_rank) {
+			total += get_rank_cost(node, rank) - get_rank_cost(node, node.current_rank);
+		}
+	}
+
+	return total;
+}
+
+/**
+ * Puts planned allocations into an order where each rank is legal when it
+ * is taken
+ * @param {object} state - Current state
+ * @param {object} tree - Tree object
+ * @param {object} required - Requirement map
+ * @returns {object} { found, steps, total_cost, affordable, reason }
+ */
+function order_plan(state, tree, required) {
+	const ranks = {};
+	for (const node of tree.nodes) {
+		ranks[node.id] = node.current_rank;
+	}
+
+	const get_rank = id => ranks[id] || 0;
+	const steps = [];
+	let progress = true;
+
+	while (progress) {
+		progress = false;
+
+		for (const node of tree.nodes) {
+			const target = required[node.id] || 0;
+
+			if (get_rank(node.id) < target &&
+				evaluate_prerequisites(tree, node, get_rank) &&
+				!get_tier_lock(tree, node, get_rank)) {
+				ranks[node.id] += 1;
+				const cost = get_rank_cost(node, ranks[node.id]) - get_rank_cost(node, ranks[node.id] - 1);
+				steps.push({ node_id: node.id, rank: ranks[node.id], cost: cost });
+				progress = true;
+			}
+		}
+	}
+
+	const total_cost = steps.reduce((total, step) => total + step.cost, 0);
+	const blocked = tree.nodes.find(node => get_rank(node.id) < (required[node.id] || 0));
+
+	if (blocked) {
+		const tier = get_tier_lock(tree, blocked, get_rank);
+		return {
+			found: false,
+			steps: steps,
+			total_cost: total_cost,
+			affordable: false,
+			reason: tier
+				? `"${blocked.name}" needs ${tier.points_required} points spent above "${tier.name}"`
+				: `"${blocked.name}" can't be allocated in any order`
+		};
+	}
+
+	return {
+		found: true,
+		steps: steps,
+		total_cost: total_cost,
+		affordable: total_cost <= get_available_points(state, tree),
+		reason: null
+	};
+}
+
+// ============================================================================
+// Budget Analysis
+// ============================================================================
+
+/**
+ * Estimates the fewest points needed to unlock each node from an empty build
+ * and flags requirements the tree can never meet. Each prerequisite is
+ * reached its own cheapest way and shared ones are paid for once. Picking per
+ * prerequisite rather than searching every combination keeps this fast enough
+ * to lint on every change, so the estimate is exact for trees without
+ * competing alternatives and an upper bound otherwise. find_cheapest_path
+ * does the full search for a single node.
+ * @param {object} state - Current state
+ * @param {string} tree_id - Tree ID
+ * @returns {object} { budget, min_costs, over_budget, impossible_thresholds, impossible_ranks }.
+ * min_costs maps node IDs to estimated points, or null when the node can't be unlocked.
+ */
+function analyze_point_budget(state, tree_id) {
+	const tree = find_tree(state, tree_id);
+	const result = { budget: 0, min_costs: {}, over_budget: [], impossible_thresholds: [], impossible_ranks: [] };
+
+	if (!tree) {
+		return result;
+	}
+
+	result.budget = get_max_budget(state, tree);
+
+	for (const conn of tree.connections) {
+		const from_node = tree.nodes.find(n => n.id === conn.from_node_id);
+		if (from_node && conn.required_rank > from_node.max_rank) {
+			result.impossible_ranks.push({
+				connection_id: conn.id,
+				from_node_id: conn.from_node_id,
+				to_node_id: conn.to_node_id,
+				required_rank: conn.required_rank,
+				max_rank: from_node.max_rank
+			});
+		}
+	}
+
+	for (const node of tree.nodes.filter(n => n.prerequisite_logic === "SUM")) {
+		const threshold = node.prerequisite_threshold || 1;
+		const max_total = tree.connections
+			.filter(c => c.to_node_id === node.id)
+			.reduce((total, c) => total + get_node_max_rank(tree, c.from_node_id), 0);
+
+		if (threshold > max_total) {
+			result.impossible_thresholds.push({ node_id: node.id, threshold: threshold, max_total: max_total });
+		}
+	}
+
+	// Plan against an empty build so the result doesn't depend on current ranks
+	const empty_tree = apply_allocation_map(tree, {});
+	const unlock_maps = {};
+
+	// Cheapest requirement map that meets a node's prerequisites using the
+	// maps found so far, or null
+	const get_unlock_map = node => {
+		let best = null;
+		let best_cost = Infinity;
+
+		for (const alternative of get_prerequisite_alternatives(empty_tree, node)) {
+			let required = {};
+
+			for (const [parent_id, rank] of Object.entries(alternative)) {
+				const parent = empty_tree.nodes.find(n => n.id === parent_id);
+				const parent_map = parent && rank <= parent.max_rank ? unlock_maps[parent_id] : null;
+
+				if (!parent_map) {
+					required = null;
+					break;
+				}
+				required = combine_requirements(combine_requirements(required, parent_map), { [parent_id]: rank });
+			}
+
+			// A way in that needs the node itself goes round a loop
+			if (required && !(node.id in required) && !has_exclusive_clash(empty_tree, required)) {
+				const cost = get_plan_cost(empty_tree, required);
+				if (cost < best_cost) {
+					best = required;
+					best_cost = cost;
+				}
+			}
+		}
+
+		return best;
+	};
+
+	// Work through groups of nodes prerequisites first, so each group builds
+	// on the finished maps of earlier ones. Within a loop, a node whose map
+	// got cheaper queues its dependents again until nothing improves.
+	const adjacency = build_dependency_adjacency(empty_tree);
+	const unlock_costs = {};
+
+	for (const component of find_strongly_connected_components(empty_tree, adjacency).reverse()) {
+		const members = new Set(component);
+		const queue = [...component];
+		const queued = new Set(component);
+
+		while (queue.length > 0) {
+			const node_id = queue.shift();
+			queued.delete(node_id);
+
+			const unlock_map = get_unlock_map(empty_tree.nodes.find(n => n.id === node_id));
+			const cost = unlock_map ? get_plan_cost(empty_tree, unlock_map) : Infinity;
+
+			if (cost < (node_id in unlock_costs ? unlock_costs[node_id] : Infinity)) {
+				unlock_maps[node_id] = unlock_map;
+				unlock_costs[node_id] = cost;
+
+				for (const dependent_id of adjacency[node_id]) {
+					if (members.has(dependent_id) && !queued.has(dependent_id)) {
+						queue.push(dependent_id);
+						queued.add(dependent_id);
+					}
+				}
+			}
+		}
+	}
+
+	for (const node of empty_tree.nodes) {
+		const unlock_map = unlock_maps[node.id] || null;
+		const required = unlock_map ? combine_requirements(unlock_map, { [node.id]: 1 }) : null;
+
+		if (!required || has_exclusive_clash(empty_tree, required)) {
+			result.min_costs[node.id] = null;
+			continue;
+		}
+
+		// Tiers need points spent above them, on the path or elsewhere
+		const tier = get_node_tier(empty_tree, node);
+		const spent_before_tier = tier ? get_points_before_tier(empty_tree, tier, id => required[id] || 0) : 0;
+		const tier_shortfall = tier ? Math.max(0, tier.points_required - spent_before_tier) : 0;
+
+		const min_cost = get_plan_cost(empty_tree, required) + tier_shortfall;
+		result.min_costs[node.id] = min_cost;
+
+		if (min_cost > result.budget) {
+			result.over_budget.push({ node_id: node.id, min_cost: min_cost, budget: result.budget });
+		}
+	}
+
+	return result;
+}
+
+/**
+ * Gets the most points a tree can ever spend, at the maximum character level.
+ * Trees on the global pool can spend all of it.
+ * @param {object} state - Current state
+ * @param {object} tree - Tree object
+ * @returns {number} Maximum budget
+ */
+function get_max_budget(state, tree) {
+	const max_level = state.project.settings.character_level?.max_level || 1;
+	const pool = uses_global_pool(state, tree) ? state.project.settings.global_point_pool : tree.point_pool;
+
+	return has_level_curve(pool)
+		? get_points_for_level(pool.points_per_level, max_level)
+		: pool.total;
+}
+
+/**
+ * Gets a node's max rank by ID
+ * @param {object} tree - Tree object
+ * @param {string} node_id - Node ID
+ * @returns {number} Max rank, or 0 if the node doesn't exist
+ */
+function get_node_max_rank(tree, node_id) {
+	const node = tree.nodes.find(n => n.id === node_id);
+	return node ? node.max_rank : 0;
+}
+
+/**
+ * Checks if a requirement map takes two nodes from the same exclusive group
+ * @param {object} tree - Tree object
+ * @param {object} required - Requirement map
+ * @returns {boolean} True if two group members are required
+ */
+function has_exclusive_clash(tree, required) {
+	const groups = new Set();
+
+	for (const node_id of Object.keys(required)) {
+		const group = tree.nodes.find(n => n.id === node_id)?.exclusive_group;
+		if (group) {
+			if (groups.has(group)) {
+				return true;
+			}
+			groups.add(group);
+		}
+	}
+
+	return false;
+}
+
+/**
+ * Detects cycles in the dependency graph
+ * @param {object} tree - Tree object
+ * @returns {array|null} Array of node IDs forming a cycle, or null
  */
 function detect_cycle(tree) {
 	const visited = new Set();
@@ -741,22 +2739,146 @@ function detect_cycle(tree) {
 	return null;
 }
 
+/**
+ * Finds every group of nodes that depend on each other in a loop (the
+ * strongly connected components of the dependency graph, connections and
+ * expression references alike), so several loops can be fixed in one pass
+ * @param {object} tree - Tree object
+ * @returns {array} Array of cycles, each { node_ids, connection_ids }. A loop
+ * made only of expression references has no connection IDs.
+ */
+function find_dependency_cycles(tree) {
+	const adjacency = build_dependency_adjacency(tree);
+
+	// Single nodes only form a cycle when they connect to themselves
+	return find_strongly_connected_components(tree, adjacency)
+		.filter(component => component.length > 1 || adjacency[component[0]].includes(component[0]))
+		.map(component => ({
+			node_ids: component,
+			connection_ids: tree.connections
+				.filter(c => component.includes(c.from_node_id) && component.includes(c.to_node_id))
+				.map(c => c.id)
+		}));
+}
+
+/**
+ * Checks if a connection can be added without duplicating another one or
+ * creating a cycle
+ * @param {object} state - Current state
+ * @param {string} tree_id - Tree ID
+ * @param {string} from_node_id - Prerequisite node ID
+ * @param {string} to_node_id - Dependent node ID
+ * @returns {object} { can_add, reason, cycle }. The cycle lists the node IDs
+ * of the loop the connection would close.
+ */
+function can_add_connection(state, tree_id, from_node_id, to_node_id) {
+	const tree = find_tree(state, tree_id);
+	const from_node = tree ? find_node(state, tree_id, from_node_id) : null;
+	const to_node = tree ? find_node(state, tree_id, to_node_id) : null;
+
+	if (!from_node || !to_node) {
+		return { can_add: false, reason: "Node not found", cycle: null };
+	}
+
+	if (from_node_id === to_node_id) {
+		return { can_add: false, reason: "A node can't be its own prerequisite", cycle: [from_node_id] };
+	}
+
+	if (tree.connections.some(c => c.from_node_id === from_node_id && c.to_node_id === to_node_id)) {
+		return { can_add: false, reason: "These nodes are already connected", cycle: null };
+	}
+
+	// The new connection closes a loop if the target already leads to the
+	// source, through connections or prerequisite expressions
+	const path = find_dependency_path(tree, to_node_id, from_node_id);
+	if (path) {
+		const names = [...path, to_node_id].map(id => `"${tree.nodes.find(n => n.id === id).name}"`);
+		return { can_add: false, reason: `Would create a cycle: ${names.join(" → ")}`, cycle: path };
+	}
+
+	return { can_add: true, reason: null, cycle: null };
+}
+
+/**
+ * Finds the shortest chain of dependencies from one node to another,
+ * following connections and expression references
+ * @param {object} tree - Tree object
+ * @param {string} start_id - Node ID to start from
+ * @param {string} end_id - Node ID to reach
+ * @returns {array|null} Node IDs from start to end, or null
+ */
+function find_dependency_path(tree, start_id, end_id) {
+	const adjacency = build_dependency_adjacency(tree);
+	const previous = new Map([[start_id, null]]);
+	const queue = [start_id];
+
+	while (queue.length > 0) {
+		const node_id = queue.shift();
+
+		if (node_id === end_id) {
+			const path = [];
+			for (let id = end_id; id !== null; id = previous.get(id)) {
+				path.unshift(id);
+			}
+			return path;
+		}
+
+		for (const neighbor of adjacency[node_id] || []) {
+			if (!previous.has(neighbor)) {
+				previous.set(neighbor, node_id);
+				queue.push(neighbor);
+			}
+		}
+	}
+
+	return null;
+}
+
 export {
 	NODE_STATUS,
 	get_node_status,
 	get_all_node_statuses,
+	get_exclusive_conflict,
+	get_sorted_tiers,
+	get_node_tier,
+	get_points_before_tier,
+	get_tier_lock,
 	check_prerequisites,
+	evaluate_prerequisites,
+	get_connection_logic,
 	is_connection_satisfied,
 	get_dependent_nodes,
 	get_prerequisites,
 	can_allocate_point,
+	explain_node_status,
 	get_allocation_cost,
+	uses_global_pool,
+	get_available_points,
+	calculate_global_spent_points,
+	get_character_level,
+	has_level_curve,
+	get_points_for_level,
+	get_level_lock,
 	can_refund_point,
 	find_blocking_dependents,
 	get_refund_amount,
 	validate_state,
 	check_tree_reachability,
+	parse_prerequisite_expression,
+	evaluate_expression,
+	to_expression_identifier,
 	validate_tree,
+	LINT_SEVERITY,
+	register_lint_rule,
+	get_lint_rules,
+	is_lint_rule_enabled,
 	calculate_spent_points,
-	detect_cycle
+	apply_allocation_map,
+	compare_allocations,
+	find_cheapest_path,
+	analyze_point_budget,
+	detect_cycle,
+	find_dependency_cycles,
+	find_dependency_path,
+	can_add_connection
 };
@@ -0,0 +1,140 @@
+/**
+ * Action Tests
+ * Pure state transitions, checked on a small project
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { create_initial_state, create_tree, create_node, create_connection } from "../src/state.js";
+import * as actions from "../src/actions.js";
+import { diff_projects } from "../src/project_diff.js";
+
+/**
+ * Builds a state with one tree of two connected nodes
+ * @returns {object} State with the tree active
+ */
+function create_state() {
+	const state = create_initial_state();
+	const tree = create_tree("mage", "Mage");
+
+	tree.nodes.push(create_node("spark", "Spark", 0, 0), create_node("bolt", "Bolt", 0, 100));
+	tree.nodes[0].max_rank = 2;
+	tree.connections.push(create_connection("conn_1", "spark", "bolt"));
+	state.project.trees.push(tree);
+	state.ui_state.active_tree_id = tree.id;
+
+	return state;
+}
+
+/**
+ * Allocates Spark twice and Bolt once in play mode, recording three steps
+ * in the allocation order
+ * @returns {object} State with the allocation applied
+ */
+function create_allocated_state() {
+	let state = actions.set_mode(create_state(), "play");
+
+	for (const node_id of ["spark", "spark", "bolt"]) {
+		state = actions.allocate_point(state, "mage", node_id);
+	}
+
+	return actions.set_mode(state, "edit");
+}
+
+// ============================================================================
+// Snapshot preview
+// ============================================================================
+
+test("view actions leave the project and its history alone", () => {
+	const state = actions.checkpoint_history(create_state());
+	const calls = [
+		[actions.set_active_tree, "mage"],
+		[actions.set_selected_node, "spark"],
+		[actions.set_mode, "play"],
+		[actions.set_viewport, { x: 10, y: 20, zoom: 2 }],
+		[actions.set_tooltip, { visible: true, node_id: "spark", x: 0, y: 0 }],
+		[actions.set_comparison, { tree_id: "mage", build_a: "current", build_b: "current" }],
+		[actions.set_path_preview, { tree_id: "mage", node_id: "bolt" }],
+		[actions.set_snapshot_list, []],
+		[actions.set_snapshot_preview, null],
+		[actions.start_connection_mode, "spark"],
+		[actions.cancel_connection_mode],
+		[actions.set_connection_settings, { logic: "OR", required_rank: 2 }]
+	];
+
+	for (const [action_fn, ...args] of calls) {
+		assert.ok(actions.is_view_action(action_fn), action_fn.name);
+
+		const new_state = action_fn(state, ...args);
+		assert.deepEqual(new_state.project, state.project, action_fn.name);
+		assert.deepEqual(new_state.history, state.history, action_fn.name);
+	}
+});
+
+test("dragging a node or checkpointing isn't a view action", () => {
+	const state = create_state();
+
+	assert.ok(!actions.is_view_action(actions.update_node_position));
+	assert.ok(!actions.is_view_action(actions.checkpoint_history));
+	assert.notDeepEqual(actions.update_node_position(state, "mage", "spark", 50, 50).project, state.project);
+	assert.notDeepEqual(actions.checkpoint_history(state).history, state.history);
+});
+
+test("undoable actions are never view actions", () => {
+	for (const action_fn of Object.values(actions).filter(value => typeof value === "function")) {
+		assert.ok(!(actions.is_undoable_action(action_fn) && actions.is_view_action(action_fn)), action_fn.name);
+	}
+});
+
+// ============================================================================
+// Merging
+// ============================================================================
+
+test("applying changes keeps the allocation order when the ranks still fit", () => {
+	const state = create_allocated_state();
+	const other = structuredClone(state.project);
+	other.trees[0].nodes[1].name = "Lightning Bolt";
+
+	const result = actions.apply_project_changes(state, diff_projects(state.project, other));
+	const tree = result.project.trees[0];
+
+	assert.equal(tree.nodes[1].name, "Lightning Bolt");
+	assert.deepEqual(tree.allocation_order, state.project.trees[0].allocation_order);
+	assert.equal(tree.allocation_order.steps.length, 3);
+});
+
+test("applying changes rebuilds the allocation order when ranks no longer fit", () => {
+	const state = create_allocated_state();
+	const other = structuredClone(state.project);
+	other.trees[0].nodes[0].max_rank = 1;
+
+	const tree = actions.apply_project_changes(state, diff_projects(state.project, other)).project.trees[0];
+
+	assert.equal(tree.nodes[0].current_rank, 1);
+	assert.equal(tree.nodes[1].current_rank, 1);
+	assert.deepEqual(tree.allocation_order.steps, [
+		{ type: "allocate", node_id: "spark" },
+		{ type: "allocate", node_id: "bolt" }
+	]);
+});
+
+test("merged trees keep their allocation order", () => {
+	const source = create_allocated_state().project.trees[0];
+	const state = create_initial_state();
+
+	const tree = actions.merge_trees(state, [source]).project.trees[0];
+
+	assert.equal(tree.point_pool.spent, 3);
+	assert.deepEqual(tree.allocation_order, source.allocation_order);
+});
+
+test("merged trees whose order doesn't match their ranks get a new order", () => {
+	const source = structuredClone(create_allocated_state().project.trees[0]);
+	source.allocation_order.position = 1;
+
+	const tree = actions.merge_trees(create_initial_state(), [source]).project.trees[0];
+
+	assert.equal(tree.nodes[0].current_rank, 2);
+	assert.equal(tree.allocation_order.steps.length, 3);
+	assert.equal(tree.allocation_order.position, 3);
+});
@@ -0,0 +1,91 @@
+/**
+ * Key Convention Tests
+ * Every schema field name must survive a camelCase or PascalCase export
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { readFileSync, readdirSync } from "node:fs";
+import { convert_keys, detect_key_convention } from "../src/io.js";
+
+const SCHEMA_DIR = new URL("../schemas/", import.meta.url);
+
+/**
+ * Collects the property names of every schema, nested objects and
+ * definitions included
+ * @returns {array} Sorted unique field names
+ */
+function get_schema_fields() {
+	const fields = new Set();
+
+	const visit = (value) => {
+		if (Array.isArray(value)) {
+			value.forEach(visit);
+		} else if (value !== null && typeof value === "object") {
+			for (const [key, child] of Object.entries(value)) {
+				if (key === "properties") {
+					Object.keys(child).forEach(field => fields.add(field));
+				}
+				visit(child);
+			}
+		}
+	};
+
+	for (const file of readdirSync(SCHEMA_DIR).filter(name => name.endsWith(".json"))) {
+		visit(JSON.parse(readFileSync(new URL(file, SCHEMA_DIR), "utf8")));
+	}
+
+	return [...fields].sort();
+}
+
+/**
+ * Converts a single key
+ */
+function convert_key(key, convention) {
+	return Object.keys(convert_keys({ [key]: null }, convention))[0];
+}
+
+test("the schemas have fields to check", () => {
+	const fields = get_schema_fields();
+
+	assert.ok(fields.includes("prerequisite_expression"));
+	assert.ok(fields.includes("points_per_level"));
+});
+
+for (const convention of ["camelCase", "PascalCase"]) {
+	test(`every schema field survives ${convention} and back`, () => {
+		for (const field of get_schema_fields()) {
+			const exported = convert_key(field, convention);
+			assert.equal(convert_key(exported, "snake_case"), field, `${field} -> ${exported}`);
+		}
+	});
+
+	test(`an underscore before a digit survives ${convention} and back`, () => {
+		for (const field of ["a_1b", "tier_2_name", "slot_10", "rank2_cost"]) {
+			const exported = convert_key(field, convention);
+			assert.equal(convert_key(exported, "snake_case"), field, `${field} -> ${exported}`);
+		}
+	});
+}
+
+test("digits keep their underscore and the next word is capitalized", () => {
+	assert.equal(convert_key("tier_2_name", "camelCase"), "tier_2Name");
+	assert.equal(convert_key("tier_2_name", "PascalCase"), "Tier_2Name");
+	assert.equal(convert_key("a_1b", "camelCase"), "a_1b");
+});
+
+test("kept underscores don't make an export look like snake_case", () => {
+	const project = { point_pool: { total: 1 }, slot_2_name: "x" };
+
+	assert.equal(detect_key_convention(convert_keys(project, "camelCase")), "camelCase");
+	assert.equal(detect_key_convention(convert_keys(project, "PascalCase")), "PascalCase");
+	assert.equal(detect_key_convention(project), "snake_case");
+});
+
+test("node IDs used as build keys are never renamed", () => {
+	const build = { allocations: { fire_bolt: 2, FrostNova: 1 } };
+	const exported = convert_keys(build, "PascalCase");
+
+	assert.deepEqual(exported, { Allocations: { fire_bolt: 2, FrostNova: 1 } });
+	assert.deepEqual(convert_keys(exported, "snake_case"), build);
+});
@@ -0,0 +1,161 @@
+/**
+ * Migration Tests
+ * Runs old, unversioned and future project files through migrate_project
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CURRENT_VERSION, migrate_project, compare_versions } from "../src/migrations.js";
+
+/**
+ * Builds a project the way 1.0.0 saved it: no prerequisite logic on nodes,
+ * no logic or required rank on connections, and a cost list shorter than
+ * max_rank
+ */
+function create_old_project() {
+	return {
+		version: "1.0.0",
+		metadata: { name: "Old Project" },
+		settings: {},
+		trees: [{
+			id: "warrior",
+			name: "Warrior",
+			point_pool: { total: 10, spent: 0 },
+			nodes: [
+				{ id: "strike", name: "Strike", position: { x: 0, y: 0 }, max_rank: 3, current_rank: 0, cost_per_rank: [1] },
+				{ id: "cleave", name: "Cleave", position: { x: 0, y: 100 }, max_rank: 4, current_rank: 0, cost_per_rank: [1, 2] },
+				{ id: "rage", name: "Rage", position: { x: 100, y: 100 }, max_rank: 1, current_rank: 0, cost_per_rank: [2], prerequisite_logic: "or" }
+			],
+			connections: [
+				{ id: "conn_1", from_node_id: "strike", to_node_id: "cleave" },
+				{ id: "conn_2", from_node_id: "strike", to_node_id: "rage", logic: "or", required_rank: 2 }
+			]
+		}]
+	};
+}
+
+// ============================================================================
+// backfill_defaults (the 1.1.0 migration)
+// ============================================================================
+
+test("1.0.0 files are upgraded to the current version", () => {
+	const result = migrate_project(create_old_project(), "1.0.0");
+
+	assert.equal(result.from_version, "1.0.0");
+	assert.equal(result.to_version, CURRENT_VERSION);
+	assert.deepEqual(result.applied, ["1.1.0"]);
+	assert.deepEqual(result.warnings, []);
+	assert.equal(result.project.version, CURRENT_VERSION);
+});
+
+test("missing prerequisite logic becomes AND and known values are upper-cased", () => {
+	const [tree] = migrate_project(create_old_project(), "1.0.0").project.trees;
+
+	assert.equal(tree.nodes[0].prerequisite_logic, "AND");
+	assert.equal(tree.nodes[1].prerequisite_logic, "AND");
+	assert.equal(tree.nodes[2].prerequisite_logic, "OR");
+	assert.equal(tree.nodes[0].prerequisite_threshold, 1);
+	assert.equal(tree.nodes[0].prerequisite_expression, "");
+});
+
+test("missing connection logic becomes AND with a required rank of 1", () => {
+	const [tree] = migrate_project(create_old_project(), "1.0.0").project.trees;
+
+	assert.equal(tree.connections[0].logic, "AND");
+	assert.equal(tree.connections[0].required_rank, 1);
+	assert.equal(tree.connections[1].logic, "OR");
+	assert.equal(tree.connections[1].required_rank, 2);
+});
+
+test("short cost lists are padded with their last cost", () => {
+	const [tree] = migrate_project(create_old_project(), "1.0.0").project.trees;
+
+	assert.deepEqual(tree.nodes[0].cost_per_rank, [1, 1, 1]);
+	assert.deepEqual(tree.nodes[1].cost_per_rank, [1, 2, 2, 2]);
+	assert.deepEqual(tree.nodes[2].cost_per_rank, [2]);
+});
+
+test("fields added since 1.0.0 get their defaults", () => {
+	const [tree] = migrate_project(create_old_project(), "1.0.0").project.trees;
+
+	assert.deepEqual(tree.tiers, []);
+	assert.deepEqual(tree.builds, []);
+	assert.deepEqual(tree.allocation_order, { steps: [], position: 0 });
+	assert.equal(tree.point_pool.source, "local");
+	assert.equal(tree.nodes[0].exclusive_group, "");
+	assert.equal(tree.nodes[0].required_level, 0);
+	assert.deepEqual(tree.nodes[0].lint_suppressions, []);
+});
+
+test("malformed values are left for validation to report", () => {
+	const project = create_old_project();
+	project.trees[0].nodes[0].prerequisite_logic = "XOR";
+	project.trees[0].nodes[1].cost_per_rank = "free";
+
+	const [tree] = migrate_project(project, "1.0.0").project.trees;
+
+	assert.equal(tree.nodes[0].prerequisite_logic, "XOR");
+	assert.equal(tree.nodes[1].cost_per_rank, "free");
+});
+
+test("the input project is left untouched", () => {
+	const project = create_old_project();
+	const before = JSON.stringify(project);
+
+	migrate_project(project, "1.0.0");
+
+	assert.equal(JSON.stringify(project), before);
+});
+
+// ============================================================================
+// Versions
+// ============================================================================
+
+test("unversioned files are migrated from 0.0.0", () => {
+	const project = create_old_project();
+	delete project.version;
+
+	const result = migrate_project(project, undefined);
+
+	assert.equal(result.from_version, "0.0.0");
+	assert.equal(result.to_version, CURRENT_VERSION);
+	assert.deepEqual(result.applied, ["1.1.0"]);
+	assert.equal(result.project.trees[0].connections[0].logic, "AND");
+});
+
+test("malformed versions are treated as unversioned", () => {
+	const result = migrate_project(create_old_project(), "v1");
+
+	assert.equal(result.from_version, "0.0.0");
+	assert.deepEqual(result.applied, ["1.1.0"]);
+});
+
+test("current files are not migrated again", () => {
+	const project = migrate_project(create_old_project(), "1.0.0").project;
+	const result = migrate_project(project, CURRENT_VERSION);
+
+	assert.deepEqual(result.applied, []);
+	assert.deepEqual(result.warnings, []);
+	assert.deepEqual(result.project, project);
+});
+
+test("files from a newer version are kept as they are, with a warning", () => {
+	const project = create_old_project();
+	project.version = "9.0.0";
+
+	const result = migrate_project(project, "9.0.0");
+
+	assert.equal(result.from_version, "9.0.0");
+	assert.equal(result.to_version, "9.0.0");
+	assert.deepEqual(result.applied, []);
+	assert.equal(result.warnings.length, 1);
+	assert.match(result.warnings[0], /newer version \(9\.0\.0\)/);
+	assert.equal(result.project.trees[0].nodes[0].prerequisite_logic, undefined);
+	assert.deepEqual(result.project.trees[0].nodes[0].cost_per_rank, [1]);
+});
+
+test("compare_versions orders by major, minor, then patch", () => {
+	assert.equal(compare_versions("1.0.0", "1.1.0"), -1);
+	assert.equal(compare_versions("1.10.0", "1.9.0"), 1);
+	assert.equal(compare_versions("2.0.0", "2.0.0"), 0);
+});
@@ -0,0 +1,123 @@
+/**
+ * Validation Engine Tests
+ * Budget analysis, lint rules and dependency cycles on small built trees
+ */
+
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { create_initial_state, create_tree, create_node, create_connection } from "../src/state.js";
+import {
+	validate_tree,
+	analyze_point_budget,
+	find_dependency_cycles,
+	can_add_connection
+} from "../src/validation_engine.js";
+
+/**
+ * Builds a state holding one tree with the given nodes and connections
+ * @param {array} nodes - Node objects
+ * @param {array} connections - [from_node_id, to_node_id] pairs
+ * @returns {object} State with the tree active
+ */
+function create_state(nodes, connections = []) {
+	const state = create_initial_state();
+	const tree = create_tree("tree", "Tree");
+
+	tree.nodes = nodes;
+	tree.connections = connections.map(([from, to], i) => create_connection(`conn_${i}`, from, to));
+	state.project.trees.push(tree);
+	state.ui_state.active_tree_id = tree.id;
+
+	return state;
+}
+
+/**
+ * Creates a node unlocked by a prerequisite expression
+ */
+function create_expression_node(id, expression) {
+	const node = create_node(id, id, 0, 0);
+	node.prerequisite_logic = "EXPR";
+	node.prerequisite_expression = expression;
+	return node;
+}
+
+// ============================================================================
+// Budget Analysis
+// ============================================================================
+
+test("looped OR grids are analyzed quickly and exactly", () => {
+	const size = 10;
+	const id = (row, col) => `n_${row}_${col}`;
+	const nodes = [];
+	const connections = [];
+
+	// Every cell unlocks from any neighbor, so the grid is one big loop
+	for (let row = 0; row < size; row++) {
+		for (let col = 0; col < size; col++) {
+			const node = create_node(id(row, col), `Cell ${row} ${col}`, col * 100, row * 100);
+			node.prerequisite_logic = row || col ? "OR" : "AND";
+			nodes.push(node);
+
+			for (const [d_row, d_col] of [[0, 1], [1, 0], [0, -1], [-1, 0]]) {
+				const next_row = row + d_row;
+				const next_col = col + d_col;
+				if (next_row >= 0 && next_col >= 0 && next_row < size && next_col < size && (next_row || next_col)) {
+					connections.push([id(row, col), id(next_row, next_col)]);
+				}
+			}
+		}
+	}
+
+	const started = Date.now();
+	const { min_costs } = analyze_point_budget(create_state(nodes, connections), "tree");
+
+	assert.ok(Date.now() - started < 2000, `took ${Date.now() - started} ms`);
+	assert.equal(min_costs[id(0, 0)], 1);
+	assert.equal(min_costs[id(size - 1, size - 1)], 2 * size - 1);
+	assert.ok(Object.values(min_costs).every(cost => cost !== null));
+});
+
+// ============================================================================
+// Lint Rules
+// ============================================================================
+
+test("nodes named in an expression, even through NOT, aren't isolated", () => {
+	const state = create_state([
+		create_node("fireball", "Fireball", 0, 0),
+		create_node("necromancy", "Necromancy", 100, 0),
+		create_expression_node("pyromancy", "fireball >= 2 AND NOT necromancy"),
+		create_node("loner", "Loner", 200, 0)
+	]);
+
+	const orphans = validate_tree(state, "tree").warnings.filter(w => w.code === "WARN_ORPHANED_NODE");
+
+	assert.deepEqual(orphans.map(w => w.node_id), ["loner"]);
+});
+
+// ============================================================================
+// Dependency Cycles
+// ============================================================================
+
+test("nodes that exclude each other with NOT don't form a cycle", () => {
+	const state = create_state([
+		create_expression_node("a", "NOT b"),
+		create_expression_node("b", "NOT a >= 1")
+	]);
+	const tree = state.project.trees[0];
+
+	assert.deepEqual(find_dependency_cycles(tree), []);
+	assert.ok(!validate_tree(state, "tree").errors.some(e => e.code === "ERR_CYCLIC_DEPENDENCY"));
+	assert.equal(can_add_connection(state, "tree", "a", "b").can_add, true);
+	assert.equal(can_add_connection(state, "tree", "b", "a").can_add, true);
+});
+
+test("nodes that require each other in expressions form a cycle", () => {
+	const state = create_state([
+		create_expression_node("a", "b >= 1"),
+		create_expression_node("b", "NOT (a < 2)")
+	]);
+
+	assert.deepEqual(find_dependency_cycles(state.project.trees[0]).map(cycle => cycle.node_ids.sort()), [["a", "b"]]);
+	assert.ok(validate_tree(state, "tree").errors.some(e => e.code === "ERR_CYCLIC_DEPENDENCY"));
+	assert.equal(can_add_connection(state, "tree", "a", "b").can_add, false);
+});